@@ -0,0 +1,149 @@
+/* Headless render benchmark: the page's chunk path, frame by frame
+   Run: node bench/render.bench.mjs [frames]
+
+   Runs what script.js renders with: the chunk store (src/chunks.mjs), chunk layers
+   (src/chunk-layers.mjs) and the view (src/view.mjs), in tick's order: upload the
+   changed cells, then recomposite the chunks on screen when the view moved, a buffer
+   changed or AMBIENT_INTERVAL passed. Canvases are stubs that count calls, so this
+   measures the JS work per frame, not GPU time; the starfield and lighting (a few
+   canvas calls a frame, whatever the planet) are left out.
+   Scenario: ~30% of the planet painted, one placement every 10 frames at 60 fps, while
+   the view zooms in from the whole planet, pans across it, rests and zooms back out.
+*/
+
+import fs from 'node:fs';
+import { createWorld, normalizeWorldDef, DEFAULT_WORLD } from '../src/world.mjs';
+import { createChunkStore } from '../src/chunks.mjs';
+import { createChunkLayers } from '../src/chunk-layers.mjs';
+import { cellsInView, centerOn, fitZoom, zoomRange } from '../src/view.mjs';
+import { parseColor } from '../src/pixel-buffer.mjs';
+import { colorOf } from '../src/palette.mjs';
+
+const FRAMES = Number(process.argv[2]) || 600;
+const WORLDS = [DEFAULT_WORLD, 'ring', 'giant'];
+const CANVAS = [1280, 800];
+const FRAME_MS = 1000 / 60;
+const AMBIENT_INTERVAL = 100; // as in script.js: the starfield recomposites this often
+const PLACE_EVERY = 10;
+const FILL_RATIO = 0.3;
+const EMPTY_CELL = parseColor('rgba(10,12,20,0.4)');
+// [share of the frames, cell at the center as a share of the world, zoom ('fit': the whole planet)]
+const PATH = [
+  [0, 0.5, 0.5, 'fit'],
+  [0.2, 0.5, 0.5, 2],
+  [0.45, 0.2, 0.3, 2],
+  [0.55, 0.2, 0.3, 2], // resting: only placements and the starfield recomposite
+  [0.8, 0.8, 0.7, 3],
+  [1, 0.5, 0.5, 'fit']
+];
+
+// deterministic pseudo random so runs are comparable
+function rng(seed) {
+  return () => (seed = (seed * 1664525 + 1013904223) >>> 0) / 4294967296;
+}
+
+function loadWorld(which) {
+  if (typeof which === 'object') return createWorld(which);
+  const file = new URL(`../worlds/${which}.json`, import.meta.url);
+  return createWorld(normalizeWorldDef(JSON.parse(fs.readFileSync(file, 'utf8'))));
+}
+
+// a store with FILL_RATIO of the planet painted, every chunk loaded, and the placements to come
+function paint(world) {
+  const rand = rng(world.width);
+  const store = createChunkStore(world);
+  const colors = world.palette.colors.length;
+  const cell = t => ({ ci: (rand() * colors) | 0, t, nick: 'bench' });
+  for (let y = 0; y < world.height; y++) {
+    for (let x = 0; x < world.width; x++) {
+      if (world.isOnPlanet(x, y) && rand() < FILL_RATIO) store.set(x, y, cell(0));
+    }
+  }
+  const placements = [];
+  while (placements.length < Math.ceil(FRAMES / PLACE_EVERY)) {
+    const x = (rand() * world.width) | 0, y = (rand() * world.height) | 0;
+    if (world.isOnPlanet(x, y)) placements.push({ x, y, cell: cell(placements.length + 1) });
+  }
+  return { store, placements };
+}
+
+// the view along PATH at frame f
+function viewAt(world, f) {
+  const [w, h] = CANVAS;
+  const range = zoomRange(world, w, h);
+  const zoom = z => Math.max(range.min, Math.min(range.max, z === 'fit' ? fitZoom(world, w, h) : z));
+  const at = f / (FRAMES - 1);
+  let i = 0;
+  while (i < PATH.length - 2 && PATH[i + 1][0] < at) i++;
+  const [t0, x0, y0, z0] = PATH[i], [t1, x1, y1, z1] = PATH[i + 1];
+  const k = Math.min(1, Math.max(0, (at - t0) / (t1 - t0)));
+  const center = centerOn(world, (x0 + (x1 - x0) * k) * world.width, (y0 + (y1 - y0) * k) * world.height);
+  // zoom eases geometrically, as it looks on screen
+  return { ...center, zoom: zoom(z0) * Math.pow(zoom(z1) / zoom(z0), k) };
+}
+
+function stubContext(calls) {
+  return {
+    imageSmoothingEnabled: true,
+    putImageData(img, dx, dy, x = 0, y = 0, w = img.width, h = img.height) { calls.putImageData++; calls.cellsUploaded += w * h; },
+    drawImage() { calls.drawImage++; }
+  };
+}
+
+function run(world) {
+  const { store, placements } = paint(world);
+  const calls = { putImageData: 0, cellsUploaded: 0, drawImage: 0, layers: 0 };
+  const layers = createChunkLayers({
+    world,
+    cellColor: (x, y, rec) => {
+      if (!world.isOnPlanet(x, y)) return null;
+      const hex = colorOf(world.palette, rec);
+      return hex ? parseColor(hex) : EMPTY_CELL;
+    },
+    createCanvas: (width, height) => {
+      calls.layers++;
+      return { width, height, getContext: () => stubContext(calls) };
+    },
+    createImageData: (data, width, height) => ({ data, width, height })
+  });
+  const ctx = stubContext(calls);
+  const times = [];
+  let composites = 0, lastKey = '', lastAmbient = -Infinity;
+  for (let f = 0; f < FRAMES; f++) {
+    const ts = f * FRAME_MS;
+    const view = viewAt(world, f);
+    const start = performance.now();
+    if (f % PLACE_EVERY === 0) {
+      const p = placements[f / PLACE_EVERY];
+      layers.setCell(store.set(p.x, p.y, p.cell), p.x, p.y);
+    }
+    // tick
+    const key = `${view.x},${view.y},${view.zoom}`;
+    let changed = layers.flush(store.loadedChunks()) || key !== lastKey;
+    if (ts - lastAmbient >= AMBIENT_INTERVAL) changed = true;
+    if (changed) {
+      lastKey = key;
+      lastAmbient = ts;
+      // drawPlanet's chunk pass: the chunks on screen, blank ones made as the page's ensureChunk does
+      const [x0, y0, x1, y1] = cellsInView(world, view, CANVAS[0], CANVAS[1]);
+      const chunks = world.chunksInRect(x0, y0, x1 + 1, y1 + 1).map(k => store.chunk(k) || store.load(k, {}));
+      layers.draw(ctx, chunks);
+      composites++;
+    }
+    times.push(performance.now() - start);
+  }
+  return { times, composites, calls };
+}
+
+console.log(`${FRAMES} frames at 60 fps on a ${CANVAS.join('×')} canvas, placement every ${PLACE_EVERY} frames, ${FILL_RATIO * 100}% painted\n`);
+for (const which of WORLDS) {
+  const world = loadWorld(which);
+  const { times, composites, calls } = run(world);
+  const sorted = times.slice().sort((a, b) => a - b);
+  const total = times.reduce((a, b) => a + b, 0);
+  const ms = v => v.toFixed(3).padStart(8) + ' ms';
+  console.log(`${world.name} (${world.width}×${world.height}, ${world.chunksX * world.chunksY} chunks)`);
+  console.log(`  per frame   ${ms(total / FRAMES)} mean  ${ms(sorted[Math.floor(FRAMES * 0.95)])} p95  ${ms(sorted[FRAMES - 1])} worst`);
+  console.log(`  composites  ${composites} of ${FRAMES} frames, ${(calls.drawImage / composites).toFixed(1)} chunks drawn each`);
+  console.log(`  uploads     ${calls.layers} chunk layers made, ${(calls.cellsUploaded / FRAMES).toFixed(0)} cells uploaded/frame\n`);
+}
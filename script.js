@@ -1,24 +1,109 @@
-/* Pixel Planet
-   - canvas rendering grid masked to circular planet
-   - localStorage + BroadcastChannel real-time sync
-   - 10s cooldown per user
-   - zoom & pan, pixel pop animations
-   - time-lapse replay
+/* Pixel Planet: the renderer and UI, over a DOM-free core (src/planet.mjs) that holds
+   the world's state, placement rules, cooldown and history replay (tested in test/)
+   - configurable worlds (size, mask, palette: src/world.mjs), ?world=<id> loads worlds/<id>.json
+   - versioned palettes (src/palette.mjs): placements store a color index, admins edit
+     colors in a dialog and edits sync to every tab (or go through the server)
+   - pixels stored in chunks (src/chunks.mjs) that load and render lazily by viewport
+   - each chunk rendered from a persistent pixel buffer
+   - pixels and the whole history kept in IndexedDB (src/storage.mjs), BroadcastChannel
+     real-time sync, optional WebSocket server
+   - 10s cooldown per user, every placement validated (src/rules.mjs)
+   - identities (src/identity.mjs): a keypair per browser signs its placements; the
+     nickname is a display name on top
+   - zoom & pan (src/view.mjs), pixel pop animations
+   - deep links: the URL hash follows the view and the pinned cell; opening one flies there
+   - gestures (src/gestures.mjs) from pointer events: tap to place, long press to inspect,
+     drag or two fingers to pan, pinch to zoom
+   - keyboard play: a cursor that arrow keys move cell by cell, Enter to place, number keys
+     for colors, pan and zoom keys, and a live region announcing cell, color and cooldown
+   - pixel inspector: hover a cell for who placed it, long-press to pin its whole history
+   - templates (src/template.mjs): a reference image over the planet, the cells that still
+     differ and a suggested next pixel
+   - time-lapse: read-only, time-based playback of history with a scrubber (src/playback.mjs)
+   - export: the planet as PNG, the time-lapse as GIF (src/gif.mjs) or WebM, all in the browser
+   - planet files (src/planet-file.mjs): export pixels, history, world and palette; admins
+     import them, merged into the planet or replacing it
+   - moderation (src/moderation.mjs): revert a nickname, roll back a region, undo the last
+     clear, each rebuilt from history and written to the audit log
+   - scripting API (src/api.mjs): window.pixelPlanet places, steers the view, reports
+     placements, clears and syncs, and hands out frozen snapshots
+   - roles (src/roles.mjs): clearing, palette edits and imports need an admin, moderation a
+     moderator; tabs ignore such messages from identities without the role
+   - stats (src/stats.mjs): top placers, most-used colors, placements per hour, and when and
+     where each person drew, computed from history
+   - activity overlay: cells colored by placement count or recency over the last hour, day
+     or all time, in place of their paint
+   - activity feed (src/feed.mjs): history newest first, filtered by person, color and
+     region, rendered as placements arrive; alerts when someone paints over a watched area
 */
 
+import { COOLDOWN, identityOf, createRateLimiter } from './src/rules.mjs';
+import { DEFAULT_WORLD, createWorld, normalizeWorldDef, maskFromRGBA } from './src/world.mjs';
+import { createChunkStore, cellOf } from './src/chunks.mjs';
+import { createPlanet } from './src/planet.mjs';
+import { createGestures } from './src/gestures.mjs';
+import { MIN_ZOOM, canvasToWorld, worldToGrid, gridToWorld, cellsInView, fitZoom, zoomRange, viewCenter, centerOn, viewHash, parseViewHash } from './src/view.mjs';
+import { MAX_COLORS, PALETTE_PRESETS, normalizePalette, applyPaletteEdit, paletteNewer, colorOf, activeColors } from './src/palette.mjs';
+import { parseColor } from './src/pixel-buffer.mjs';
+import { createChunkLayers } from './src/chunk-layers.mjs';
+import { createPlayback } from './src/playback.mjs';
+import { createGIF } from './src/gif.mjs';
+import { AUDIT_LIMIT, normalizeAction, normalizeRegion, regionTest, planUndo, restoreCleared, auditEntry, verifyAudit } from './src/moderation.mjs';
+import { MIN_PASSPHRASE, normalizeRole, can, forbidden, hashPassphrase } from './src/roles.mjs';
+import { createIdentity, normalizeIdentity, cleanName, displayName, signRecord, verifyRecord } from './src/identity.mjs';
+import { openStorage, describeStorageError } from './src/storage.mjs';
+import { createEmitter, createPlanetAPI } from './src/api.mjs';
+import { MAX_PLANET_FILE, encodePlanet, decodePlanet, paletteEdit, importPlanet } from './src/planet-file.mjs';
+import { MAX_TEMPLATE_SIDE, quantize, createTemplate, placeTemplate, templateCellAt, diffTemplate, nextPixel, encodeTemplate, decodeTemplate } from './src/template.mjs';
+import { FEED_PAGE, feedFilter, feedPage, overwrote } from './src/feed.mjs';
+import { HOUR, computeStats, leaderboard, perHour, heatmap, HEAT_STOPS, heatColor } from './src/stats.mjs';
+
 (() => {
-  // Config
-  const GRID_SIZE = 160; // planet grid NxN (keeps performance on mobile)
-  const PIXEL_DISPLAY_SCALE = 4; // base pixel size, will scale with zoom
-  const COOLDOWN = 10 * 1000; // 10 seconds
-  const STORAGE_KEY = 'pixelPlanet_pixels_v1';
-  const HISTORY_KEY = 'pixelPlanet_history_v1';
-  const NICK_KEY = 'pixelPlanet_nick';
-  const PALETTE = [
-    '#00d4ff','#6ef0ff','#9b7cff','#c3a0ff','#ff9bd7',
-    '#ffbd6b','#ffd36b','#7cffc7','#6bffb7','#ffffff',
-    '#ff6b6b','#ff8b8b','#ffd3d3','#c9ffa9','#9bd0ff'
-  ];
+  // Config (storage keys below are the classic planet's; see worldKey for other worlds;
+  // pixels and history live in IndexedDB, see src/storage.mjs)
+  const NICK_KEY = 'pixelPlanet_nick'; // before identities: the typed nickname
+  const UID_KEY = 'pixelPlanet_uid'; // before identities: a random id
+  const IDENTITY_KEY = 'pixelPlanet_identity_v1'; // {id, secret, name, createdAt}: this browser's keypair
+  const LIMITS_KEY = 'pixelPlanet_limits_v1';
+  const MESSAGE_KEY = 'pixelPlanet_message';
+  const SEQ_COUNTER_KEY = 'pixelPlanet_seq';
+  const PALETTE_KEY = 'pixelPlanet_palette_v1'; // the world's palette once edited
+  const AUDIT_KEY = 'pixelPlanet_audit_v1';
+  const ROLES_KEY = 'pixelPlanet_roles_v1'; // local play: {hashes: {role: passphrase hash}, grants: {uid: [{role, since, until}]}}
+  const ROLE_KEY = 'pixelPlanet_role_v1'; // with a server: {role, token} of this identity's sign-in
+  const TEMPLATE_KEY = 'pixelPlanet_template_v1'; // the template over this world, as its file
+  const WATCH_KEY = 'pixelPlanet_watch_v1'; // {region, sound}: the area this browser watches
+  const GRANTS_KEPT = 20; // sign-ins remembered per identity, to check older actions against
+  const SNAPSHOT_INTERVAL = 5 * 1000;
+  const NEED_THROTTLE = 1000;
+  const RECONNECT_MAX = 15 * 1000; // cap for socket reconnect backoff
+  const NET_LABELS = { local: 'Local', connecting: 'Connecting…', online: 'Online', offline: 'Offline' };
+  const EMPTY_CELL = parseColor('rgba(10,12,20,0.4)'); // subtle base for unpainted planet cells
+  const AMBIENT_INTERVAL = 100; // ms between starfield-only recomposites
+  const PLAYBACK_DURATION = 30 * 1000; // a whole time-lapse at 1×
+  const PNG_MAX_SIDE = 8192, ANIM_MAX_SIDE = 1024; // export sizes, in pixels
+  const GIF_FPS = 10, WEBM_FPS = 30;
+  const EXPORT_HOLD = 2000; // ms an exported time-lapse rests on its last frame
+  const EXPORT_BACKGROUND = '#05020a'; // behind the planet in GIFs and videos
+  const CHUNK_WAIT = 10 * 1000; // for the server's chunks before an export gives up
+  const TEMPLATE_DIFF_INTERVAL = 500; // ms between template comparisons
+  const RECENT_AROUND = 4; // placements shown after one the activity feed jumped to
+  const FEED_DELAY = 100; // ms a burst of placements waits, to render the feed once
+  const FEED_VIEW_INTERVAL = 300; // ms between feed updates while "In view" follows the view
+  const FEED_PEOPLE = 200; // people offered in the feed's filter, most recently active first
+  const ALERT_GAP = 5000; // ms between sounds and announcements of watched-area alerts
+  const CURSOR_JUMP = 10; // cells the keyboard cursor moves with Shift held
+  const PAN_STEP = 80; // screen pixels a pan key moves the view
+  const KEY_ZOOM = 1.25; // zoom factor of the + and - keys
+  const HASH_INTERVAL = 500; // ms between URL hash updates while the view moves
+  const FLIGHT_DURATION = 900; // ms the view takes to fly to a link
+  const LINK_ZOOM = 4; // the least zoom a link to a pixel opens at
+  const STATS_INTERVAL = 1000; // ms between stats recomputes while the dialog is open
+  const STATS_TOP = 10, STATS_COLORS = 8;
+  const HEAT_WINDOWS = { hour: HOUR, day: 24 * HOUR, all: Infinity }; // the overlay's time windows
+  const HEAT_INTERVAL = 1000; // ms between overlay rebuilds
+  const HEAT_MAX_SIDE = 1024; // overlay bins a side; bigger worlds share a bin between cells
+  const HEAT_EMPTY = [255, 255, 255, 16]; // planet cells without activity, under a heatmap
 
   // DOM
   const canvas = document.getElementById('scene');
@@ -27,6 +112,20 @@
   const cooldownTimerEl = document.getElementById('cooldown-timer');
   const pixelCountEl = document.getElementById('pixel-count');
   const recentListEl = document.getElementById('recent-list');
+  const recentLatestBtn = document.getElementById('recent-latest');
+  const feedWhoEl = document.getElementById('feed-who');
+  const feedColorEl = document.getElementById('feed-color');
+  const feedWhereEl = document.getElementById('feed-where');
+  const watchAlertsBtn = document.getElementById('watch-alerts');
+  const watchInfoEl = document.getElementById('watch-info');
+  const watchBtn = document.getElementById('watch-btn');
+  const watchClearBtn = document.getElementById('watch-clear');
+  const watchSoundInput = document.getElementById('watch-sound');
+  const inspectorEl = document.getElementById('inspector');
+  const inspectInfoEl = document.getElementById('inspect-info');
+  const inspectListEl = document.getElementById('inspect-list');
+  const inspectUnpinBtn = document.getElementById('inspect-unpin');
+  const inspectLinkBtn = document.getElementById('inspect-link');
   const timelapseBtn = document.getElementById('timelapse-btn');
   const nickInput = document.getElementById('nick');
   const clearBtn = document.getElementById('clear-btn');
@@ -34,137 +133,871 @@
   const colorToggle = document.getElementById('color-toggle');
   const zoomLevelEl = document.getElementById('zoom-level');
   const tooltip = document.getElementById('tooltip');
+  const announcerEl = document.getElementById('announcer');
+  const netStatusEl = document.getElementById('net-status');
+  const storageErrorEl = document.getElementById('storage-error');
+  const paletteEditBtn = document.getElementById('palette-edit-btn');
+  const paletteEditorEl = document.getElementById('palette-editor');
+  const paletteNameInput = document.getElementById('palette-name');
+  const palettePresetEl = document.getElementById('palette-preset');
+  const paletteRowsEl = document.getElementById('palette-rows');
+  const paletteAddBtn = document.getElementById('palette-add');
+  const paletteSaveBtn = document.getElementById('palette-save');
+  const paletteErrorEl = document.getElementById('palette-error');
+  const playbackEl = document.getElementById('playback');
+  const playbackPlayBtn = document.getElementById('playback-play');
+  const playbackScrub = document.getElementById('playback-scrub');
+  const playbackTimeEl = document.getElementById('playback-time');
+  const playbackSpeedEl = document.getElementById('playback-speed');
+  const playbackCloseBtn = document.getElementById('playback-close');
+  const exportBtn = document.getElementById('export-btn');
+  const exportDialogEl = document.getElementById('export-dialog');
+  const exportScaleEl = document.getElementById('export-scale');
+  const exportLightingEl = document.getElementById('export-lighting');
+  const exportFormatEl = document.getElementById('export-format');
+  const exportLengthEl = document.getElementById('export-length');
+  const exportPngBtn = document.getElementById('export-png');
+  const exportTimelapseBtn = document.getElementById('export-timelapse');
+  const exportPlanetBtn = document.getElementById('export-planet');
+  const exportStatusEl = document.getElementById('export-status');
+  const importBtn = document.getElementById('import-btn');
+  const importDialogEl = document.getElementById('import-dialog');
+  const importFileInput = document.getElementById('import-file');
+  const importInfoEl = document.getElementById('import-info');
+  const importModeEl = document.getElementById('import-mode');
+  const importErrorEl = document.getElementById('import-error');
+  const importApplyBtn = document.getElementById('import-apply');
+  const moderateBtn = document.getElementById('moderate-btn');
+  const moderationEl = document.getElementById('moderation');
+  const modActionEl = document.getElementById('mod-action');
+  const modWhoEl = document.getElementById('mod-who');
+  const modSinceInput = document.getElementById('mod-since');
+  const modShapeEl = document.getElementById('mod-shape');
+  const modPickBtn = document.getElementById('mod-pick');
+  const modRegionEl = document.getElementById('mod-region');
+  const modToInput = document.getElementById('mod-to');
+  const modClearInfoEl = document.getElementById('mod-clear-info');
+  const modPreviewEl = document.getElementById('mod-preview');
+  const modErrorEl = document.getElementById('mod-error');
+  const modApplyBtn = document.getElementById('mod-apply');
+  const auditListEl = document.getElementById('audit-list');
+  const roleBtn = document.getElementById('role-btn');
+  const templateBtn = document.getElementById('template-btn');
+  const templateNextBtn = document.getElementById('template-next');
+  const templateDialogEl = document.getElementById('template-dialog');
+  const templateNameEl = document.getElementById('template-name');
+  const templateFileInput = document.getElementById('template-file');
+  const templateToolsEl = document.getElementById('template-tools');
+  const templateXInput = document.getElementById('template-x');
+  const templateYInput = document.getElementById('template-y');
+  const templateSizeInput = document.getElementById('template-size');
+  const templateOpacityInput = document.getElementById('template-opacity');
+  const templateDiffInput = document.getElementById('template-diff');
+  const templateStatusEl = document.getElementById('template-status');
+  const templatePlaceBtn = document.getElementById('template-place');
+  const templateShareBtn = document.getElementById('template-share');
+  const templateRemoveBtn = document.getElementById('template-remove');
+  const templateErrorEl = document.getElementById('template-error');
+  const heatToggle = document.getElementById('heat-toggle');
+  const heatLegendEl = document.getElementById('heat-legend');
+  const heatModeEl = document.getElementById('heat-mode');
+  const heatWindowEl = document.getElementById('heat-window');
+  const heatLowEl = document.getElementById('heat-low');
+  const heatHighEl = document.getElementById('heat-high');
+  const heatRampEl = document.getElementById('heat-ramp');
+  const heatInfoEl = document.getElementById('heat-info');
+  const statsBtn = document.getElementById('stats-btn');
+  const statsDialogEl = document.getElementById('stats-dialog');
+  const statsSummaryEl = document.getElementById('stats-summary');
+  const statsRankEl = document.getElementById('stats-rank');
+  const statsTopEl = document.getElementById('stats-top');
+  const statsColorsEl = document.getElementById('stats-colors');
+  const statsHoursEl = document.getElementById('stats-hours');
+  const statsWhoEl = document.getElementById('stats-who');
+  const statsPersonEl = document.getElementById('stats-person');
+  const statsHeatCanvas = document.getElementById('stats-heat');
+  const rolesEl = document.getElementById('roles');
+  const roleInfoEl = document.getElementById('role-info');
+  const rolePassInput = document.getElementById('role-passphrase');
+  const roleSignInBtn = document.getElementById('role-signin');
+  const roleSignOutBtn = document.getElementById('role-signout');
+  const roleSetupEl = document.getElementById('role-setup');
+  const roleSetupInfoEl = document.getElementById('role-setup-info');
+  const roleAdminInput = document.getElementById('role-admin-pass');
+  const roleModInput = document.getElementById('role-mod-pass');
+  const roleSaveBtn = document.getElementById('role-save');
+  const roleErrorEl = document.getElementById('role-error');
 
   let devicePixelRatio = Math.min(window.devicePixelRatio || 1, 2.5);
 
   // State
   let canvasW = 1000, canvasH = 700;
   let view = { x: 0, y: 0, zoom: 1 }; // pan & zoom
-  let dragging = false, dragStart = null;
-  let selectedColor = PALETTE[0];
-  let pixels = {}; // key "x,y" => {c:color, t:timestamp, nick}
-  let history = []; // array of placements {x,y,c,t,nick}
+  let world = createWorld(DEFAULT_WORLD);
+  let core = null; // the world's state, placement rules and history (src/planet.mjs); made by setWorld
+  let selectedColor = 0; // palette index
   let anims = []; // active animations {x,y,progress,scale,alpha}
   let lastTick = performance.now();
   let planetRotation = 0; // radians
+  let layers = null; // the chunks' pixel buffers and canvases (src/chunk-layers.mjs); made by setWorld
+  let renderDirty = true; // something besides the view and the chunk buffers changed since the last composite
+  let lastSceneKey = '', lastAmbient = 0;
   let cooldownUntil = 0;
-  let bc = null;
-
-  // Try BroadcastChannel for realtime; fallback to storage events
-  try {
-    bc = new BroadcastChannel('pixel-planet-channel');
-    bc.onmessage = (ev) => {
-      if (!ev.data) return;
-      handleRemote(ev.data);
+  let clockOffset = 0; // ms a server's clock is ahead of ours: placements are stamped by its clock
+  const limiter = createRateLimiter(COOLDOWN, readJSON(LIMITS_KEY));
+  const identity = loadIdentity();
+  const uid = identity.id;
+  let transport = null;
+  let audit = []; // moderation log, oldest first
+  let session = { role: 'visitor', token: null }; // sign-in with a server (local play: rolesConfig)
+  let serverNonce = ''; // the server's sign-in challenge for this connection
+  const pending = new Map(); // own placements the server hasn't echoed: id => previous cell
+  let dirty = false, snapshotTimer = null;
+  let lastNeedAt = 0, needTimer = null, needSince = Infinity; // catch-up requests
+  const chunkRequests = new Set(); // chunk keys to ask the server for
+  const events = createEmitter(); // the core's 'place', 'clear' and 'sync', across worlds
+  events.on('place', placed);
+  events.on('place', feedPlaced);
+  ['clear', 'sync'].forEach(type => events.on(type, () => scheduleFeed()));
+
+  // Transports: each one carries place/clear/sync messages to other clients and
+  // hands incoming ones to handleRemote. "local" syncs tabs of this browser on the
+  // same world, "socket" talks to a server (see server/server.mjs), picked via
+  // ?server=ws://host:port; the server decides the world
+  function createLocalTransport() {
+    // Try BroadcastChannel for realtime; fallback to storage events
+    const channel = world.id === DEFAULT_WORLD.id ? 'pixel-planet-channel' : `pixel-planet-channel:${world.id}`;
+    const messageKey = worldKey(MESSAGE_KEY);
+    let bc = null;
+    try {
+      bc = new BroadcastChannel(channel);
+      bc.onmessage = (ev) => {
+        if (!ev.data) return;
+        handleRemote(ev.data);
+      };
+    } catch (e) {
+      bc = null;
+      window.addEventListener('storage', (ev) => {
+        if (ev.key === messageKey) {
+          const d = JSON.parse(ev.newValue || '{}');
+          handleRemote(d);
+        }
+      });
+    }
+    setNetStatus('local');
+    return {
+      kind: 'local',
+      send(msg) {
+        if (bc) bc.postMessage(msg);
+        else localStorage.setItem(messageKey, JSON.stringify({ ...msg, stamp: Date.now() }));
+      }
     };
-  } catch (e) {
-    bc = null;
-    window.addEventListener('storage', (ev) => {
-      if (ev.key === STORAGE_KEY || ev.key === HISTORY_KEY) {
-        loadFromStorage();
-      } else if (ev.key === 'pixelPlanet_message') {
-        const d = JSON.parse(ev.newValue || '{}');
-        handleRemote(d);
+  }
+
+  function createSocketTransport(url) {
+    let ws = null, retries = 0, ready = false;
+    const outbox = []; // placements/clears made while disconnected
+    function connect() {
+      setNetStatus('connecting');
+      try { ws = new WebSocket(url); } catch (e) { ws = null; return reconnectLater(); }
+      ws.onopen = () => {
+        retries = 0;
+        setNetStatus('online');
+        // the server opens with its world; handleRemote calls resume() once it's applied
+      };
+      ws.onmessage = (ev) => {
+        let data;
+        try { data = JSON.parse(ev.data); } catch (e) { return; }
+        handleRemote(data);
+      };
+      ws.onclose = () => {
+        ws = null;
+        ready = false;
+        // chunk requests in flight died with the socket; asked again when next visible
+        chunkRequests.forEach(k => core.store.unload(k));
+        chunkRequests.clear();
+        setNetStatus('offline');
+        reconnectLater();
+      };
+    }
+    function reconnectLater() {
+      const delay = Math.min(RECONNECT_MAX, 500 * Math.pow(2, retries++));
+      setTimeout(connect, delay);
+    }
+    connect();
+    return {
+      kind: 'socket',
+      get ready() { return ready; },
+      send(msg) {
+        if (ws && ws.readyState === WebSocket.OPEN && ready) ws.send(JSON.stringify(msg));
+        else if (msg.type === 'place' || msg.type === 'clear') outbox.push(msg);
+      },
+      // world is in place: flush what queued up and resync (deltas, or the full state)
+      resume(worldChanged) {
+        ready = true;
+        if (worldChanged) outbox.length = 0; // made on another world
+        outbox.splice(0).forEach(m => ws.send(JSON.stringify(m)));
+        ws.send(JSON.stringify({ type: 'need', since: core.seq }));
       }
-    });
+    };
   }
 
-  // Helpers: storage
-  function saveToStorage() {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(pixels));
-      localStorage.setItem(HISTORY_KEY, JSON.stringify(history.slice(-5000)));
-      // notify other tabs
-      const msg = { type: 'sync', pixels: null, recent: null, stamp: Date.now() };
-      if (bc) bc.postMessage(msg);
-      else localStorage.setItem('pixelPlanet_message', JSON.stringify(msg));
-    } catch (e) { console.warn('save fail', e); }
-    updateUI();
+  function serverUrlFromLocation() {
+    const params = new URLSearchParams(location.search);
+    if (!params.has('server')) return null;
+    const url = params.get('server');
+    if (url) return url;
+    // bare ?server -> the host that served this page
+    return (location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/ws';
+  }
+
+  function setNetStatus(status) {
+    netStatusEl.textContent = NET_LABELS[status] || status;
+    netStatusEl.dataset.status = status;
   }
+
+  // Persistence (src/storage.mjs): every placement goes into the stored history as it
+  // happens; changed chunks and the seq they're current to are snapshotted at most every
+  // SNAPSHOT_INTERVAL, and a chunk loading later replays the placements newer than that.
+  // With a server, chunks aren't kept: they always come fresh from the server.
+  let storage = null; // the open database; null if this browser can't store anything
+  let storagePrefix = 'pixelPlanet_';
+  let wipeChunks = false; // a clear happened; stored chunks go on the next snapshot
+  let rewriteHistory = false; // a clear or moderation changed history; stored whole on the next snapshot
+  const historyQueue = []; // placements not yet handed to storage
+  let historyTimer = null;
+  function worldKey(base) {
+    return base.replace('pixelPlanet_', storagePrefix);
+  }
+  function markDirty() {
+    dirty = true;
+    if (!snapshotTimer) snapshotTimer = setTimeout(saveSnapshot, SNAPSHOT_INTERVAL);
+  }
+  // resolves once written (or skipped because another tab stored a newer one)
+  function saveSnapshot() {
+    clearTimeout(snapshotTimer);
+    snapshotTimer = null;
+    if (!dirty || !storage) return Promise.resolve();
+    dirty = false;
+    const prefix = storagePrefix;
+    const meta = { seq: core.seq, clearSeq: core.clearSeq, stamp: Date.now() };
+    const chunks = {}, written = []; // only chunks that changed since the last snapshot
+    if (transport.kind === 'local') {
+      core.store.loadedChunks().forEach(chunk => {
+        if (!chunk.dirty) return;
+        chunks[chunk.key] = { cells: chunk.cells, seq: core.seq };
+        chunk.dirty = false;
+        written.push(chunk);
+      });
+      meta.index = core.store.index();
+    }
+    const snap = { meta, chunks, wipe: wipeChunks, history: rewriteHistory ? core.history : null };
+    wipeChunks = rewriteHistory = false;
+    flushHistory();
+    return storage.snapshot(prefix, snap).then(savedOK, e => {
+      saveFailed(e);
+      if (prefix !== storagePrefix) return;
+      // the next snapshot tries again
+      written.forEach(chunk => { chunk.dirty = true; });
+      if (snap.wipe) wipeChunks = true;
+      if (snap.history) rewriteHistory = true;
+      dirty = true;
+    });
+  }
+  function appendHistory(p) {
+    if (!storage) return;
+    historyQueue.push(p);
+    if (!historyTimer) historyTimer = setTimeout(flushHistory, 0); // a burst goes in one write
+  }
+  function flushHistory() {
+    clearTimeout(historyTimer);
+    historyTimer = null;
+    if (!historyQueue.length) return;
+    const prefix = storagePrefix, entries = historyQueue.splice(0);
+    storage.append(prefix, entries).then(savedOK, e => {
+      saveFailed(e);
+      if (prefix === storagePrefix) historyQueue.unshift(...entries); // with the next write
+    });
+  }
+  // history and the chunk index; chunks themselves load as they come into view
   function loadFromStorage() {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      const hraw = localStorage.getItem(HISTORY_KEY);
-      if (raw) pixels = JSON.parse(raw);
-      if (hraw) history = JSON.parse(hraw);
-    } catch (e) {
+    setAudit(readJSON(worldKey(AUDIT_KEY)) || []);
+    if (!storage) {
+      updateUI();
+      return Promise.resolve();
+    }
+    const prefix = storagePrefix;
+    return storage.load(prefix).then(saved => {
+      if (prefix !== storagePrefix) return; // switched worlds meanwhile
+      pending.clear();
+      core.load({ history: saved.history, seq: saved.meta.seq, clearSeq: saved.meta.clearSeq, index: saved.meta.index });
+      resetStore();
+      // placed after the snapshot, or before it but unseen by the tab that wrote it:
+      // their chunks have contents the index may not know of
+      core.history.forEach(e => {
+        const key = world.chunkKey(e.x, e.y);
+        if (!core.store.hasContent(key)) core.store.addCount(key, 1);
+      });
+      updateUI();
+    }).catch(e => {
       console.warn('load fail', e);
+      showStorageError(`Saved pixels couldn't be loaded: ${describeStorageError(e)}`);
+    });
+  }
+
+  // Storage problems stay on screen until a save goes through
+  function saveFailed(e) {
+    console.warn('save fail', e);
+    showStorageError(`Not saved: ${describeStorageError(e)}. New pixels may be gone after a reload.`, 'save');
+  }
+  function savedOK() {
+    if (storageErrorEl.dataset.kind === 'save') showStorageError('');
+  }
+  // kind: 'save' clears on the next successful save; others stay
+  function showStorageError(msg, kind = 'load') {
+    storageErrorEl.hidden = !msg;
+    storageErrorEl.textContent = msg;
+    storageErrorEl.dataset.kind = kind;
+  }
+
+  function readJSON(key) {
+    try { return JSON.parse(localStorage.getItem(key) || 'null'); } catch (e) { return null; }
+  }
+
+  // This browser's identity: its public key is the uid placements are signed with, so
+  // cooldowns, roles and moderation follow the person rather than the typed nickname
+  function loadIdentity() {
+    const saved = normalizeIdentity(readJSON(IDENTITY_KEY));
+    if (saved) return saved;
+    // the nickname typed before identities existed becomes the display name
+    const created = createIdentity(localStorage.getItem(NICK_KEY) || '');
+    saveIdentity(created);
+    localStorage.removeItem(NICK_KEY);
+    localStorage.removeItem(UID_KEY);
+    return created;
+  }
+  function saveIdentity(id) {
+    try { localStorage.setItem(IDENTITY_KEY, JSON.stringify(id)); } catch (e) { saveFailed(e); }
+  }
+
+  // Sequence numbers: a server assigns them; tabs without one share a counter in localStorage.
+  // Takes n in a row, returns the first.
+  function nextLocalSeq(n = 1) {
+    const seq = Math.max(core.seq, Number(localStorage.getItem(worldKey(SEQ_COUNTER_KEY))) || 0) + 1;
+    localStorage.setItem(worldKey(SEQ_COUNTER_KEY), String(seq + n - 1));
+    return seq;
+  }
+
+  // Ask for placements after the latest we have (server or, locally, any tab that is ahead)
+  function requestDeltas(since = core.seq) {
+    needSince = Math.min(needSince, since);
+    const now = Date.now();
+    if (now - lastNeedAt < NEED_THROTTLE) {
+      // throttled: ask once more when the window ends
+      if (!needTimer) needTimer = setTimeout(() => { needTimer = null; requestDeltas(); }, NEED_THROTTLE);
+      return;
     }
-    updateUI();
+    lastNeedAt = now;
+    transport.send({ type: 'need', since: needSince, stamp: now });
+    needSince = Infinity;
+  }
+  // for a tab that missed a clear: the chunks we hold, the rest it reads from storage
+  function fullState() {
+    const chunks = {};
+    core.store.loadedChunks().forEach(c => { chunks[c.key] = c.cells; });
+    return {
+      type: 'sync', world: world.id, index: core.store.index(), chunks,
+      history: core.history, seq: core.seq, clearSeq: core.clearSeq, audit, stamp: Date.now()
+    };
+  }
+
+  // Chunks: visible ones load on demand, from storage locally or from the server;
+  // null while on their way
+  function ensureChunk(key) {
+    const chunk = core.store.chunk(key);
+    if (chunk) return chunk.state === 'loaded' ? chunk : null;
+    if (transport.kind === 'socket') return requestChunk(key);
+    if (!core.store.hasContent(key) || !storage) return core.store.load(key, {});
+    readChunk(key);
+    return null;
+  }
+  // a stored chunk, brought up to date with history: all of it, since another tab may have
+  // written the chunk before placements numbered earlier reached it (each cell keeps the latest)
+  function readChunk(key) {
+    const s = core.store;
+    s.markLoading(key);
+    storage.chunk(storagePrefix, key).then(rec => {
+      if (s !== core.store) return; // reset meanwhile (clear, resync, another world)
+      const chunk = core.loadChunk(key, rec && rec.cells);
+      if (chunk.dirty) markDirty();
+      layers.refresh(chunk);
+    }, e => {
+      if (s === core.store) s.unload(key); // asked again when next needed
+      console.warn('load fail', e);
+    });
+  }
+  // resolves once every key's chunk is loaded
+  function loadChunks(keys, wait = CHUNK_WAIT) {
+    keys.forEach(ensureChunk);
+    const s = core.store, started = Date.now();
+    return new Promise((resolve, reject) => {
+      (function check() {
+        if (s !== core.store) return reject(new Error('The planet was reloaded; try again'));
+        if (keys.every(k => s.isLoaded(k))) return resolve();
+        if (Date.now() - started > wait) return reject(new Error('Some chunks didn\'t arrive; try again'));
+        setTimeout(check, 20);
+      })();
+    });
+  }
+  function requestChunk(key) {
+    if (!transport.ready) return null;
+    core.store.markLoading(key);
+    if (!chunkRequests.size) setTimeout(sendChunkRequests, 0); // batch this frame's misses
+    chunkRequests.add(key);
+    return null;
+  }
+  function sendChunkRequests() {
+    const keys = [...chunkRequests].filter(k => !core.store.isLoaded(k));
+    if (keys.length) transport.send({ type: 'chunks', keys });
+  }
+  function receiveChunks(chunks) {
+    Object.entries(chunks).forEach(([key, cells]) => {
+      if (!chunkRequests.delete(key)) return; // not asked for (or asked before a resync)
+      // own placements the server hasn't confirmed yet stay visible
+      const chunk = core.loadChunk(key, cells, p => pending.has(p.id));
+      chunk.dirty = false;
+      layers.refresh(chunk);
+    });
+  }
+  // the core's store was replaced: chunk requests for the old one are void, and all is redrawn
+  function resetStore() {
+    chunkRequests.clear();
+    renderDirty = true;
   }
 
   function handleRemote(data) {
     // "place" message or sync
     if (!data) return;
-    if (data.type === 'place') {
-      applyPlacement(data.payload, false);
+    const fromServer = transport.kind === 'socket';
+    if (data.type === 'world') {
+      // the server opens with the world it runs (and its chunk index); catch up once it's in place
+      if (!fromServer) return;
+      serverNonce = typeof data.nonce === 'string' ? data.nonce : '';
+      syncClock(data);
+      adoptWorld(data.world).then(changed => {
+        if (data.palette) setPalette(normalizePalette(data.palette));
+        if (data.audit) setAudit(data.audit);
+        // a sign-in from an earlier connection carries over
+        if (session.token) sendAuth({ role: session.role, token: session.token });
+        core.store.setIndex(data.index);
+        transport.resume(changed);
+      }).catch(e => flashTooltip(e.message));
+    } else if (data.type === 'chunks') {
+      receiveChunks(data.chunks || {});
+    } else if (data.type === 'place') {
+      const p = data.payload;
+      if (p && p.id && core.has(p.id)) {
+        // our own placement echoed back with its sequence number
+        confirmPlacement(p);
+        return;
+      }
+      if (p && p.seq > core.seq + 1) requestDeltas();
+      // the server enforced cooldowns already; other tabs get checked here, and what
+      // fails (too soon, badly signed) is dropped: it was never ours to explain
+      const verdict = core.accept(p, fromServer ? 'server' : 'peer');
+      // a newly painted cell in a chunk we don't hold still counts
+      if (verdict.ok && data.fresh && !core.store.isLoaded(world.chunkKey(p.x, p.y))) core.store.addCount(world.chunkKey(p.x, p.y), 1);
+    } else if (data.type === 'reject') {
+      // server refused one of ours: show why and undo it
+      flashTooltip(data.reason || 'Placement rejected');
+      if (data.code === 'auth') {
+        setSession({ role: 'visitor' });
+        if (rolesEl.open) showRoleError(data.reason);
+        return;
+      }
+      if (['palette', 'moderate', 'import', 'forbidden'].includes(data.code)) return; // a refused edit or action; nothing to undo
+      if (data.wait) cooldownUntil = Math.max(cooldownUntil, Date.now() + data.wait);
+      if (data.payload && pending.has(data.payload.id)) rollbackPlacement(data.payload.id);
+      else requestDeltas();
+    } else if (data.type === 'role') {
+      // the server signed us in (or out)
+      setSession(data);
+      if (rolesEl.open) renderRoles();
+    } else if (data.type === 'palette') {
+      // another tab's edit, or one the server accepted (its word is final); a tab's
+      // palette, clear or full state not signed by someone allowed to is ignored
+      let palette;
+      try { palette = normalizePalette(data.palette); } catch (e) { return; }
+      if (!fromServer && !paletteNewer(palette, world.palette)) return;
+      if (!fromServer && !(verifyRecord('palette', JSON.stringify(data.palette), data.uid, data.sig) &&
+          can(localRole(data.uid, palette.updatedAt), 'palette'))) return;
+      setPalette(palette);
+      if (paletteEditorEl.open) showPaletteError('Someone else changed the palette meanwhile.');
     } else if (data.type === 'clear') {
-      pixels = {}; history = []; saveToStorage();
+      if (data.seq && data.seq <= core.clearSeq) return;
+      if (!fromServer && !authorizedBy(data.audit)) return;
+      applyClear(data.seq || core.clearSeq);
+      if (data.audit) addAudit(data.audit);
+    } else if (data.type === 'need') {
+      // another tab catching up; the server answers these itself
+      if (fromServer || !(core.seq > data.since)) return;
+      if (data.since < core.clearSeq) transport.send(fullState());
+      else transport.send({ type: 'delta', entries: core.history.filter(e => e.seq > data.since), seq: core.seq });
+    } else if (data.type === 'delta') {
+      if (fromServer) syncClock(data);
+      applyDeltas(data.entries || [], fromServer);
     } else if (data.type === 'sync') {
-      // just reload
-      loadFromStorage();
-    }
-  }
-
-  // Apply placement (local or remote)
-  function applyPlacement(p, local = true) {
-    const key = `${p.x},${p.y}`;
-    pixels[key] = { c: p.c, t: p.t, nick: p.nick || '' };
-    history.push(p);
-    // animation
-    anims.push({ x: p.x, y: p.y, start: performance.now(), dur: 450 });
-    if (local) {
-      // broadcast
-      const msg = { type: 'place', payload: p };
-      if (bc) bc.postMessage(msg);
-      else localStorage.setItem('pixelPlanet_message', JSON.stringify(msg));
-      saveToStorage();
-    } else {
-      // remote placement -> update UI and save
-      saveToStorage();
+      if (data.world && data.world !== world.id) return;
+      if (fromServer) syncClock(data);
+      if (!fromServer && data.chunks && data.clearSeq > core.clearSeq &&
+          !authorizedBy((data.audit || []).find(a => a.seq === data.clearSeq))) return;
+      if (fromServer || (data.chunks && data.clearSeq > core.clearSeq)) {
+        // full state: authoritative from the server (chunks follow on request),
+        // or a tab that saw a newer clear; that tab has stored the chunks it cleared,
+        // the ones it sends are those it holds
+        pending.clear();
+        if (data.audit) setAudit(data.audit);
+        rewriteHistory = true;
+        markDirty();
+        core.load(fromServer ? { ...data, history: keptHistory(data) } : data);
+        resetStore();
+        updateUI();
+      } else if (data.history) {
+        applyDeltas(data.history || [], fromServer);
+      } else {
+        // just reload
+        loadFromStorage();
+      }
     }
+  }
+
+  // A server's full state holds the window of history it keeps; placements it trimmed
+  // (from up to trimmed.t, since trimmed.after) stay here as stored. Moderation never
+  // reaches back that far, so none of them was undone.
+  function keptHistory(data) {
+    const history = data.history || [], trimmed = data.trimmed;
+    if (!trimmed) return history;
+    const ids = new Set(history.map(e => e.id));
+    return core.history.filter(e => e.seq > trimmed.after && e.t <= trimmed.t && !ids.has(e.id)).concat(history);
+  }
+
+  // the server's clock, from the stamp on its world, delta and sync messages
+  function syncClock(data) {
+    if (Number.isFinite(data.stamp)) clockOffset = data.stamp - Date.now();
+  }
+
+  // trusted: a server's (it checked them); another tab's are checked here (core.merge)
+  function applyDeltas(entries, trusted) {
+    core.merge(entries, { trusted }).forEach(numbered);
+    updateUI();
+  }
+
+  // Every placement passes the core's gate (core.accept): own clicks, other tabs, the
+  // server and window.pixelPlanet. Here the ones that got in are drawn, stored and
+  // passed on; quiet ones (bulk catch-up) skip the pop animation.
+  function placed(p, { local, quiet, prev, won }) {
+    if (local && transport.kind === 'socket') pending.set(p.id, prev);
+    if (!quiet) recordHit(p);
+    redrawCell(p.x, p.y);
+    if (won && !quiet && !playback && core.store.isLoaded(world.chunkKey(p.x, p.y))) {
+      anims.push({ x: p.x, y: p.y, start: performance.now(), dur: 450 });
+    }
+    appendHistory(p);
+    // broadcast
+    if (local) transport.send({ type: 'place', payload: p });
+    markDirty();
+    updateUI();
+  }
+
+  // the core's limiter counted p: cooldowns outlive reloads, and ours shows
+  function recordHit(p) {
+    try { localStorage.setItem(LIMITS_KEY, JSON.stringify(limiter)); } catch (e) { saveFailed(e); }
+    if (identityOf(p) === identityOf({ uid })) {
+      cooldownUntil = Date.now() + core.cooldown();
+      if (!cooldownTicking) startCooldownTicker();
+    }
+  }
+
+  // write (or with null, erase) a cell and its rendered pixel
+  function setCell(x, y, rec) {
+    layers.setCell(rec ? core.store.set(x, y, rec) : core.store.delete(x, y), x, y);
+  }
+  // a cell the core changed, drawn again if its chunk is here (one on its way is drawn whole when it comes)
+  function redrawCell(x, y) {
+    const key = world.chunkKey(x, y);
+    if (core.store.isLoaded(key)) layers.setCell(core.store.chunk(key), x, y);
+  }
+
+  // The server echoes our placements back numbered; adopt the number
+  function confirmPlacement(p) {
+    if (!p.seq) return;
+    pending.delete(p.id);
+    const own = core.confirm(p);
+    if (own) numbered(own);
+  }
+  // one of ours got its number: stored again with it
+  function numbered(own) {
+    pending.delete(own.id);
+    appendHistory(own);
+    markDirty();
+  }
+
+  function rollbackPlacement(id) {
+    const prev = pending.get(id);
+    pending.delete(id);
+    const p = core.remove(id, prev);
+    if (!p) return;
+    if (storage) storage.forget(storagePrefix, [id]).catch(saveFailed);
+    redrawCell(p.x, p.y);
+    markDirty();
+    scheduleFeed();
+    updateUI();
+  }
+
+  function applyClear(seq) {
+    core.clear(seq);
+    resetStore();
+    wipeChunks = rewriteHistory = true;
+    pending.clear();
+    dirty = true;
+    saveSnapshot();
     updateUI();
   }
 
   // UI setup
+  // swatches for the colors that can be placed (retired ones are left out)
   function buildPalette() {
     paletteEl.innerHTML = '';
-    PALETTE.forEach((c, i) => {
+    const active = activeColors(world.palette);
+    if (!active.includes(selectedColor)) selectedColor = active[0];
+    active.forEach((i) => {
+      const c = world.palette.colors[i];
       const sw = document.createElement('div');
-      sw.className = 'color-swatch' + (i===0 ? ' selected' : '');
-      sw.style.background = c;
-      sw.dataset.color = c;
-      sw.addEventListener('click', () => {
-        document.querySelectorAll('.color-swatch').forEach(s=>s.classList.remove('selected'));
-        sw.classList.add('selected');
-        selectedColor = c;
-      });
+      sw.className = 'color-swatch' + (i === selectedColor ? ' selected' : '');
+      sw.style.background = c.hex;
+      sw.title = c.name;
+      sw.dataset.index = i;
+      sw.addEventListener('click', () => selectColor(i));
       paletteEl.appendChild(sw);
     });
+    fillFeedColors();
+    scheduleFeed(); // its color boxes
+  }
+  function selectColor(i) {
+    selectedColor = i;
+    paletteEl.querySelectorAll('.color-swatch').forEach(s => s.classList.toggle('selected', Number(s.dataset.index) === i));
   }
 
   function updateUI() {
-    pixelCountEl.textContent = Object.keys(pixels).length;
-    // recent
-    const recent = history.slice(-8).reverse();
-    recentListEl.innerHTML = recent.map(r => {
-      const time = new Date(r.t);
-      const name = r.nick ? sanitize(r.nick) : 'anon';
-      const colorBox = `<span style="display:inline-block;width:12px;height:12px;background:${r.c};border-radius:3px;margin-right:8px;vertical-align:middle;border:1px solid rgba(255,255,255,0.06)"></span>`;
-      return `<div class="recent-item"><div>${colorBox}<strong>${name}</strong> <span style="opacity:.7;margin-left:6px;font-size:12px">${time.toLocaleTimeString()}</span></div><div style="opacity:.9">(${r.x},${r.y})</div></div>`;
-    }).join('');
-    // cooldown display
+    pixelCountEl.textContent = core.store.count();
+    renderInspector();
+    cooldownTimerEl.textContent = cooldownText();
+  }
+  function cooldownText() {
     const now = Date.now();
-    if (cooldownUntil && cooldownUntil > now) {
-      const s = Math.ceil((cooldownUntil - now) / 1000);
-      cooldownTimerEl.textContent = `Wait ${s}s`;
-    } else {
-      cooldownTimerEl.textContent = 'Ready';
+    return cooldownUntil > now ? `Wait ${Math.ceil((cooldownUntil - now) / 1000)}s` : 'Ready';
+  }
+
+  // Activity feed (src/feed.mjs): history newest first through the filters, a page more
+  // each time the list scrolls to its end; rendered when placements, clears and syncs
+  // arrive (a burst once), not every frame
+  let recentFocus = null; // id of the placement the feed jumped to; null follows the latest
+  let feedMatch = feedFilter();
+  let feedLimit = FEED_PAGE; // entries shown
+  let feedNext = 0; // where older entries start in history (0: none)
+  let feedTimer = null;
+  let feedViewKey = '', lastFeedViewAt = 0;
+  function scheduleFeed() {
+    if (!feedTimer) feedTimer = setTimeout(renderFeed, FEED_DELAY);
+  }
+  function feedPlaced(p, details) {
+    // scrolled back, the entries in sight stay put as newer ones arrive above
+    if (recentListEl.scrollTop > 0 && feedMatch(p)) feedLimit++;
+    scheduleFeed();
+    if (watchInside && overwrote(p, details, watchInside, identityOf({ uid }))) watchAlert();
+  }
+  function renderFeed() {
+    clearTimeout(feedTimer);
+    feedTimer = null;
+    if (recentFocus && !core.has(recentFocus)) recentFocus = null;
+    const page = feedPage(core.history, feedMatch, { limit: feedLimit });
+    feedNext = page.next;
+    // built as elements: ids come from the network, so none goes through markup
+    const rows = page.entries.map(r => {
+      const row = document.createElement('div');
+      row.className = 'recent-item' + (r.id === recentFocus ? ' focused' : '');
+      if (r.id) row.dataset.id = r.id;
+      row.innerHTML = `<div>${colorBox(r)}<strong>${displayName(r.nick, r.uid)}</strong> <span style="opacity:.7;margin-left:6px;font-size:12px">${new Date(r.t).toLocaleTimeString()}</span></div><div style="opacity:.9">(${r.x},${r.y})</div>`;
+      return row;
+    });
+    const endEl = document.createElement('div');
+    endEl.className = 'small feed-end';
+    endEl.textContent = page.next ? 'Scroll for older' : page.entries.length ? 'Start of history' : core.history.length ? 'Nothing matches' : 'No placements yet';
+    // the first entry in sight keeps its place on screen
+    const top = recentListEl.scrollTop;
+    const anchor = top > 0 && [...recentListEl.children].find(el => el.dataset.id && el.offsetTop + el.offsetHeight > top);
+    const offset = anchor ? anchor.offsetTop - top : 0;
+    recentListEl.replaceChildren(...rows, endEl);
+    const item = recentFocus && rows.find(el => el.dataset.id === recentFocus);
+    const kept = anchor && rows.find(el => el.dataset.id === anchor.dataset.id);
+    if (item) item.scrollIntoView({ block: 'nearest' });
+    else if (kept) recentListEl.scrollTop = kept.offsetTop - offset;
+    recentLatestBtn.hidden = !recentFocus && recentListEl.scrollTop <= 0;
+  }
+  function onFeedScroll() {
+    recentLatestBtn.hidden = !recentFocus && recentListEl.scrollTop <= 0;
+    if (feedNext && recentListEl.scrollTop + recentListEl.clientHeight >= recentListEl.scrollHeight - 40) {
+      feedLimit += FEED_PAGE;
+      renderFeed();
     }
-    // recent list small
+  }
+  // the filters picked, back to the latest matches
+  function setFeedFilter() {
+    const where = feedWhereEl.value;
+    let region = null;
+    if (where === 'view') region = { rect: visibleCells() };
+    else if (where === 'watch') region = watchRegion;
+    feedMatch = feedFilter({
+      who: feedWhoEl.value,
+      ci: feedColorEl.value === '' ? null : Number(feedColorEl.value),
+      region: region && normalizeRegion(region, world)
+    });
+    feedLimit = FEED_PAGE;
+    recentListEl.scrollTop = 0;
+    renderFeed();
+  }
+  // "In view" follows the view, at most every FEED_VIEW_INTERVAL
+  function refreshFeedView(now) {
+    if (feedWhereEl.value !== 'view' || now - lastFeedViewAt < FEED_VIEW_INTERVAL) return;
+    lastFeedViewAt = now;
+    const key = `${world.id},${visibleCells()}`;
+    if (key === feedViewKey) return;
+    feedViewKey = key;
+    setFeedFilter();
+  }
+  // people in history, most recently active first, with ourselves first
+  function fillFeedPeople() {
+    const picked = feedWhoEl.value, me = identityOf({ uid });
+    const people = new Map([[me, 'You']]);
+    for (let i = core.history.length - 1; i >= 0 && people.size < FEED_PEOPLE; i--) {
+      const e = core.history[i], key = identityOf(e);
+      if (!people.has(key)) people.set(key, displayName(e.nick, e.uid));
+    }
+    if (picked && !people.has(picked)) people.set(picked, feedWhoEl.selectedOptions[0].textContent);
+    feedWhoEl.length = 1; // "Anyone"
+    people.forEach((name, key) => feedWhoEl.add(new Option(name, key)));
+    feedWhoEl.value = picked;
+  }
+  // every color of the palette, retired ones too: history holds them
+  function fillFeedColors() {
+    const picked = feedColorEl.value;
+    feedColorEl.length = 1; // "Any color"
+    world.palette.colors.forEach((c, i) => feedColorEl.add(new Option(c.retiredAt ? `${c.name} (retired)` : c.name, String(i))));
+    feedColorEl.value = Number(picked) < world.palette.colors.length ? picked : '';
+  }
+  // show the feed down to a placement (null: back to the latest), clearing filters it misses
+  function jumpRecent(id) {
+    recentFocus = id;
+    const at = id ? core.history.findIndex(e => e.id === id) : -1;
+    if (at >= 0 && !feedMatch(core.history[at])) {
+      feedWhoEl.value = feedColorEl.value = feedWhereEl.value = '';
+      feedMatch = feedFilter();
+    }
+    let newer = 0;
+    for (let i = at + 1; at >= 0 && i < core.history.length; i++) if (feedMatch(core.history[i])) newer++;
+    feedLimit = Math.max(FEED_PAGE, newer + 1 + RECENT_AROUND);
+    recentListEl.scrollTop = 0;
+    renderFeed();
   }
 
-  function sanitize(str){ return String(str).replace(/[<>]/g,'').slice(0,20); }
+  // Watched area: a region of the planet this browser keeps an eye on; someone else
+  // painting over a pixel there raises a badge, and a sound if asked for
+  let watchRegion = null, watchInside = null;
+  let watchAlerts = 0; // overwrites since the badge was last opened
+  let lastAlertAt = 0, audioCtx = null;
+  function loadWatch() {
+    const saved = readJSON(worldKey(WATCH_KEY)) || {};
+    watchSoundInput.checked = !!saved.sound;
+    let region = null;
+    try { region = saved.region ? normalizeRegion(saved.region, world) : null; } catch (e) { /* none kept */ }
+    setWatch(region, false);
+  }
+  function saveWatch() {
+    try { localStorage.setItem(worldKey(WATCH_KEY), JSON.stringify({ region: watchRegion, sound: watchSoundInput.checked })); } catch (e) { saveFailed(e); }
+  }
+  function setWatch(region, save = true) {
+    watchRegion = region;
+    watchInside = region ? regionTest(region) : null;
+    watchAlerts = 0;
+    watchInfoEl.textContent = region ? `Watching ${describeRegion(region)}` : 'No watched area';
+    watchClearBtn.hidden = !region;
+    feedWhereEl.querySelector('[value="watch"]').disabled = !region;
+    if (!region && feedWhereEl.value === 'watch') feedWhereEl.value = '';
+    if (save) saveWatch();
+    renderWatchAlerts();
+    renderDirty = true;
+    setFeedFilter();
+  }
+  function pickWatch() {
+    startPick('rect', 'Drag over the area to watch', points => {
+      if (!points) return;
+      try { setWatch(normalizeRegion({ rect: [...points[0], ...points[points.length - 1]] }, world)); } catch (e) { flashTooltip(e.message); }
+    });
+  }
+  function watchAlert() {
+    watchAlerts++;
+    renderWatchAlerts();
+    const now = Date.now();
+    if (now - lastAlertAt < ALERT_GAP) return; // a burst (a catch-up, a bot) alerts once
+    lastAlertAt = now;
+    announce('Someone painted over your watched area');
+    if (watchSoundInput.checked) playAlert();
+  }
+  // the badge, also in the tab's title for when it is in the background
+  function renderWatchAlerts() {
+    watchAlertsBtn.hidden = !watchAlerts;
+    watchAlertsBtn.textContent = `${watchAlerts} overwritten`;
+    document.title = `${watchAlerts ? `(${watchAlerts}) ` : ''}🌎 ${world.name}`;
+  }
+  // opening the badge shows the watched area's activity
+  function openWatchAlerts() {
+    watchAlerts = 0;
+    renderWatchAlerts();
+    recentFocus = null;
+    feedWhoEl.value = feedColorEl.value = '';
+    feedWhereEl.value = 'watch';
+    setFeedFilter();
+  }
+  // a short chime; the first one plays from a click (the Sound box), as browsers ask
+  function playAlert() {
+    try {
+      audioCtx = audioCtx || new (window.AudioContext || window.webkitAudioContext)();
+      const t = audioCtx.currentTime;
+      const osc = audioCtx.createOscillator(), gain = audioCtx.createGain();
+      osc.frequency.setValueAtTime(880, t);
+      osc.frequency.setValueAtTime(660, t + 0.12);
+      gain.gain.setValueAtTime(0.12, t);
+      gain.gain.exponentialRampToValueAtTime(0.001, t + 0.3);
+      osc.connect(gain).connect(audioCtx.destination);
+      osc.start(t);
+      osc.stop(t + 0.3);
+    } catch (e) { /* no audio here */ }
+  }
+  // the watched area's outline, in world units (inside the view transform)
+  function drawWatch() {
+    const r = watchRegion.rect;
+    const a = gridToWorld(world, r[0], r[1]), b = gridToWorld(world, r[2] + 1, r[3] + 1);
+    ctx.save();
+    ctx.lineWidth = 1.5 / view.zoom;
+    ctx.setLineDash([6 / view.zoom, 4 / view.zoom]);
+    ctx.strokeStyle = 'rgba(110,240,255,0.7)';
+    ctx.strokeRect(a.x, a.y, b.x - a.x, b.y - a.y);
+    ctx.restore();
+  }
+
+  function colorBox(p) {
+    return `<span style="display:inline-block;width:12px;height:12px;background:${colorOf(world.palette, p)};border-radius:3px;margin-right:8px;vertical-align:middle;border:1px solid rgba(255,255,255,0.06)"></span>`;
+  }
 
   // Canvas resize
   function resizeCanvas() {
@@ -179,59 +1012,35 @@
     ctx.setTransform(devicePixelRatio, 0, 0, devicePixelRatio, 0, 0);
   }
 
-  // Coordinate transforms
+  // Coordinate transforms (src/view.mjs): screen -> canvas here, the rest there
   function screenToWorld(sx, sy) {
-    // canvas element space -> world (planet grid coordinates)
     const rect = canvas.getBoundingClientRect();
-    const cx = (sx - rect.left);
-    const cy = (sy - rect.top);
-    // transform by view (pan & zoom)
-    const wx = (cx - canvasW/2) / view.zoom - view.x;
-    const wy = (cy - canvasH/2) / view.zoom - view.y;
-    return { x: wx, y: wy };
-  }
-  function worldToGrid(wx, wy) {
-    // map world coords to grid coords (centered)
-    // planet diameter in world units
-    const planetDiameter = GRID_SIZE * PIXEL_DISPLAY_SCALE;
-    const localX = wx + planetDiameter/2;
-    const localY = wy + planetDiameter/2;
-    const gx = Math.floor(localX / PIXEL_DISPLAY_SCALE);
-    const gy = Math.floor(localY / PIXEL_DISPLAY_SCALE);
-    return { gx, gy };
-  }
-
-  // Planet mask test
-  function isOnPlanet(gx, gy) {
-    const cx = GRID_SIZE/2 - 0.5, cy = GRID_SIZE/2 - 0.5;
-    const dx = gx - cx, dy = gy - cy;
-    const r = GRID_SIZE / 2;
-    return (dx*dx + dy*dy) <= (r*r);
+    return canvasToWorld(view, canvasW, canvasH, sx - rect.left, sy - rect.top);
+  }
+  function minZoom() { return zoomRange(world, canvasW, canvasH).min; }
+  function maxZoom() { return zoomRange(world, canvasW, canvasH).max; }
+  // worlds too big to see whole at the minimum zoom start fitted to the screen
+  function homeView() {
+    flight = null;
+    const fit = fitZoom(world, canvasW, canvasH);
+    view.x = 0; view.y = 0; view.zoom = fit < MIN_ZOOM ? fit : 1;
+    zoomLevelEl.textContent = Math.round(view.zoom * 100) + '%';
   }
 
   // Place pixel via click
   function placePixelAtScreen(sx, sy) {
     const w = screenToWorld(sx, sy);
-    const g = worldToGrid(w.x, w.y);
-    const gx = g.gx, gy = g.gy;
-    if (gx < 0 || gy < 0 || gx >= GRID_SIZE || gy >= GRID_SIZE) return;
-    if (!isOnPlanet(gx, gy)) {
-      flashTooltip('Outside planet');
-      return;
-    }
-    // cooldown check
-    const now = Date.now();
-    if (cooldownUntil > now) {
-      flashTooltip(`Cooldown: ${Math.ceil((cooldownUntil - now)/1000)}s`);
-      return;
-    }
-    const key = `${gx},${gy}`;
-    const payload = { x: gx, y: gy, c: selectedColor, t: Date.now(), nick: sanitize(nickInput.value || '') };
-    applyPlacement(payload, true);
-    cooldownUntil = Date.now() + COOLDOWN;
-    updateUI();
-    // start a small local cooldown loop
-    if (!cooldownTicking) startCooldownTicker();
+    const g = worldToGrid(world, w.x, w.y);
+    if (g.gx < 0 || g.gy < 0 || g.gx >= world.width || g.gy >= world.height) return;
+    const verdict = placeAt(g.gx, g.gy, selectedColor);
+    if (!verdict.ok) flashTooltip(verdict.reason);
+  }
+  // a placement of ours, from a click or the scripting API; returns the verdict
+  function placeAt(gx, gy, ci) {
+    if (playback) return { ok: false, code: 'playback', reason: 'The time-lapse is read-only: go back to Live to place', wait: 0 };
+    const verdict = core.place(gx, gy, ci);
+    if (verdict.ok) updateUI();
+    return verdict;
   }
 
   // Tooltip quick flash
@@ -251,12 +1060,47 @@
     tooltipTimeout = setTimeout(()=> tooltip.hidden = true, 1600);
   }
 
-  // Render loop
+  // Render loop: upload changed cells, then recomposite only when something visible moved
   function tick(ts) {
     const dt = ts - lastTick;
     lastTick = ts;
     // animate rotation slowly
     planetRotation += dt * 0.00008; // radians per ms
+    if (playback && playing) advancePlayback(dt);
+    if (flight) advanceFlight(ts);
+    syncHash(ts);
+    refreshTemplateDiff(ts);
+    refreshHeat(ts);
+    refreshFeedView(ts);
+    if (statsDialogEl.open) refreshStats(ts);
+
+    const key = sceneKey();
+    let changed = flushBuffers() || key !== lastSceneKey || anims.length > 0;
+    if (ts - lastAmbient >= AMBIENT_INTERVAL) changed = true; // starfield drift
+    if (changed) {
+      lastSceneKey = key;
+      lastAmbient = ts;
+      composite(ts);
+    }
+
+    // UI updates (cooldown)
+    updateUI();
+
+    requestAnimationFrame(tick);
+  }
+
+  // everything besides the chunk buffers and time that decides what the main canvas shows
+  function sceneKey() {
+    const ptr = lastPointer ? `${lastPointer.x},${lastPointer.y}` : '';
+    const pin = pinned ? `${inspected.gx},${inspected.gy}` : '';
+    const cur = cursor ? `${cursor.gx},${cursor.gy}` : '';
+    const tpl = template ? `${template.x},${template.y},${template.size},${template.opacity},${templateDiffOnly},${lastDiffKey},${templateNext}` : '';
+    const heat = heatShown() ? lastHeatKey : '';
+    const watch = watchRegion ? watchRegion.rect.join(',') : '';
+    return `${view.x},${view.y},${view.zoom},${canvasW},${canvasH},${ptr},${pin},${cur},${tpl},${heat},${watch}`;
+  }
+
+  function composite(ts) {
     // clear
     ctx.clearRect(0,0,canvasW,canvasH);
     drawBackgroundParticles(ts);
@@ -267,6 +1111,9 @@
     ctx.translate(view.x, view.y);
 
     drawPlanet(ts);
+    if (template && !playback) drawTemplate();
+    if (watchRegion && !playback) drawWatch();
+    if (picking && picking.points.length > 1) drawPick();
 
     ctx.restore();
 
@@ -278,10 +1125,9 @@
     anims = anims.filter(a => {
       const p = Math.min(1, (now - a.start) / a.dur);
       const ease = easeOutBack(p);
-      // (the pixel is drawn already in drawPlanet; we add glow/pop by drawing on top)
-      // We'll draw glow at the end of draw loop - but easier: draw here
-      const px = (a.x - GRID_SIZE/2 + 0.5) * PIXEL_DISPLAY_SCALE;
-      const py = (a.y - GRID_SIZE/2 + 0.5) * PIXEL_DISPLAY_SCALE;
+      // the pixel itself is in the buffer; add glow/pop on top of its center
+      const c = gridToWorld(world, a.x + 0.5, a.y + 0.5);
+      const px = c.x, py = c.y;
       ctx.save();
       ctx.translate(canvasW/2, canvasH/2);
       ctx.scale(view.zoom, view.zoom);
@@ -289,111 +1135,147 @@
       ctx.globalAlpha = 1 - p;
       ctx.beginPath();
       ctx.fillStyle = 'rgba(255,255,255,' + (0.06 * (1-p)) + ')';
-      ctx.arc(px, py, PIXEL_DISPLAY_SCALE * 0.8 * (1 + ease*0.6), 0, Math.PI*2);
+      ctx.arc(px, py, world.scale * 0.8 * (1 + ease*0.6), 0, Math.PI*2);
       ctx.fill();
       ctx.restore();
       return p < 1;
     });
+  }
 
-    // UI updates (cooldown)
-    updateUI();
-
-    requestAnimationFrame(tick);
+  // Chunk layers (src/chunk-layers.mjs): each loaded chunk that has been on screen keeps
+  // a pixel buffer and a small canvas. Playback chunks get their own, so live and
+  // replayed pixels never mix.
+  function cellColor(x, y, rec) {
+    if (!world.isOnPlanet(x, y)) return null;
+    const hex = colorOf(world.palette, rec);
+    return hex ? parseColor(hex) : EMPTY_CELL;
+  }
+  function createLayers(w) {
+    return createChunkLayers({
+      world: w, cellColor,
+      createCanvas: (cw, ch) => Object.assign(document.createElement('canvas'), { width: cw, height: ch }),
+      createImageData: (data, iw, ih) => new ImageData(data, iw, ih)
+    });
+  }
+  // copy changed cells into the chunk canvases; true if anything needs compositing
+  function flushBuffers() {
+    const chunks = core.store.loadedChunks();
+    if (playback) chunks.push(...playback.store.loadedChunks());
+    const changed = layers.flush(chunks) || renderDirty;
+    renderDirty = false;
+    return changed;
+  }
+  // keys of the chunks inside the viewport
+  function visibleChunks() {
+    const [x0, y0, x1, y1] = visibleCells();
+    return world.chunksInRect(x0, y0, x1 + 1, y1 + 1);
+  }
+  // [x0, y0, x1, y1]: the cells on screen, inclusive (past the planet's edges when zoomed out)
+  function visibleCells() {
+    return cellsInView(world, view, canvasW, canvasH);
   }
 
   // Easing
   function easeOutBack(t){ const c1 = 1.70158; const c3 = c1 + 1; return 1 + c3*Math.pow(t-1,3) + c1*Math.pow(t-1,2); }
 
-  // Draw planet (grid masked to circle, with rotation and day/night)
+  // Outline of the planet mask on c (world units by default, or `scale` per cell),
+  // grown by pad; false for image masks, whose shape only exists cell by cell
+  function tracePlanet(pad = 0, c = ctx, scale = world.scale) {
+    const W = world.width * scale, H = world.height * scale;
+    const r = Math.min(W, H) / 2;
+    c.beginPath();
+    switch (world.mask.type) {
+      case 'circle':
+        c.arc(0, 0, r + pad, 0, Math.PI*2);
+        return true;
+      case 'ellipse':
+        c.ellipse(0, 0, W/2 + pad, H/2 + pad, 0, 0, Math.PI*2);
+        return true;
+      case 'ring': {
+        const inner = Math.max(0, r * world.mask.inner - pad);
+        c.arc(0, 0, r + pad, 0, Math.PI*2);
+        c.moveTo(inner, 0);
+        c.arc(0, 0, inner, 0, Math.PI*2, true); // counter-clockwise: a hole
+        return true;
+      }
+      case 'rect':
+        c.rect(-W/2 - pad, -H/2 - pad, W + pad*2, H + pad*2);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  // Draw planet (visible chunk layers masked to the world shape, with day/night)
   function drawPlanet(ts) {
-    // planet params
-    const PD = GRID_SIZE * PIXEL_DISPLAY_SCALE; // diameter in world units
-    const radius = PD/2;
+    // planet params, in world units
+    const W = world.width * world.scale, H = world.height * world.scale;
     // draw soft atmosphere ring
     ctx.save();
     // atmosphere glow
-    ctx.beginPath();
-    ctx.fillStyle = 'rgba(110,240,255,0.03)';
-    ctx.arc(0,0, radius + 14, 0, Math.PI*2);
-    ctx.fill();
+    if (tracePlanet(14)) {
+      ctx.fillStyle = 'rgba(110,240,255,0.03)';
+      ctx.fill();
+    }
     ctx.restore();
 
-    // draw the pixel grid on an offscreen canvas for pixel-perfectness
-    const off = getOffscreen(PD, PD);
-    const oc = off.ctx;
-    const scale = PIXEL_DISPLAY_SCALE;
-
-    // clear
-    oc.clearRect(0,0, off.w, off.h);
-
-    // tilt/rotation effect: we'll compute an x offset per-row from planetRotation for subtle shading
     const rot = planetRotation;
-    for (let y=0;y<GRID_SIZE;y++){
-      for (let x=0;x<GRID_SIZE;x++){
-        if (!isOnPlanet(x,y)) continue;
-        const key = `${x},${y}`;
-        const posX = (x - GRID_SIZE/2 + 0.5) * scale + radius;
-        const posY = (y - GRID_SIZE/2 + 0.5) * scale + radius;
-        if (pixels[key]) {
-          // pixel color
-          oc.fillStyle = pixels[key].c;
-        } else {
-          oc.fillStyle = 'rgba(10,12,20,0.4)'; // subtle base
-        }
-        oc.fillRect(Math.round(posX), Math.round(posY), Math.ceil(scale), Math.ceil(scale));
-      }
+    // clip to the outline (image masks are shaped by their transparent cells)
+    ctx.save();
+    const shaped = tracePlanet();
+    if (shaped) ctx.clip();
+
+    // chunk layers hold one pixel per cell; scale them up without smoothing
+    ctx.imageSmoothingEnabled = false;
+    if (heatShown()) {
+      // the activity overlay instead, unlit so its colors read true
+      const side = heatBin * world.scale;
+      ctx.drawImage(heatLayer, -W / 2, -H / 2, heatLayer.width * side, heatLayer.height * side);
+      ctx.restore();
+      return;
+    }
+    const chunks = [];
+    for (const key of visibleChunks()) {
+      const chunk = playback ? playback.store.chunk(key) || playback.store.load(key, {}) : ensureChunk(key);
+      if (chunk) chunks.push(chunk); // else on its way from the server
+    }
+    layers.draw(ctx, chunks);
+    if (!shaped) {
+      ctx.restore();
+      return;
     }
 
-    // apply subtle day/night shading by drawing a radial gradient overlay that rotates
-    // We'll rotate an additional small offset when drawing onto main ctx
-    // create pattern
-    const img = off.canvas;
-    // clip to circle
-    ctx.save();
-    ctx.beginPath();
-    ctx.arc(0,0, radius, 0, Math.PI*2);
-    ctx.clip();
+    drawLighting(ctx, W, H, rot);
 
-    // draw pixel image centered
-    ctx.drawImage(img, -radius, -radius, PD, PD);
+    // restore
+    ctx.restore();
+
+    // draw faint grid lines? subtle highlight on hover handled separately
+  }
 
+  // Day/night shading and rim light over a W×H planet centered on c's origin
+  // (the caller clips to the outline); exports reuse it
+  function drawLighting(c, W, H, rot) {
+    const radius = Math.max(W, H) / 2;
     // soft lighting overlay (simulate day/night)
-    const lg = ctx.createLinearGradient(-radius, -radius, radius, radius);
+    const lg = c.createLinearGradient(-W/2, -H/2, W/2, H/2);
     // moving light center
     const lightAngle = rot * 1.2;
     const lx = Math.cos(lightAngle), ly = Math.sin(lightAngle);
     lg.addColorStop(0, 'rgba(255,255,220,0.06)');
     lg.addColorStop(0.6, 'rgba(0,0,0,0.18)');
     lg.addColorStop(1, 'rgba(0,0,30,0.32)');
-    ctx.globalCompositeOperation = 'overlay';
-    ctx.fillStyle = lg;
-    ctx.fillRect(-radius, -radius, PD, PD);
-    ctx.globalCompositeOperation = 'source-over';
+    c.globalCompositeOperation = 'overlay';
+    c.fillStyle = lg;
+    c.fillRect(-W/2, -H/2, W, H);
+    c.globalCompositeOperation = 'source-over';
 
     // subtle rim light
-    const rim = ctx.createRadialGradient(0, 0, radius*0.8, 0,0, radius*1.2);
+    const rim = c.createRadialGradient(0, 0, radius*0.8, 0,0, radius*1.2);
     rim.addColorStop(0.95, 'rgba(110,240,255,0.02)');
     rim.addColorStop(1, 'rgba(0,0,0,0.6)');
-    ctx.fillStyle = rim;
-    ctx.fillRect(-radius*1.2, -radius*1.2, radius*2.4, radius*2.4);
-
-    // restore
-    ctx.restore();
-
-    // draw faint grid lines? subtle highlight on hover handled separately
-  }
-
-  // Offscreen cache for drawing grid at scale (improves perf)
-  const offscreenCache = {};
-  function getOffscreen(w,h) {
-    const key = `${w}x${h}`;
-    if (offscreenCache[key]) return offscreenCache[key];
-    const canvas2 = document.createElement('canvas');
-    canvas2.width = Math.max(1, Math.floor(w));
-    canvas2.height = Math.max(1, Math.floor(h));
-    const ctx2 = canvas2.getContext('2d');
-    offscreenCache[key] = { canvas: canvas2, ctx: ctx2, w: canvas2.width, h: canvas2.height };
-    return offscreenCache[key];
+    c.fillStyle = rim;
+    c.fillRect(-radius*1.2, -radius*1.2, radius*2.4, radius*2.4);
   }
 
   // Draw background particles (simple)
@@ -428,131 +1310,1443 @@
   // Cursor highlight
   let lastPointer = null;
   function drawCursorHighlight(){
+    if (pinned) outlineCell(inspected.gx, inspected.gy, 'rgba(110,240,255,0.9)');
+    if (template && templateNext && !playback) outlineCell(templateNext[0], templateNext[1], 'rgba(255,211,107,0.9)');
+    if (cursor) outlineCell(cursor.gx, cursor.gy, 'rgba(255,255,255,0.9)');
     if (!lastPointer) return;
-    const pos = screenToWorld(lastPointer.x, lastPointer.y);
-    const g = worldToGrid(pos.x, pos.y);
-    if (!isOnPlanet(g.gx, g.gy)) return;
-    const px = (g.gx - GRID_SIZE/2 + 0.5) * PIXEL_DISPLAY_SCALE;
-    const py = (g.gy - GRID_SIZE/2 + 0.5) * PIXEL_DISPLAY_SCALE;
+    const g = cellAtScreen(lastPointer.x, lastPointer.y);
+    if (g) outlineCell(g.gx, g.gy, 'rgba(255,255,255,0.06)');
+  }
+  function outlineCell(gx, gy, color) {
+    const c = gridToWorld(world, gx, gy);
+    const px = c.x, py = c.y;
     ctx.save();
     ctx.translate(canvasW/2, canvasH/2);
     ctx.scale(view.zoom, view.zoom);
     ctx.translate(view.x, view.y);
-    ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+    ctx.strokeStyle = color;
     ctx.lineWidth = 1.5 / view.zoom;
     ctx.beginPath();
-    ctx.rect(px - 0.5, py - 0.5, PIXEL_DISPLAY_SCALE + 1, PIXEL_DISPLAY_SCALE + 1);
+    ctx.rect(px - 0.5, py - 0.5, world.scale + 1, world.scale + 1);
     ctx.stroke();
     ctx.restore();
   }
 
-  // Input handlers: pointer events for pan/place
+  // Input: pointer events only (mouse, pen and touch alike), read as gestures
+  // (src/gestures.mjs): tap places, long press pins the inspector, drag or two fingers
+  // pan, pinch zooms
+  const gestures = createGestures({
+    tap: (x, y) => placePixelAtScreen(x, y),
+    longPress: (x, y) => pinInspector(cellAtScreen(x, y)),
+    pan(dx, dy) {
+      view.x += dx / view.zoom;
+      view.y += dy / view.zoom;
+    },
+    pinch: (scale, x, y) => zoomAt(view.zoom * scale, x, y)
+  });
   function onPointerDown(e) {
-    const p = getPointer(e);
-    dragging = true;
-    dragStart = { x: p.x, y: p.y, vx: view.x, vy: view.y };
+    const p = { x: e.clientX, y: e.clientY };
     lastPointer = p;
+    if (picking) {
+      // a region for the moderation dialog instead of a pan
+      picking.active = true;
+      picking.points = [screenToGridPoint(p.x, p.y)];
+      return;
+    }
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    flight = null;
+    cursor = null; // the pointer takes over from the keyboard
+    gestures.down(e.pointerId, p.x, p.y);
   }
   function onPointerMove(e) {
-    const p = getPointer(e);
+    const p = { x: e.clientX, y: e.clientY };
     lastPointer = p;
-    if (dragging) {
-      // pan
-      const dx = (p.x - dragStart.x) / view.zoom;
-      const dy = (p.y - dragStart.y) / view.zoom;
-      view.x = dragStart.vx + dx;
-      view.y = dragStart.vy + dy;
+    if (picking && picking.active) {
+      const g = screenToGridPoint(p.x, p.y);
+      const last = picking.points[picking.points.length - 1];
+      if (picking.shape === 'rect') picking.points[1] = g;
+      else if (Math.hypot(g[0] - last[0], g[1] - last[1]) >= 0.5) picking.points.push(g);
+      renderDirty = true;
+    } else if (gestures.active) {
+      gestures.move(e.pointerId, p.x, p.y);
     } else {
-      // track for hover highlight
+      // hover highlight and inspector
+      hoverInspect(p);
     }
   }
   function onPointerUp(e) {
-    const p = getPointer(e);
-    if (!dragging) return;
-    dragging = false;
-    // quick click: if minimal movement, place pixel
-    const dx = Math.abs(p.x - dragStart.x), dy = Math.abs(p.y - dragStart.y);
-    if (dx < 8 && dy < 8) {
-      placePixelAtScreen(p.x, p.y);
-    }
-  }
-  function getPointer(e) {
-    if (e.touches && e.touches[0]) {
-      return { x: e.touches[0].clientX, y: e.touches[0].clientY };
-    } else {
-      return { x: e.clientX, y: e.clientY };
+    if (picking && picking.active) {
+      endPick(picking.points.length > 1 ? picking.points : null);
+      return;
     }
+    gestures.up(e.pointerId);
   }
 
-  // Wheel zoom
+  // Wheel zoom, about the mouse
   function onWheel(e) {
     e.preventDefault();
-    const delta = -e.deltaY;
-    const zoomFactor = delta > 0 ? 1.08 : 0.92;
-    // zoom about mouse position
-    const rect = canvas.getBoundingClientRect();
-    const cx = e.clientX - rect.left;
-    const cy = e.clientY - rect.top;
-    const worldBefore = screenToWorld(e.clientX, e.clientY);
-    view.zoom = clamp(view.zoom * zoomFactor, 0.35, 4);
-    const worldAfter = screenToWorld(e.clientX, e.clientY);
-    // adjust pan so that world point under cursor remains stable
-    view.x += (worldAfter.x - worldBefore.x);
-    view.y += (worldAfter.y - worldBefore.y);
+    zoomAt(view.zoom * (e.deltaY < 0 ? 1.08 : 0.92), e.clientX, e.clientY);
+  }
+  // zoom (clamped) keeping the world point under screen position (sx, sy) still
+  function zoomAt(zoom, sx, sy) {
+    flight = null;
+    const before = screenToWorld(sx, sy);
+    view.zoom = clamp(zoom, minZoom(), maxZoom());
+    const after = screenToWorld(sx, sy);
+    view.x += after.x - before.x;
+    view.y += after.y - before.y;
     zoomLevelEl.textContent = Math.round(view.zoom * 100) + '%';
   }
-
   function clamp(v,a,b){ return Math.max(a, Math.min(b, v)); }
 
   // Keyboard shortcuts
+  // keys that belong to a control (typing, pressing a button) or an open dialog, not the view
+  const CONTROLS = 'input, select, textarea, button, a[href], summary, [contenteditable], ' +
+    '[role="button"], [role="option"], [role="menuitem"], [role="tab"], dialog[open]';
+  function forControl(target) {
+    return !!(target && target !== canvas && target.closest && target.closest(CONTROLS));
+  }
+
   function onKey(e) {
-    if (e.key === 'p' || e.key === 'P') {
+    if (forControl(e.target)) return;
+    if (e.key === 'Escape' && picking) {
+      endPick(null);
+      return;
+    }
+    if (e.key === 'Escape' && pinned) {
+      pinInspector(null);
+      return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey) return; // the browser's
+    flight = null;
+    if (e.target === canvas && onCursorKey(e)) {
+      e.preventDefault();
+      return;
+    }
+    const pans = { w: [0, 1], a: [1, 0], s: [0, -1], d: [-1, 0] }; // how the view offset moves
+    const digit = '1234567890'.indexOf(e.key);
+    if (pans[e.key.toLowerCase()]) {
+      const [dx, dy] = pans[e.key.toLowerCase()];
+      view.x += dx * PAN_STEP / view.zoom;
+      view.y += dy * PAN_STEP / view.zoom;
+    } else if (e.key === '+' || e.key === '=' || e.key === '-') {
+      zoomBy(e.key === '-' ? 1 / KEY_ZOOM : KEY_ZOOM);
+    } else if (digit >= 0 || e.key === '[' || e.key === ']') {
+      const active = activeColors(world.palette);
+      const at = active.indexOf(selectedColor);
+      const i = digit >= 0 ? digit : (at + (e.key === ']' ? 1 : -1) + active.length) % active.length;
+      if (i >= active.length) return;
+      selectColor(active[i]);
+      announce(`Color ${colorName({ ci: active[i] })}`);
+    } else if (e.key === 'p' || e.key === 'P') {
       paletteEl.classList.toggle('hidden');
       e.preventDefault();
     } else if (e.key === 'c' || e.key === 'C') {
       openClear();
     } else if (e.key === ' ') {
       // center
-      view.x = 0; view.y = 0; view.zoom = 1;
+      homeView();
       e.preventDefault();
     }
   }
 
-  // Clear planet
+  // Keyboard play, with the planet focused: arrows move the cursor (Shift: CURSOR_JUMP cells),
+  // Enter places there, Escape drops it; true when the key was one of those
+  let cursor = null; // {gx, gy}, once a key moved it
+  function onCursorKey(e) {
+    const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    if (!cursor && (arrows[e.key] || e.key === 'Enter')) {
+      // the first key shows the cursor in the middle of the view
+      const c = centerCell();
+      moveCursor(c.gx, c.gy);
+    } else if (arrows[e.key]) {
+      const step = e.shiftKey ? CURSOR_JUMP : 1;
+      moveCursor(cursor.gx + arrows[e.key][0] * step, cursor.gy + arrows[e.key][1] * step);
+    } else if (e.key === 'Enter') {
+      const verdict = placeAt(cursor.gx, cursor.gy, selectedColor);
+      announce(verdict.ok ? `Placed ${colorName({ ci: selectedColor })} at ${cursor.gx}, ${cursor.gy}. ${cooldownText()}` : verdict.reason);
+    } else if (e.key === 'Escape' && cursor) {
+      cursor = null;
+      announce('Cursor off');
+    } else return false;
+    return true;
+  }
+  // the cell in the middle of the view
+  function centerCell() {
+    const c = viewCenter(world, view);
+    return { gx: clamp(Math.floor(c.x), 0, world.width - 1), gy: clamp(Math.floor(c.y), 0, world.height - 1) };
+  }
+  function moveCursor(gx, gy) {
+    cursor = { gx: clamp(gx, 0, world.width - 1), gy: clamp(gy, 0, world.height - 1) };
+    // near an edge of the canvas: center the view on it
+    const w = gridToWorld(world, cursor.gx, cursor.gy);
+    const sx = (w.x + world.scale / 2 + view.x) * view.zoom + canvasW / 2;
+    const sy = (w.y + world.scale / 2 + view.y) * view.zoom + canvasH / 2;
+    const margin = Math.min(canvasW, canvasH) / 8;
+    if (sx < margin || sx > canvasW - margin || sy < margin || sy > canvasH - margin) {
+      Object.assign(view, centerOn(world, cursor.gx + 0.5, cursor.gy + 0.5));
+    }
+    if (!pinned) inspected = cursor; // its history in the Pixel panel
+    announce(describeCell(cursor.gx, cursor.gy));
+  }
+  // zoom about the middle of the view, keeping the cursor on screen
+  function zoomBy(f) {
+    view.zoom = clamp(view.zoom * f, minZoom(), maxZoom());
+    zoomLevelEl.textContent = Math.round(view.zoom * 100) + '%';
+    if (cursor) moveCursor(cursor.gx, cursor.gy);
+  }
+  // what a screen reader hears for a cell: where, its paint, our color and cooldown
+  function describeCell(gx, gy) {
+    let paint;
+    if (!world.isOnPlanet(gx, gy)) paint = 'off the planet';
+    else if (!ensureChunk(world.chunkKey(gx, gy))) paint = 'loading';
+    else {
+      const cell = core.store.get(gx, gy);
+      paint = cell ? `${colorName(cell)} by ${cleanName(cell.nick) || 'anon'}` : 'empty';
+    }
+    return `${gx}, ${gy}: ${paint}. Color ${colorName({ ci: selectedColor })}. ${cooldownText()}`;
+  }
+  function colorName(rec) {
+    const color = Number.isInteger(rec.ci) && world.palette.colors[rec.ci];
+    return color ? color.name : colorOf(world.palette, rec) || 'unknown';
+  }
+  // read out by screen readers (the live region under the canvas)
+  function announce(msg) {
+    announcerEl.textContent = msg;
+  }
+
+  // Clear planet (the last clear can be undone from the moderation dialog)
   function openClear() {
+    const denied = forbidden(currentRole(), 'clear');
+    if (denied) return flashTooltip(denied);
     if (!confirm('Clear the planet for everyone? This deletes all pixels.')) return;
-    pixels = {}; history = [];
-    const msg = { type: 'clear' };
-    if (bc) bc.postMessage(msg);
-    else localStorage.setItem('pixelPlanet_message', JSON.stringify(msg));
-    saveToStorage();
-  }
-
-  // Time-lapse replay
-  let playbackRunning = false;
-  async function runTimelapse() {
-    if (playbackRunning) return;
-    playbackRunning = true;
-    const recent = history.slice(-200);
-    // temporarily show an overlay by clearing and painting from scratch
-    const savedPixels = { ...pixels };
-    // clear visible, but we keep storage
-    // We'll render sequentially
-    pixels = {};
-    const oldAnims = [...anims];
+    const by = { by: identity.name, uid };
+    if (transport.kind === 'local') {
+      // every painted chunk in memory first, for the archive
+      loadChunks(Object.keys(core.store.index())).then(() => {
+        const seq = nextLocalSeq();
+        const entry = auditEntry({ kind: 'clear' }, { seq, count: core.store.count(), ...by, identity });
+        archiveForUndo(seq);
+        applyClear(seq);
+        addAudit(entry);
+        transport.send({ type: 'clear', seq, audit: entry });
+      }).catch(e => flashTooltip(e.message));
+    } else {
+      // the server checks our role, numbers the clear and echoes it to everyone, us included
+      transport.send({ type: 'clear', ...by });
+    }
+  }
+  // every painted chunk (all loaded) and the history, before a clear wipes them
+  function archiveForUndo(seq) {
+    const chunks = {};
+    core.store.loadedChunks().forEach(chunk => { chunks[chunk.key] = chunk.cells; });
+    if (!storage) return;
+    storage.setArchive(storagePrefix, { seq, t: Date.now(), chunks, history: core.history }).catch(e => {
+      saveFailed(e);
+      flashTooltip('This clear can\'t be undone: it wasn\'t saved');
+    });
+  }
+
+  // Palette: edits replace the whole (versioned) palette; cells recolor by index
+  function setPalette(palette) {
+    world.palette = palette;
+    if (transport && transport.kind === 'local') {
+      try { localStorage.setItem(worldKey(PALETTE_KEY), JSON.stringify(palette)); } catch (e) { saveFailed(e); }
+    }
+    buildPalette();
+    core.store.loadedChunks().forEach(c => layers.refresh(c));
+    if (playback) playback.store.loadedChunks().forEach(c => layers.refresh(c));
+    updateUI();
+  }
+  // throws when the edit is unusable (see applyPaletteEdit)
+  function submitPalette(edit) {
+    const denied = forbidden(currentRole(), 'palette');
+    if (denied) throw new Error(denied);
+    if (transport.kind === 'socket') {
+      if (!transport.ready) throw new Error('Offline: the palette can only be edited while connected');
+      // the server numbers the edit and sends the result to everyone, us included
+      transport.send({ type: 'palette', base: world.palette.version, edit });
+      return;
+    }
+    const palette = applyPaletteEdit(world.palette, edit);
+    setPalette(palette);
+    transport.send({ type: 'palette', palette, uid, sig: signRecord('palette', JSON.stringify(palette), identity) });
+  }
+
+  // Palette editor: works on a draft of the current palette until Save
+  let draft = null;
+  function openPaletteEditor() {
+    draft = {
+      name: world.palette.name,
+      colors: world.palette.colors.map(c => ({ id: c.id, name: c.name, hex: c.hex, retired: !!c.retiredAt }))
+    };
+    paletteErrorEl.hidden = true;
+    palettePresetEl.value = '';
+    renderPaletteEditor();
+    paletteEditorEl.showModal();
+  }
+  function renderPaletteEditor() {
+    paletteNameInput.value = draft.name;
+    paletteRowsEl.innerHTML = '';
+    draft.colors.forEach((c, i) => {
+      const row = document.createElement('div');
+      row.className = 'palette-row' + (c.retired ? ' retired' : '');
+      const index = document.createElement('span');
+      index.className = 'index';
+      index.textContent = i;
+      const hex = document.createElement('input');
+      hex.type = 'color';
+      hex.value = c.hex;
+      hex.addEventListener('input', () => { c.hex = hex.value; });
+      const name = document.createElement('input');
+      name.type = 'text';
+      name.maxLength = 24;
+      name.value = c.name;
+      name.addEventListener('input', () => { c.name = name.value; });
+      const retire = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = c.retired;
+      box.addEventListener('change', () => {
+        c.retired = box.checked;
+        row.classList.toggle('retired', c.retired);
+      });
+      retire.append(box, ' Retired');
+      row.append(index, hex, name, retire);
+      paletteRowsEl.appendChild(row);
+    });
+    paletteAddBtn.disabled = draft.colors.length >= MAX_COLORS;
+  }
+  // a preset recolors index by index; colors past its end are retired
+  function applyPreset(key) {
+    const preset = PALETTE_PRESETS[key];
+    if (!preset) return;
+    draft.name = preset.name;
+    preset.colors.forEach(([name, hex], i) => {
+      draft.colors[i] = { ...draft.colors[i], name, hex, retired: false };
+    });
+    draft.colors.slice(preset.colors.length).forEach(c => { c.retired = true; });
+    renderPaletteEditor();
+  }
+  function savePaletteEditor() {
+    draft.name = paletteNameInput.value;
+    try {
+      submitPalette(draft);
+      paletteEditorEl.close();
+    } catch (e) {
+      showPaletteError(e.message);
+    }
+  }
+  function showPaletteError(msg) {
+    paletteErrorEl.hidden = false;
+    paletteErrorEl.textContent = msg;
+  }
+
+  // Moderation (src/moderation.mjs): the server runs actions for everyone; in local
+  // play this tab rewrites its state and hands the result to the others as a full sync.
+  // Rejects when the action is incomplete or can't run.
+  async function moderate(action) {
+    const denied = forbidden(currentRole(), 'moderate');
+    if (denied) throw new Error(denied);
+    action = normalizeAction(action, world);
+    const by = { by: identity.name, uid };
+    if (transport.kind === 'socket') {
+      if (!transport.ready) throw new Error('Offline: moderation needs the server');
+      transport.send({ type: 'moderate', action, ...by });
+      return;
+    }
+    const count = action.kind === 'undo-clear' ? await restoreClearLocal() : await undoLocal(action);
+    publishRewrite(action, nextLocalSeq(), count, by);
+  }
+  // local play, once this tab rewrote the planet: log the action under seq and hand every tab the result
+  function publishRewrite(action, seq, count, by) {
+    addAudit(auditEntry(action, { seq, count, ...by, identity }));
+    core.rewritten(seq);
+    rewriteHistory = dirty = true;
+    saveSnapshot();
+    transport.send(fullState());
+    updateUI();
+  }
+  async function undoLocal(action) {
+    const draft = planUndo(core.history, action);
+    if (!draft.removed.length) throw new Error('No placements match: nothing to undo');
+    // the chunks it touches come from storage first; placements may arrive meanwhile, so plan again
+    await loadChunks([...new Set(draft.cells.map(([x, y]) => world.chunkKey(x, y)))]);
+    const plan = planUndo(core.history, action);
+    core.replace({ history: plan.history });
+    plan.cells.forEach(([x, y, e]) => setCell(x, y, e && cellOf(e)));
+    return plan.cells.length;
+  }
+  async function restoreClearLocal() {
+    const archive = storage && await storage.archive(storagePrefix);
+    if (!archive) throw new Error('There is no clear to undo');
+    const restored = restoreCleared(world, archive, core.history);
+    core.replace(restored);
+    resetStore();
+    wipeChunks = true; // the restored store holds every chunk
+    storage.setArchive(storagePrefix, null).catch(saveFailed);
+    return restored.count;
+  }
+
+  // Audit log: every clear and moderation action, newest shown first
+  function setAudit(list) {
+    audit = Array.isArray(list) ? list.slice(-AUDIT_LIMIT) : [];
+    renderAudit();
+  }
+  function addAudit(entry) {
+    if (!entry || audit.some(a => a.id === entry.id)) return;
+    audit.push(entry);
+    if (audit.length > AUDIT_LIMIT) audit = audit.slice(-AUDIT_LIMIT);
+    if (transport && transport.kind === 'local') {
+      try { localStorage.setItem(worldKey(AUDIT_KEY), JSON.stringify(audit)); } catch (e) { saveFailed(e); }
+    }
+    renderAudit();
+  }
+  function renderAudit() {
+    auditListEl.innerHTML = audit.slice().reverse().map(a => {
+      const name = displayName(a.by, a.uid);
+      return `<div class="recent-item"><div><strong>${name}</strong> ${describeAction(a.action)}<div style="opacity:.7;font-size:12px">${new Date(a.t).toLocaleString()} · ${Number(a.count) || 0} cells</div></div></div>`;
+    }).join('') || '<div class="small">Nothing yet</div>';
+  }
+  function describeAction(a) {
+    switch (a && a.kind) {
+      case 'clear': return 'cleared the planet';
+      case 'undo-clear': return 'undid the last clear';
+      case 'import': return a.mode === 'replace' ? 'replaced the planet from a file' : 'merged a planet file in';
+      case 'revert': return `reverted ${displayName(a.nick, a.uid)} since ${new Date(a.since).toLocaleString()}`;
+      case 'rollback': return `rolled back ${describeRegion(a.region)} to ${new Date(a.to).toLocaleString()}`;
+      default: return 'did something unknown';
+    }
+  }
+  function describeRegion(r) {
+    if (r && r.rect) return `${r.rect[2] - r.rect[0] + 1}×${r.rect[3] - r.rect[1] + 1} cells at (${r.rect[0]},${r.rect[1]})`;
+    return `a lasso of ${r && r.lasso ? r.lasso.length : 0} points`;
+  }
+
+  // Stats dialog: leaderboards, colors, activity and one person's placements, from this
+  // tab's history; kept current while open
+  let lastStatsKey = '', lastStatsAt = 0, lastPeopleKey = '';
+  let statsTop = []; // the leaderboard shown, for clicks
+  function openStats() {
+    refreshStats(performance.now(), true);
+    statsDialogEl.showModal();
+  }
+  function refreshStats(now, force = false) {
+    const key = `${core.seq},${core.clearSeq},${core.history.length},${world.palette.version},` +
+      `${Math.floor(Date.now() / HOUR)},${statsRankEl.value},${statsWhoEl.value}`;
+    if (!force && (key === lastStatsKey || now - lastStatsAt < STATS_INTERVAL)) return;
+    lastStatsKey = key;
+    lastStatsAt = now;
+    const stats = computeStats(core.history);
+    statsSummaryEl.textContent = stats.total
+      ? `${stats.total} placements by ${stats.people.length} people since ${new Date(stats.first).toLocaleString()}; ${stats.pixels} pixels showing.`
+      : 'Nothing placed yet.';
+    const rank = statsRankEl.value;
+    statsTop = leaderboard(stats.people, rank, STATS_TOP);
+    statsTopEl.innerHTML = statsTop.map((p, i) =>
+      `<div class="recent-item inspect-item" data-i="${i}"><div><strong>${i + 1}. ${displayName(p.nick, p.uid)}</strong></div><div style="opacity:.9">${p[rank]}</div></div>`
+    ).join('') || '<div class="small">Nobody yet</div>';
+    statsColorsEl.innerHTML = stats.colors.slice(0, STATS_COLORS).map(c =>
+      `<span>${colorBox(c)}${c.count} (${Math.round(c.count / stats.total * 100)}%)</span>`
+    ).join('');
+    const hours = perHour(core.history, Date.now());
+    const busiest = Math.max(1, ...hours.counts);
+    statsHoursEl.innerHTML = hours.counts.map((n, i) => {
+      const at = new Date(hours.start + i * HOUR).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      return `<span style="height:${n / busiest * 100}%" title="${at}: ${n}"></span>`;
+    }).join('');
+    renderStatsPeople(stats.people);
+    renderStatsPerson(stats.people.find(p => p.key === statsWhoEl.value));
+  }
+  // the person field: most placements first, ours picked until another is
+  function renderStatsPeople(people) {
+    const picked = statsWhoEl.value || identityOf({ uid });
+    const sorted = people.slice().sort((a, b) => b.total - a.total);
+    const key = sorted.map(p => `${p.key}:${p.nick}`).join();
+    if (key !== lastPeopleKey) {
+      lastPeopleKey = key;
+      statsWhoEl.innerHTML = '';
+      sorted.forEach(p => {
+        const opt = document.createElement('option');
+        opt.value = p.key;
+        opt.textContent = displayName(p.nick, p.uid);
+        statsWhoEl.appendChild(opt);
+      });
+    }
+    if (people.some(p => p.key === picked)) statsWhoEl.value = picked;
+  }
+  function renderStatsPerson(person) {
+    if (!person) {
+      statsPersonEl.textContent = 'Nobody has placed anything yet.';
+      statsHeatCanvas.hidden = true;
+      return;
+    }
+    statsPersonEl.textContent = `${person.total} placements, ${person.surviving} still showing. ` +
+      `First ${new Date(person.first).toLocaleString()}, last ${new Date(person.last).toLocaleString()}.`;
+    // where they drew: hotter where they placed more
+    const heat = heatmap(core.history.filter(e => identityOf(e) === person.key), world);
+    statsHeatCanvas.hidden = false;
+    paintHeat(statsHeatCanvas, heat, i => heatByCount(heat, i));
+  }
+
+  // Heatmaps (src/stats.mjs) drawn a pixel per bin onto canvas c, bin i colored by f(i)
+  // (0 cold, 1 hot); planet cells without activity stay faint
+  function paintHeat(c, heat, f) {
+    c.width = heat.cols;
+    c.height = heat.rows;
+    const cx = c.getContext('2d');
+    const img = cx.createImageData(heat.cols, heat.rows);
+    const half = Math.floor(heat.bin / 2);
+    for (let row = 0; row < heat.rows; row++) {
+      for (let col = 0; col < heat.cols; col++) {
+        const i = row * heat.cols + col;
+        if (heat.counts[i]) img.data.set([...heatColor(f(i)), 255], i * 4);
+        else if (world.isOnPlanet(col * heat.bin + half, row * heat.bin + half)) img.data.set(HEAT_EMPTY, i * 4);
+      }
+    }
+    cx.putImageData(img, 0, 0);
+    return c;
+  }
+  // log scale: a few busy cells don't wash out the rest
+  function heatByCount(heat, i) {
+    return Math.log1p(heat.counts[i]) / Math.log1p(heat.max);
+  }
+
+  // Activity overlay: cells colored by how often, or how lately, they were placed on
+  // within a time window, from this tab's history; the live planet only, not the time-lapse
+  let heatOn = false;
+  let heatLayer = null, heatBin = 1; // one pixel per bin of heatBin×heatBin cells
+  let lastHeatKey = '', lastHeatAt = 0;
+  function heatShown() {
+    return heatOn && !playback && !!heatLayer;
+  }
+  function setHeat(on) {
+    heatOn = on;
+    heatToggle.setAttribute('aria-pressed', String(on));
+    heatLegendEl.hidden = !on;
+    heatLayer = null;
+    lastHeatKey = '';
+    if (on) refreshHeat(performance.now(), true);
+  }
+  // rebuilt at most every HEAT_INTERVAL, when history changed or time moved the window
+  function refreshHeat(now, force = false) {
+    if (!heatOn || playback) return;
+    const mode = heatModeEl.value, span = HEAT_WINDOWS[heatWindowEl.value] || Infinity;
+    const moving = mode === 'recency' || span !== Infinity;
+    const key = `${world.id},${core.seq},${core.clearSeq},${core.history.length},${mode},${span}` +
+      (moving ? `,${Math.floor(Date.now() / HEAT_INTERVAL)}` : '');
+    if (!force && (key === lastHeatKey || now - lastHeatAt < HEAT_INTERVAL)) return;
+    lastHeatKey = key;
+    lastHeatAt = now;
+    const end = Date.now();
+    // history runs oldest first (compareWrites)
+    const entries = span === Infinity ? core.history : core.history.filter(e => e.t >= end - span);
+    const start = span === Infinity ? (entries.length ? entries[0].t : end) : end - span;
+    const heat = heatmap(entries, world, HEAT_MAX_SIDE);
+    const f = mode === 'recency' ? i => (heat.latest[i] - start) / Math.max(1, end - start) : i => heatByCount(heat, i);
+    heatLayer = paintHeat(heatLayer || document.createElement('canvas'), heat, f);
+    heatBin = heat.bin;
+    renderHeatLegend(mode, heat, entries.length, start);
+  }
+  function renderHeatLegend(mode, heat, count, start) {
+    if (!heatRampEl.style.background) {
+      heatRampEl.style.background = `linear-gradient(90deg, ${HEAT_STOPS.map(([at, r, g, b]) => `rgb(${r},${g},${b}) ${at * 100}%`).join(', ')})`;
+    }
+    const long = heatWindowEl.value === 'all';
+    heatLowEl.textContent = mode === 'recency'
+      ? (long ? new Date(start).toLocaleDateString() : new Date(start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }))
+      : '1';
+    heatHighEl.textContent = mode === 'recency' ? 'now' : String(Math.max(1, heat.max));
+    const where = heat.bin > 1 ? `per ${heat.bin}×${heat.bin} cells` : 'per cell';
+    heatInfoEl.textContent = mode === 'recency'
+      ? `${count} placements; the hotter a cell, the more recently it was placed on`
+      : `${count} placements, counted ${where}`;
+  }
+
+  // Moderation dialog: previews each action against this tab's history
+  let modRegion = null; // region picked for a rollback
+  let modPeople = new Map(); // uid => latest display name, for the revert field
+  function openModeration() {
+    modErrorEl.hidden = true;
+    // people in history, most recently active first
+    const picked = modWhoEl.value;
+    modPeople = new Map();
+    core.history.slice().reverse().forEach(e => { if (e.uid && !modPeople.has(e.uid)) modPeople.set(e.uid, e.nick || ''); });
+    modWhoEl.innerHTML = '';
+    modPeople.forEach((nick, id) => {
+      const opt = document.createElement('option');
+      opt.value = id;
+      opt.textContent = displayName(nick, id);
+      modWhoEl.appendChild(opt);
+    });
+    if (modPeople.has(picked)) modWhoEl.value = picked;
+    if (!modSinceInput.value) modSinceInput.value = toLocalInput(Date.now() - 60 * 60 * 1000);
+    if (!modToInput.value) modToInput.value = toLocalInput(Date.now() - 10 * 60 * 1000);
+    renderModeration();
+    moderationEl.showModal();
+  }
+  // the dialog's action, as normalizeAction takes it
+  function draftAction() {
+    const kind = modActionEl.value;
+    if (kind === 'revert') return { kind, uid: modWhoEl.value, nick: modPeople.get(modWhoEl.value), since: fromLocalInput(modSinceInput.value) };
+    if (kind === 'rollback') return { kind, region: modRegion, to: fromLocalInput(modToInput.value) };
+    return { kind };
+  }
+  function renderModeration() {
+    const kind = modActionEl.value;
+    moderationEl.querySelectorAll('[data-kind]').forEach(el => { el.hidden = el.dataset.kind !== kind; });
+    modRegionEl.textContent = modRegion ? `Selected: ${describeRegion(modRegion)}` : 'No region selected';
+    const last = audit.slice().reverse().find(a => a.action.kind === 'clear' || a.action.kind === 'undo-clear');
+    modClearInfoEl.textContent = last && last.action.kind === 'clear'
+      ? `Last clear: ${new Date(last.t).toLocaleString()} by ${displayName(last.by, last.uid)} (${last.count} cells). Pixels placed since stay on top.`
+      : 'There is no clear to undo.';
+    let preview = '';
+    try {
+      const action = normalizeAction(draftAction(), world);
+      if (action.kind !== 'undo-clear') {
+        const plan = planUndo(core.history, action);
+        preview = `Undoes ${plan.removed.length} placements on ${plan.cells.length} cells.`;
+      }
+    } catch (e) { /* incomplete; Apply says what is missing */ }
+    modPreviewEl.textContent = preview;
+  }
+  function applyModeration() {
+    modApplyBtn.disabled = true;
+    moderate(draftAction()).then(() => {
+      modRegion = null;
+      moderationEl.close();
+    }, e => {
+      modErrorEl.hidden = false;
+      modErrorEl.textContent = e.message;
+    }).finally(() => { modApplyBtn.disabled = false; });
+  }
+  // <input type="datetime-local"> speaks local time without a zone
+  function toLocalInput(t) {
+    return new Date(t - new Date(t).getTimezoneOffset() * 60 * 1000).toISOString().slice(0, 19);
+  }
+  function fromLocalInput(v) {
+    return v ? new Date(v).getTime() : NaN;
+  }
+
+  // Import (src/planet-file.mjs): like moderation, the server runs it for everyone; in
+  // local play this tab rewrites its state and hands the others a full sync
+  let importing = null; // {data, planet, size} of the file picked in the dialog
+  function openImport() {
+    importFileInput.value = '';
+    setImportFile(null);
+    importDialogEl.showModal();
+  }
+  function setImportFile(file) {
+    importing = file;
+    importApplyBtn.disabled = !file;
+    importInfoEl.hidden = !file;
+    showImportError('');
+    if (!file) return;
+    const { planet } = file;
+    const exported = planet.exportedAt ? `, exported ${new Date(planet.exportedAt).toLocaleString()}` : '';
+    const palette = paletteEdit(planet, world.palette) ? ` It brings a newer version of the palette.` : '';
+    importInfoEl.textContent = `${planet.pixels.length} pixels and ${planet.history.length} placements${exported}.${palette}`;
+  }
+  function readImportFile(file) {
+    setImportFile(null);
+    file.text()
+      .then(text => {
+        const data = JSON.parse(text);
+        setImportFile({ data, planet: decodePlanet(data, world), size: text.length });
+      })
+      .catch(e => showImportError(e instanceof SyntaxError ? 'Not a planet file' : e.message));
+  }
+  function showImportError(msg) {
+    importErrorEl.hidden = !msg;
+    importErrorEl.textContent = msg;
+  }
+  function applyImport() {
+    if (!importing) return;
+    const mode = importModeEl.value;
+    if (mode === 'replace' && !confirm('Replace the whole planet and its history with this file, for everyone?')) return;
+    importApplyBtn.disabled = true;
+    importFile(importing, mode).then(() => importDialogEl.close(), e => showImportError(e.message))
+      .finally(() => { importApplyBtn.disabled = false; });
+  }
+  // mode: 'merge' | 'replace'; rejects when the import can't run
+  async function importFile({ data, planet: file, size }, mode) {
+    const denied = forbidden(currentRole(), 'import');
+    if (denied) throw new Error(denied);
+    const by = { by: identity.name, uid };
+    if (transport.kind === 'socket') {
+      if (!transport.ready) throw new Error('Offline: importing needs the server');
+      if (size > MAX_PLANET_FILE) throw new Error(`The server takes planet files up to ${MAX_PLANET_FILE / 1024 / 1024} MB`);
+      transport.send({ type: 'import', mode, planet: data, ...by });
+      return;
+    }
+    const edit = paletteEdit(file, world.palette);
+    if (edit) submitPalette(edit);
+    await loadAllChunks();
+    // history is renumbered: a seq for every placement it may hold, then one for the import
+    const n = file.history.length + (mode === 'merge' ? core.history.length : 0);
+    const first = nextLocalSeq(n + 1);
+    const result = importPlanet(world, file, mode, core, first);
+    core.replace(result);
+    resetStore();
+    wipeChunks = true; // the new store holds every chunk
+    publishRewrite({ kind: 'import', mode }, first + n, result.count, by);
+  }
+
+  // Region picking: drag a rectangle or draw a lasso on the planet, then back to the dialog
+  let picking = null; // {shape, points (grid units), active} while picking
+  function pickRegion() {
+    const shape = modShapeEl.value;
+    moderationEl.close();
+    startPick(shape, shape === 'lasso' ? 'Draw around the region' : 'Drag over the region', points => {
+      if (points) {
+        const raw = shape === 'lasso' ? { lasso: points } : { rect: [...points[0], ...points[points.length - 1]] };
+        try { modRegion = normalizeRegion(raw, world); } catch (e) { flashTooltip(e.message); }
+      }
+      modActionEl.value = 'rollback';
+      openModeration();
+    });
+  }
+  // shape 'rect' | 'lasso'; done gets the fractional grid points drawn, or null if cancelled
+  function startPick(shape, hint, done) {
+    picking = { shape, points: [], active: false, done };
+    flashTooltip(`${hint} (Esc cancels)`);
+  }
+  function endPick(points) {
+    const done = picking.done;
+    picking = null;
+    renderDirty = true;
+    done(points);
+  }
+  // fractional grid units under a screen point
+  function screenToGridPoint(sx, sy) {
+    const w = screenToWorld(sx, sy);
+    return [w.x / world.scale + world.width / 2, w.y / world.scale + world.height / 2];
+  }
+  // the region being picked, in world units (inside the view transform)
+  function drawPick() {
+    const pts = picking.points;
+    ctx.save();
+    ctx.lineWidth = 1.5 / view.zoom;
+    ctx.setLineDash([4 / view.zoom, 3 / view.zoom]);
+    ctx.strokeStyle = '#ffd36b';
+    ctx.fillStyle = 'rgba(255,211,107,0.12)';
+    ctx.beginPath();
+    if (picking.shape === 'rect') {
+      const a = gridToWorld(world, Math.floor(Math.min(pts[0][0], pts[1][0])), Math.floor(Math.min(pts[0][1], pts[1][1])));
+      const b = gridToWorld(world, Math.floor(Math.max(pts[0][0], pts[1][0])) + 1, Math.floor(Math.max(pts[0][1], pts[1][1])) + 1);
+      ctx.rect(a.x, a.y, b.x - a.x, b.y - a.y);
+    } else {
+      pts.forEach(([x, y], i) => {
+        const p = gridToWorld(world, x, y);
+        if (i) ctx.lineTo(p.x, p.y);
+        else ctx.moveTo(p.x, p.y);
+      });
+      ctx.closePath();
+    }
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Roles (src/roles.mjs). Locally, passphrase hashes and sign-ins live in storage every
+  // tab reads, so a tab can check who sent a clear, a palette or a moderated state.
+  // A server keeps its own passphrases and answers a sign-in with a token we store.
+  function currentRole() {
+    return transport && transport.kind === 'socket' ? session.role : localRole(uid);
+  }
+  function rolesConfig() {
+    const cfg = readJSON(worldKey(ROLES_KEY)) || {};
+    return { hashes: cfg.hashes || {}, grants: cfg.grants || {} };
+  }
+  function saveRolesConfig(cfg) {
+    localStorage.setItem(worldKey(ROLES_KEY), JSON.stringify(cfg));
+  }
+  // the role an identity held at time t, in local play
+  function localRole(id, t = Date.now()) {
+    const grant = (rolesConfig().grants[id] || []).find(g => g.since <= t && !(g.until <= t));
+    return normalizeRole(grant && grant.role);
+  }
+  // whether an audit entry was signed by its author, who held the role its action needs
+  function authorizedBy(entry) {
+    if (!entry || !entry.action || !verifyAudit(entry)) return false;
+    const kind = entry.action.kind;
+    return can(localRole(entry.uid, entry.t), kind === 'clear' || kind === 'import' ? kind : 'moderate');
+  }
+  // a sign-in to the server, proving we hold uid's key: its challenge for this connection, signed
+  function sendAuth(fields) {
+    transport.send({ type: 'auth', uid, proof: signRecord('auth', serverNonce, identity), ...fields });
+  }
+  function loadSession() {
+    const saved = readJSON(worldKey(ROLE_KEY)) || {};
+    session = { role: saved.token ? normalizeRole(saved.role) : 'visitor', token: saved.token || null };
+  }
+  function setSession(next) {
+    const role = normalizeRole(next.role);
+    session = { role, token: role === 'visitor' ? null : next.token || null };
+    try { localStorage.setItem(worldKey(ROLE_KEY), JSON.stringify(session)); } catch (e) { saveFailed(e); }
+    updateRoleUI();
+  }
+  // throws with a message for the dialog; with a server the answer comes as 'role' or a reject
+  function signIn(passphrase) {
+    if (!passphrase) throw new Error('Enter a passphrase');
+    if (transport.kind === 'socket') {
+      if (!transport.ready) throw new Error('Offline: sign in once connected');
+      sendAuth({ passphrase });
+      return;
+    }
+    const cfg = rolesConfig();
+    const hash = hashPassphrase(passphrase);
+    const role = ['admin', 'moderator'].find(r => cfg.hashes[r] === hash);
+    if (!role) throw new Error('Wrong passphrase');
+    grant(cfg, uid, role);
+    saveRolesConfig(cfg);
+    updateRoleUI();
+  }
+  function signOut() {
+    if (transport.kind === 'socket') {
+      setSession({ role: 'visitor' });
+      if (transport.ready) sendAuth({ role: 'visitor' });
+      return;
+    }
+    const cfg = rolesConfig();
+    endGrants(cfg, id => id === uid);
+    saveRolesConfig(cfg);
+    updateRoleUI();
+  }
+  // sign-ins are kept as time spans, so actions taken before a sign-out still check out
+  function grant(cfg, id, role) {
+    endGrants(cfg, other => other === id);
+    cfg.grants[id] = (cfg.grants[id] || []).concat({ role, since: Date.now() }).slice(-GRANTS_KEPT);
+  }
+  function endGrants(cfg, match, role) {
+    const now = Date.now();
+    Object.entries(cfg.grants).forEach(([id, list]) => {
+      if (!match(id)) return;
+      list.forEach(g => { if (!g.until && (!role || g.role === role)) g.until = now; });
+    });
+  }
+  // local play: an admin sets the passphrases; while there is none, whoever sets the
+  // admin passphrase becomes the admin. Changing one signs out everyone else holding its role.
+  function setPassphrases(next) {
+    const cfg = rolesConfig();
+    if (cfg.hashes.admin && localRole(uid) !== 'admin') throw new Error('Only admins can do that');
+    if (!cfg.hashes.admin && !next.admin) throw new Error('Set the admin passphrase first');
+    const changed = Object.entries(next).filter(([, p]) => p);
+    if (!changed.length) throw new Error('Enter a new passphrase');
+    changed.forEach(([, p]) => {
+      if (p.length < MIN_PASSPHRASE) throw new Error(`Passphrases need at least ${MIN_PASSPHRASE} characters`);
+    });
+    changed.forEach(([role, p]) => {
+      cfg.hashes[role] = hashPassphrase(p);
+      endGrants(cfg, id => id !== uid, role);
+    });
+    if (localRole(uid) !== 'admin') grant(cfg, uid, 'admin');
+    saveRolesConfig(cfg);
+    updateRoleUI();
+  }
+  function updateRoleUI() {
+    const role = currentRole();
+    roleBtn.textContent = role[0].toUpperCase() + role.slice(1);
+    roleBtn.dataset.role = role;
+    [[clearBtn, 'clear'], [paletteEditBtn, 'palette'], [moderateBtn, 'moderate'], [importBtn, 'import']].forEach(([btn, action]) => {
+      btn.disabled = !can(role, action);
+      btn.title = forbidden(role, action) || '';
+    });
+  }
+
+  // Roles dialog
+  function openRoles() {
+    rolePassInput.value = roleAdminInput.value = roleModInput.value = '';
+    roleErrorEl.hidden = true;
+    renderRoles();
+    rolesEl.showModal();
+  }
+  function renderRoles() {
+    const role = currentRole();
+    roleInfoEl.textContent = role === 'visitor'
+      ? 'You are a visitor. Sign in with a passphrase to clear, moderate or edit the palette.'
+      : `Signed in as ${role}.`;
+    roleSignOutBtn.disabled = role === 'visitor';
+    // passphrases are set on the server (environment) when there is one
+    roleSetupEl.hidden = transport.kind === 'socket';
+    const hashes = rolesConfig().hashes;
+    roleSetupInfoEl.textContent = !hashes.admin
+      ? 'No admin yet: set the admin passphrase to become the admin.'
+      : role === 'admin' ? 'Leave a field empty to keep its passphrase.' : 'Only admins can change passphrases.';
+    roleSaveBtn.disabled = !!hashes.admin && role !== 'admin';
+  }
+  function runRoleAction(fn) {
+    roleErrorEl.hidden = true;
+    try {
+      fn();
+      rolePassInput.value = roleAdminInput.value = roleModInput.value = '';
+      renderRoles();
+    } catch (e) {
+      showRoleError(e.message);
+    }
+  }
+  function showRoleError(msg) {
+    roleErrorEl.hidden = false;
+    roleErrorEl.textContent = msg;
+  }
+
+  // Pixel inspector: hovering a cell shows who painted it and when; a long press pins it
+  // in the side panel with every placement history holds for it, each a jump into Recent
+  let inspected = null; // {gx, gy} shown in the side panel
+  let pinned = false; // inspected stays put while the pointer moves on
+  let inspectEntries = [], lastInspectKey = '';
+  function cellAtScreen(sx, sy) {
+    const pos = screenToWorld(sx, sy);
+    const g = worldToGrid(world, pos.x, pos.y);
+    return world.isOnPlanet(g.gx, g.gy) ? g : null;
+  }
+  function placementsAt(gx, gy) {
+    return core.history.filter(e => e.x === gx && e.y === gy);
+  }
+  function hoverInspect(p) {
+    const rect = canvas.getBoundingClientRect();
+    const inside = p.x >= rect.left && p.x < rect.right && p.y >= rect.top && p.y < rect.bottom;
+    const g = inside && !playback ? cellAtScreen(p.x, p.y) : null;
+    if (!g) {
+      inspectorEl.hidden = true;
+      return;
+    }
+    const cell = core.store.get(g.gx, g.gy);
+    const list = placementsAt(g.gx, g.gy);
+    const last = list[list.length - 1];
+    // the cell keeps no uid; the latest placement in history has it when it painted the cell
+    const owner = last && cell && last.t === cell.t ? displayName(last.nick, last.uid) : cell && displayName(cell.nick);
+    inspectorEl.innerHTML = cell
+      ? `<div>${colorBox(cell)}<strong>${owner}</strong> <span style="opacity:.7;font-size:12px">${new Date(cell.t).toLocaleString()}</span></div>` +
+        `<div style="opacity:.7;font-size:12px">(${g.gx},${g.gy}) · ${list.length} in history</div>`
+      : `<div style="opacity:.7;font-size:12px">(${g.gx},${g.gy}) · empty</div>`;
+    inspectorEl.style.left = `${Math.min(p.x - rect.left + 14, rect.width - 240)}px`;
+    inspectorEl.style.top = `${p.y - rect.top + 14}px`;
+    inspectorEl.hidden = false;
+    if (!pinned) inspected = g;
+  }
+  // g null unpins
+  function pinInspector(g) {
+    pinned = !!g;
+    if (g) inspected = g;
+    inspectorEl.hidden = true;
+    renderInspector();
+  }
+  function renderInspector() {
+    const key = inspected ? `${inspected.gx},${inspected.gy},${pinned},${core.history.length},${core.seq},${recentFocus},${world.palette.version}` : '';
+    if (key === lastInspectKey) return;
+    lastInspectKey = key;
+    inspectUnpinBtn.hidden = !pinned;
+    inspectLinkBtn.hidden = !inspected;
+    if (!inspected) {
+      inspectInfoEl.textContent = 'Hover a pixel to see who placed it; long-press to pin it here.';
+      inspectListEl.innerHTML = '';
+      inspectEntries = [];
+      return;
+    }
+    inspectEntries = placementsAt(inspected.gx, inspected.gy).reverse();
+    inspectInfoEl.textContent = `(${inspected.gx},${inspected.gy}) · ` +
+      (inspectEntries.length ? `${inspectEntries.length} placements, newest first` : 'nothing in history') +
+      (pinned ? ' · pinned' : '');
+    inspectListEl.innerHTML = inspectEntries.map((e, i) => {
+      const focused = e.id === recentFocus ? ' focused' : '';
+      return `<div class="recent-item inspect-item${focused}" data-i="${i}" title="Show in the activity feed"><div>${colorBox(e)}<strong>${displayName(e.nick, e.uid)}</strong></div><div style="opacity:.7;font-size:12px">${new Date(e.t).toLocaleString()}</div></div>`;
+    }).join('');
+  }
+
+  // Deep links (src/view.mjs): the URL hash holds the view and the pinned cell, kept up to
+  // date as they change; opening a link, or pasting one in, flies there and pins its cell
+  let flight = null; // {from, to, start}: the view on its way to a link
+  let lastHash = '', lastHashAt = 0;
+  function followLink() {
+    const link = parseViewHash(world, location.hash);
+    if (!link) {
+      lastHash = viewHash(world, view); // no hash until the view moves
+      return;
+    }
+    lastHash = location.hash;
+    if (link.cell || pinned) pinInspector(link.cell);
+    flight = { from: { ...view }, to: { x: link.x, y: link.y, zoom: clamp(link.zoom || view.zoom, minZoom(), maxZoom()) }, start: performance.now() };
+  }
+  function advanceFlight(ts) {
+    const { from, to } = flight;
+    const k = clamp((ts - flight.start) / FLIGHT_DURATION, 0, 1);
+    const e = k < 0.5 ? 2 * k * k : 1 - 2 * (1 - k) * (1 - k); // ease in and out
+    view.x = from.x + (to.x - from.x) * e;
+    view.y = from.y + (to.y - from.y) * e;
+    view.zoom = from.zoom * Math.pow(to.zoom / from.zoom, e);
+    zoomLevelEl.textContent = Math.round(view.zoom * 100) + '%';
+    if (k === 1) flight = null;
+  }
+  // replaceState: moving around doesn't fill the back button's history
+  function syncHash(ts) {
+    if (flight || ts - lastHashAt < HASH_INTERVAL) return;
+    const hash = viewHash(world, view, pinned ? inspected : null);
+    if (hash === lastHash) return;
+    lastHash = hash;
+    lastHashAt = ts;
+    history.replaceState(null, '', hash);
+  }
+  function copyPixelLink() {
+    const { gx, gy } = inspected;
+    const to = { ...centerOn(world, gx + 0.5, gy + 0.5), zoom: clamp(Math.max(view.zoom, LINK_ZOOM), minZoom(), maxZoom()) };
+    const url = location.href.replace(/#.*$/, '') + viewHash(world, to, inspected);
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject(new Error('no clipboard'));
+    copied.then(() => flashTooltip(`Link to (${gx},${gy}) copied`))
+      .catch(() => window.prompt('Copy this link:', url)); // no clipboard here (a page not on https)
+  }
+
+  // Templates (src/template.mjs): a reference image over the planet, which cells still
+  // differ from it, and the nearest one to place next
+  let template = null; // the overlay, or null
+  let templateDiffOnly = false; // draw just the cells that still differ
+  let templateDiff = null, templateNext = null; // {total, done, wrong}; [x, y, ci] suggested
+  let templateLayer = null, templateLayerKey = '';
+  let lastDiffKey = '', lastDiffAt = 0;
+  function setTemplate(tpl, save = true) {
+    template = tpl;
+    templateDiff = templateNext = null;
+    lastDiffKey = templateLayerKey = '';
+    if (save) saveTemplate();
+    renderTemplateForm();
+  }
+  function saveTemplate() {
+    try {
+      if (template) localStorage.setItem(worldKey(TEMPLATE_KEY), JSON.stringify({ ...encodeTemplate(template, world), diffOnly: templateDiffOnly }));
+      else localStorage.removeItem(worldKey(TEMPLATE_KEY));
+    } catch (e) { saveFailed(e); }
+  }
+  function loadTemplate() {
+    const saved = readJSON(worldKey(TEMPLATE_KEY));
+    let tpl = null;
+    try {
+      if (saved) tpl = decodeTemplate(saved, world);
+      templateDiffOnly = !!(saved && saved.diffOnly);
+    } catch (e) { console.warn('load fail', e); }
+    setTemplate(tpl, false);
+  }
+  // an image (quantized at up to MAX_TEMPLATE_SIDE, placed at the view's center) or a shared template file
+  function readTemplateFile(file) {
+    if (/\.json$/i.test(file.name) || file.type === 'application/json') {
+      return file.text().then(text => decodeTemplate(JSON.parse(text), world));
+    }
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      const url = URL.createObjectURL(file);
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        const k = Math.min(1, MAX_TEMPLATE_SIDE / Math.max(img.width, img.height));
+        const w = Math.max(1, Math.round(img.width * k)), h = Math.max(1, Math.round(img.height * k));
+        const c = document.createElement('canvas');
+        c.width = w;
+        c.height = h;
+        const cx = c.getContext('2d');
+        cx.drawImage(img, 0, 0, w, h);
+        const cells = quantize(cx.getImageData(0, 0, w, h).data, w, h, world.palette);
+        const size = Math.min(w, Math.ceil(world.width / 3));
+        const center = worldToGrid(world, -view.x, -view.y);
+        resolve(createTemplate({
+          name: file.name.replace(/\.[^.]+$/, ''), width: w, height: h, cells, size,
+          x: center.gx - Math.floor(size / 2), y: center.gy - Math.floor(size * h / w / 2)
+        }, world));
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('That image could not be read'));
+      };
+      img.src = url;
+    });
+  }
+  // painted index of a cell: null blank, undefined while its chunk isn't here
+  function paintedAt(x, y) {
+    if (!core.store.isLoaded(world.chunkKey(x, y))) return undefined;
+    const cell = core.store.get(x, y);
+    return cell && Number.isInteger(cell.ci) ? cell.ci : null;
+  }
+  // recompare at most every TEMPLATE_DIFF_INTERVAL, and only once something changed
+  function refreshTemplateDiff(now, force = false) {
+    if (!template || playback) return;
+    const key = `${core.seq},${core.clearSeq},${core.history.length},${core.store.count()},${core.store.loadedChunks().length},` +
+      `${template.x},${template.y},${template.size},${world.palette.version}`;
+    if (!force && (key === lastDiffKey || now - lastDiffAt < TEMPLATE_DIFF_INTERVAL)) return;
+    lastDiffKey = key;
+    lastDiffAt = now;
+    // the chunks under the template, from storage or the server
+    world.chunksInRect(template.x, template.y, template.x + template.size, template.y + template.rows).forEach(ensureChunk);
+    templateDiff = diffTemplate(template, world, paintedAt);
+    const center = worldToGrid(world, -view.x, -view.y);
+    templateNext = nextPixel(templateDiff, world.palette, center.gx, center.gy);
+    renderTemplateStatus();
+  }
+  function drawTemplate() {
+    const key = `${template.x},${template.y},${template.size},${world.palette.version},${templateDiffOnly && lastDiffKey}`;
+    if (key !== templateLayerKey) {
+      templateLayer = paintTemplate();
+      templateLayerKey = key;
+    }
+    const pos = gridToWorld(world, template.x, template.y);
+    ctx.save();
+    ctx.globalAlpha = template.opacity;
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(templateLayer, pos.x, pos.y, template.size * world.scale, template.rows * world.scale);
+    ctx.restore();
+  }
+  // the template at one pixel per cell
+  function paintTemplate() {
+    const c = document.createElement('canvas');
+    c.width = template.size;
+    c.height = template.rows;
+    const cx = c.getContext('2d');
+    const img = cx.createImageData(c.width, c.height);
+    const wrong = templateDiffOnly && templateDiff ? new Set(templateDiff.wrong.map(([x, y]) => y * world.width + x)) : null;
+    for (let v = 0; v < c.height; v++) {
+      for (let u = 0; u < c.width; u++) {
+        const x = template.x + u, y = template.y + v;
+        const ci = templateCellAt(template, x, y);
+        if (ci < 0 || (wrong && !wrong.has(y * world.width + x))) continue;
+        const rgba = parseColor(world.palette.colors[ci].hex);
+        img.data.set([rgba[0], rgba[1], rgba[2], 255], (v * c.width + u) * 4);
+      }
+    }
+    cx.putImageData(img, 0, 0);
+    return c;
+  }
+  // center the view on the differing cell nearest its center, with that cell's color picked
+  function goToNextPixel() {
+    refreshTemplateDiff(performance.now(), true);
+    if (!templateNext) {
+      flashTooltip(templateDiff && templateDiff.total ? 'The template is finished' : 'Nothing of the template to place here');
+      return;
+    }
+    const [x, y, ci] = templateNext;
+    const w = gridToWorld(world, x, y);
+    view.x = -(w.x + world.scale / 2);
+    view.y = -(w.y + world.scale / 2);
+    view.zoom = clamp(Math.max(view.zoom, 2), minZoom(), maxZoom());
+    zoomLevelEl.textContent = Math.round(view.zoom * 100) + '%';
+    selectColor(ci);
+  }
+
+  // Template dialog
+  function renderTemplateForm() {
+    templateToolsEl.hidden = !template;
+    templateNextBtn.hidden = !template;
+    templateNameEl.textContent = template ? `${template.name} (${template.width}×${template.height})` : 'Load an image, or a template file someone shared.';
+    if (template) {
+      templateXInput.value = template.x;
+      templateYInput.value = template.y;
+      templateSizeInput.value = template.size;
+      templateOpacityInput.value = template.opacity;
+      templateDiffInput.checked = templateDiffOnly;
+    }
+    renderTemplateStatus();
+  }
+  function renderTemplateStatus() {
+    let status = '';
+    if (template) {
+      status = `${template.size}×${template.rows} cells at (${template.x},${template.y})`;
+      if (templateDiff) status += ` · ${templateDiff.done} of ${templateDiff.total} match, ${templateDiff.wrong.length} to go`;
+    }
+    templateStatusEl.textContent = status;
+    templateNextBtn.title = status;
+  }
+  function showTemplateError(msg) {
+    templateErrorEl.hidden = !msg;
+    templateErrorEl.textContent = msg || '';
+  }
+  // the form's position, size and opacity onto the template
+  function moveTemplate() {
+    setTemplate(placeTemplate(template, {
+      x: templateXInput.value, y: templateYInput.value, size: templateSizeInput.value, opacity: templateOpacityInput.value
+    }, world));
+  }
+  // drag a box on the planet: its left edge and width place the template (height follows)
+  function pickTemplatePlace() {
+    templateDialogEl.close();
+    startPick('rect', 'Drag where the template goes', points => {
+      if (points) {
+        const [a, b] = [points[0], points[points.length - 1]];
+        setTemplate(placeTemplate(template, {
+          x: Math.floor(Math.min(a[0], b[0])), y: Math.floor(Math.min(a[1], b[1])),
+          size: Math.max(1, Math.round(Math.abs(b[0] - a[0])))
+        }, world));
+      }
+      templateDialogEl.showModal();
+    });
+  }
+
+  // Time-lapse: a read-only playback of history, drawn instead of the live planet.
+  // Live placements keep arriving underneath and show again on return to Live.
+  let playback = null; // src/playback.mjs while the time-lapse is open
+  let playing = false, playbackSpeed = 1;
+  function openPlayback() {
+    if (!core.history.length) return flashTooltip('Nothing to replay yet');
+    playback = createPlayback(world, core.history);
+    playback.seek(playback.start);
     anims = [];
-    for (let i = 0; i < recent.length; i++) {
-      applyPlacement(recent[i], false);
-      // small delay
-      await new Promise(r => setTimeout(r, 80));
+    playbackEl.hidden = false;
+    timelapseBtn.textContent = 'Live';
+    renderDirty = true;
+    setPlaying(true);
+  }
+  function closePlayback() {
+    if (!playback) return;
+    playback = null;
+    setPlaying(false);
+    playbackEl.hidden = true;
+    timelapseBtn.textContent = 'Time-lapse';
+    renderDirty = true;
+  }
+  function setPlaying(on) {
+    // play at the end starts over
+    if (on && playback && playback.time >= playback.end) seekPlayback(playback.start);
+    playing = on && !!playback;
+    playbackPlayBtn.textContent = playing ? 'Pause' : 'Play';
+  }
+  // timeline ms per real ms: the whole history takes PLAYBACK_DURATION at 1×
+  function advancePlayback(dt) {
+    const span = playback.end - playback.start;
+    seekPlayback(span ? playback.time + dt * span / PLAYBACK_DURATION * playbackSpeed : playback.end);
+    if (playback.time >= playback.end) setPlaying(false);
+  }
+  function seekPlayback(t) {
+    const changed = playback.seek(t);
+    if (changed) changed.forEach(e => layers.setCell(playback.store.chunk(world.chunkKey(e.x, e.y)), e.x, e.y));
+    else playback.store.loadedChunks().forEach(c => layers.refresh(c));
+    const span = playback.end - playback.start;
+    playbackScrub.value = span ? Math.round(1000 * (playback.time - playback.start) / span) : 1000;
+    playbackTimeEl.textContent = `${new Date(playback.time).toLocaleString()} · ${playback.applied}/${playback.length}`;
+  }
+
+  // Export: files are drawn off-screen from the chunk layers, never from the
+  // visible canvas, so they don't depend on the view
+  let exporting = false;
+  function runExport(job) {
+    if (exporting) return;
+    exporting = true;
+    exportPngBtn.disabled = exportTimelapseBtn.disabled = exportPlanetBtn.disabled = true;
+    job()
+      .then(([blob, name]) => {
+        download(blob, name);
+        showExportStatus(`Saved ${name} (${Math.ceil(blob.size / 1024)} KB)`);
+      })
+      .catch(e => showExportStatus(e.message, true))
+      .then(() => {
+        exporting = false;
+        exportPngBtn.disabled = exportTimelapseBtn.disabled = exportPlanetBtn.disabled = false;
+      });
+  }
+  function showExportStatus(msg, error = false) {
+    exportStatusEl.hidden = false;
+    exportStatusEl.classList.toggle('editor-error', error);
+    exportStatusEl.textContent = msg;
+  }
+  function download(blob, name) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 60 * 1000);
+  }
+  function exportName(ext) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    return `${world.id}-${stamp}.${ext}`;
+  }
+  // pixels per cell (upscale k, shrunk to fit max) and the resulting image size
+  function exportSize(k, max) {
+    k = Math.min(k, max / Math.max(world.width, world.height));
+    return { k, w: Math.max(1, Math.round(world.width * k)), h: Math.max(1, Math.round(world.height * k)) };
+  }
+  function allChunkKeys() {
+    return world.chunksInRect(0, 0, world.width, world.height);
+  }
+  // every chunk with contents, loaded (from storage, or the server sends the missing ones)
+  function loadAllChunks() {
+    return loadChunks(Object.keys(core.store.index()));
+  }
+  // copy a store's chunks onto g, one pixel per cell; chunks it hasn't loaded are drawn empty
+  function paintGrid(g, s, keys) {
+    const blank = createChunkStore(world);
+    keys.forEach(key => {
+      const chunk = s.isLoaded(key) ? s.chunk(key) : blank.load(key, {});
+      g.putImageData(layers.layer(chunk).image, chunk.x, chunk.y);
+    });
+  }
+  function gridCanvas() {
+    const grid = document.createElement('canvas');
+    grid.width = world.width;
+    grid.height = world.height;
+    return grid;
+  }
+  // the grid scaled up onto c without smoothing, over bg if given, lit like the live planet if asked
+  function drawExport(c, grid, { bg, lit }) {
+    const w = c.canvas.width, h = c.canvas.height;
+    c.clearRect(0, 0, w, h);
+    if (bg) {
+      c.fillStyle = bg;
+      c.fillRect(0, 0, w, h);
     }
-    // restore
-    setTimeout(() => {
-      pixels = savedPixels;
-      anims = oldAnims;
-      saveToStorage();
-      playbackRunning = false;
-    }, 700);
+    c.imageSmoothingEnabled = false;
+    c.drawImage(grid, 0, 0, w, h);
+    if (!lit) return;
+    c.save();
+    c.translate(w / 2, h / 2);
+    if (tracePlanet(0, c, w / world.width)) {
+      c.clip();
+      drawLighting(c, w, h, planetRotation);
+    }
+    c.restore();
+  }
+  function exportCanvas(size) {
+    const out = document.createElement('canvas');
+    out.width = size.w;
+    out.height = size.h;
+    return out;
+  }
+
+  // the live planet, transparent around it
+  async function exportPng(scale, lit) {
+    const size = exportSize(scale, PNG_MAX_SIDE);
+    await loadAllChunks();
+    const grid = gridCanvas();
+    paintGrid(grid.getContext('2d'), core.store, allChunkKeys());
+    const out = exportCanvas(size);
+    drawExport(out.getContext('2d'), grid, { lit });
+    const blob = await new Promise(resolve => out.toBlob(resolve, 'image/png'));
+    if (!blob) throw new Error('The image is too big for this browser; pick a smaller size');
+    return [blob, exportName('png')];
+  }
+
+  // everything this tab holds; with a server, history reaches back as far as the server keeps it
+  async function exportPlanet() {
+    await loadAllChunks();
+    const file = JSON.stringify(encodePlanet(world, core.store, core.history));
+    return [new Blob([file], { type: 'application/json' }), exportName('planet.json')];
+  }
+
+  // Time-lapse exports replay history on their own playback, so the open one
+  // (and the live planet) are left alone; frames are spread evenly over time
+  function exportPlayback() {
+    if (!core.history.length) throw new Error('Nothing to replay yet');
+    const pb = createPlayback(world, core.history);
+    pb.frameTime = (i, n) => pb.start + (pb.end - pb.start) * (n ? i / n : 1);
+    return pb;
+  }
+  const nextFrame = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+  // GIF: palette indices straight from the cells; only the changed rectangle of
+  // each frame is stored. No lighting: its gradients don't fit in 256 colors.
+  async function exportGif(scale, seconds) {
+    const pb = exportPlayback();
+    const { k, w, h } = exportSize(scale, ANIM_MAX_SIDE);
+    // 0 = unchanged (transparent), 1 = space, 2 = unpainted, then every color history can show
+    const bg = parseColor(EXPORT_BACKGROUND), empty = EMPTY_CELL;
+    const colors = [bg, bg, empty.slice(0, 3).map((v, i) => Math.round(bg[i] + (v - bg[i]) * empty[3] / 255))];
+    const indexOf = new Map();
+    const addColor = hex => {
+      if (!indexOf.has(hex) && colors.length < 256) {
+        indexOf.set(hex, colors.length);
+        colors.push(parseColor(hex));
+      }
+    };
+    world.palette.colors.forEach(c => addColor(c.hex));
+    core.history.forEach(e => { if (!Number.isInteger(e.ci) && typeof e.c === 'string') addColor(e.c); });
+    const cellIndex = (x, y) => {
+      if (!world.isOnPlanet(x, y)) return 1;
+      const hex = colorOf(world.palette, pb.store.get(x, y));
+      return hex ? indexOf.get(hex) || 2 : 2;
+    };
+    const gif = createGIF({ width: w, height: h, colors, transparent: 0 });
+    const shown = new Uint8Array(w * h); // what the frames so far add up to
+    const frames = seconds * GIF_FPS, delay = 100 / GIF_FPS;
+    let held = null; // the last frame waits to learn how long it stays up
+    const hold = frame => {
+      if (held) gif.frame(held.indices, held);
+      held = frame;
+    };
+    // output pixels [p0, p1) that sample cell c (cells map to floor(p / k))
+    const span = c => [Math.ceil(c * k - 1e-9), Math.ceil((c + 1) * k - 1e-9)];
+
+    pb.seek(pb.start);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) shown[y * w + x] = cellIndex(Math.floor(x / k), Math.floor(y / k));
+    }
+    hold({ indices: shown.slice(), delay });
+    for (let i = 1; i <= frames; i++) {
+      const changed = pb.seek(pb.frameTime(i, frames));
+      // the pixels of this frame's cells that now look different
+      const next = new Map();
+      changed.forEach(e => {
+        const [x0, x1] = span(e.x), [y0, y1] = span(e.y);
+        const v = cellIndex(e.x, e.y);
+        for (let y = y0; y < Math.min(y1, h); y++) {
+          for (let x = x0; x < Math.min(x1, w); x++) next.set(y * w + x, v);
+        }
+      });
+      let x0 = w, y0 = h, x1 = -1, y1 = -1;
+      next.forEach((v, p) => {
+        if (shown[p] === v) return next.delete(p);
+        const x = p % w, y = (p - x) / w;
+        x0 = Math.min(x0, x); x1 = Math.max(x1, x);
+        y0 = Math.min(y0, y); y1 = Math.max(y1, y);
+      });
+      if (!next.size) held.delay += delay;
+      else {
+        const fw = x1 - x0 + 1, fh = y1 - y0 + 1;
+        const indices = new Uint8Array(fw * fh);
+        next.forEach((v, p) => {
+          shown[p] = v;
+          indices[(Math.floor(p / w) - y0) * fw + (p % w) - x0] = v;
+        });
+        hold({ indices, x: x0, y: y0, w: fw, h: fh, delay });
+      }
+      if (i % 20 === 0) {
+        showExportStatus(`Rendering GIF… ${Math.round(100 * i / frames)}%`);
+        await nextFrame();
+      }
+    }
+    held.delay += EXPORT_HOLD / 10;
+    hold(null);
+    return [new Blob([gif.finish()], { type: 'image/gif' }), exportName('gif')];
+  }
+
+  // WebM: recorded from an off-screen canvas in real time, so it takes as long as the video
+  async function exportWebm(scale, seconds, lit) {
+    const type = typeof MediaRecorder === 'undefined' ? null
+      : ['video/webm;codecs=vp9', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t));
+    const out = exportCanvas(exportSize(scale, ANIM_MAX_SIDE));
+    if (!type || !out.captureStream) throw new Error('This browser can\'t record WebM video; export a GIF instead');
+    const pb = exportPlayback();
+    const grid = gridCanvas(), g = grid.getContext('2d'), c = out.getContext('2d');
+    pb.seek(pb.start);
+    paintGrid(g, pb.store, allChunkKeys());
+    drawExport(c, grid, { bg: EXPORT_BACKGROUND, lit });
+
+    const recorder = new MediaRecorder(out.captureStream(WEBM_FPS), { mimeType: type });
+    const parts = [];
+    recorder.ondataavailable = e => { if (e.data.size) parts.push(e.data); };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+    recorder.start();
+    const frames = seconds * WEBM_FPS;
+    for (let i = 1; i <= frames; i++) {
+      await nextFrame(1000 / WEBM_FPS);
+      const keys = new Set();
+      pb.seek(pb.frameTime(i, frames)).forEach(e => {
+        const chunk = pb.store.chunk(world.chunkKey(e.x, e.y));
+        layers.layer(chunk);
+        layers.setCell(chunk, e.x, e.y);
+        keys.add(chunk.key);
+      });
+      if (keys.size) {
+        paintGrid(g, pb.store, [...keys]);
+        drawExport(c, grid, { bg: EXPORT_BACKGROUND, lit });
+      }
+      if (i % WEBM_FPS === 0) showExportStatus(`Recording video… ${Math.round(100 * i / frames)}% (keep this tab open)`);
+    }
+    await nextFrame(EXPORT_HOLD);
+    recorder.stop();
+    await stopped;
+    return [new Blob(parts, { type: 'video/webm' }), exportName('webm')];
   }
 
   // Cooldown ticker
@@ -564,41 +2758,255 @@
       if (Date.now() > cooldownUntil) {
         cooldownTicking = false;
         clearInterval(iv);
+        if (cursor) announce('Ready to place');
         updateUI();
       } else updateUI();
     }, 300);
   }
 
+  // Worlds: the classic planet unless ?world=<id> (worlds/<id>.json) or the server says otherwise
+  function fetchWorld(id) {
+    return fetch(`worlds/${encodeURIComponent(id)}.json`).then(res => {
+      if (!res.ok) throw new Error(`World "${id}" not found`);
+      return res.json();
+    });
+  }
+  // definition => world, decoding an image mask first
+  function loadWorld(def) {
+    const d = normalizeWorldDef(def);
+    if (d.mask.type !== 'image') return Promise.resolve(createWorld(d));
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const c2 = document.createElement('canvas');
+        c2.width = img.naturalWidth;
+        c2.height = img.naturalHeight;
+        const ctx2 = c2.getContext('2d');
+        ctx2.drawImage(img, 0, 0);
+        const rgba = ctx2.getImageData(0, 0, c2.width, c2.height).data;
+        resolve(createWorld(d, maskFromRGBA(rgba, c2.width, c2.height, d.width, d.height)));
+      };
+      img.onerror = () => reject(new Error(`Mask image ${d.mask.src} failed to load`));
+      img.src = d.mask.src;
+    });
+  }
+  // make w the current world (empty store; callers load its state)
+  function setWorld(w) {
+    closePlayback();
+    flushHistory(); // still the old world's
+    world = w;
+    // the classic planet keeps the original keys; server state is kept apart from local play
+    storagePrefix = 'pixelPlanet_' + (serverUrlFromLocation() !== null ? 'server_' : '') +
+      (w.id === DEFAULT_WORLD.id ? '' : w.id + '_');
+    layers = createLayers(w);
+    core = createPlanet({
+      world: w, identity, limiter, events,
+      now: () => Date.now() + clockOffset,
+      nextSeq: () => transport && transport.kind === 'local' ? nextLocalSeq() : 0 // a server numbers its own
+    });
+    resetStore();
+    anims = [];
+    buildPalette();
+    homeView();
+    followLink();
+    loadWatch();
+    loadSession();
+    // an edited palette outlives reloads (local play; a server sends its own)
+    try {
+      const saved = readJSON(worldKey(PALETTE_KEY));
+      if (saved && paletteNewer(normalizePalette(saved), w.palette)) setPalette(normalizePalette(saved));
+    } catch (e) { console.warn('load fail', e); }
+    loadTemplate();
+  }
+  // the server's world; resolves true if it differs from the one shown
+  function adoptWorld(def) {
+    if (JSON.stringify(normalizeWorldDef(def)) === JSON.stringify(world.def)) return Promise.resolve(false);
+    return loadWorld(def).then(w => {
+      setWorld(w);
+      pending.clear();
+      return loadFromStorage().then(() => true);
+    });
+  }
+
   // Init
-  function init() {
+  async function init() {
     resizeCanvas();
     window.addEventListener('resize', () => { resizeCanvas(); initParticles(); });
     canvas.addEventListener('pointerdown', onPointerDown);
     window.addEventListener('pointermove', onPointerMove);
     window.addEventListener('pointerup', onPointerUp);
-
-    canvas.addEventListener('touchstart', onPointerDown, {passive:false});
-    canvas.addEventListener('touchmove', onPointerMove, {passive:false});
-    canvas.addEventListener('touchend', onPointerUp);
+    window.addEventListener('pointercancel', e => gestures.cancel(e.pointerId));
 
     canvas.addEventListener('wheel', onWheel, { passive: false });
 
     document.addEventListener('keydown', onKey);
 
     // UI handlers
-    buildPalette();
     paletteEl.classList.remove('hidden');
     colorToggle.addEventListener('click', ()=> paletteEl.classList.toggle('hidden'));
-    timelapseBtn.addEventListener('click', runTimelapse);
+    heatToggle.addEventListener('click', () => setHeat(!heatOn));
+    [heatModeEl, heatWindowEl].forEach(el => el.addEventListener('change', () => refreshHeat(performance.now(), true)));
+    timelapseBtn.addEventListener('click', () => (playback ? closePlayback() : openPlayback()));
+    playbackCloseBtn.addEventListener('click', closePlayback);
+    playbackPlayBtn.addEventListener('click', () => setPlaying(!playing));
+    playbackSpeedEl.addEventListener('change', () => { playbackSpeed = Number(playbackSpeedEl.value) || 1; });
+    playbackScrub.addEventListener('input', () => {
+      // dragging pauses; the scrubber runs 0..1000 over the timeline
+      setPlaying(false);
+      seekPlayback(playback.start + (playback.end - playback.start) * Number(playbackScrub.value) / 1000);
+    });
     clearBtn.addEventListener('click', openClear);
-    centerBtn.addEventListener('click', ()=>{ view.x=0;view.y=0; view.zoom=1; zoomLevelEl.textContent = Math.round(view.zoom*100)+'%'; });
+    paletteEditBtn.addEventListener('click', openPaletteEditor);
+    Object.entries(PALETTE_PRESETS).forEach(([key, preset]) => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = preset.name;
+      palettePresetEl.appendChild(opt);
+    });
+    palettePresetEl.addEventListener('change', () => applyPreset(palettePresetEl.value));
+    paletteAddBtn.addEventListener('click', () => {
+      draft.colors.push({ name: 'New color', hex: '#ffffff', retired: false });
+      renderPaletteEditor();
+    });
+    paletteSaveBtn.addEventListener('click', savePaletteEditor);
+    moderateBtn.addEventListener('click', openModeration);
+    modActionEl.addEventListener('change', renderModeration);
+    modWhoEl.addEventListener('change', renderModeration);
+    [modSinceInput, modToInput].forEach(el => el.addEventListener('input', renderModeration));
+    modPickBtn.addEventListener('click', pickRegion);
+    modApplyBtn.addEventListener('click', applyModeration);
+    roleBtn.addEventListener('click', openRoles);
+    inspectListEl.addEventListener('click', (ev) => {
+      const item = ev.target.closest('[data-i]');
+      if (item && inspectEntries[item.dataset.i]) jumpRecent(inspectEntries[item.dataset.i].id);
+    });
+    inspectUnpinBtn.addEventListener('click', () => pinInspector(null));
+    inspectLinkBtn.addEventListener('click', copyPixelLink);
+    window.addEventListener('hashchange', followLink);
+    recentLatestBtn.addEventListener('click', () => jumpRecent(null));
+    recentListEl.addEventListener('scroll', onFeedScroll);
+    feedWhoEl.addEventListener('focus', fillFeedPeople);
+    [feedWhoEl, feedColorEl, feedWhereEl].forEach(el => el.addEventListener('change', () => {
+      recentFocus = null;
+      setFeedFilter();
+    }));
+    watchBtn.addEventListener('click', pickWatch);
+    watchClearBtn.addEventListener('click', () => setWatch(null));
+    watchAlertsBtn.addEventListener('click', openWatchAlerts);
+    watchSoundInput.addEventListener('change', () => {
+      saveWatch();
+      if (watchSoundInput.checked) playAlert(); // a sample, and it unlocks audio
+    });
+    templateBtn.addEventListener('click', () => {
+      showTemplateError('');
+      renderTemplateForm();
+      templateDialogEl.showModal();
+    });
+    templateNextBtn.addEventListener('click', goToNextPixel);
+    statsBtn.addEventListener('click', openStats);
+    [statsRankEl, statsWhoEl].forEach(el => el.addEventListener('change', () => refreshStats(performance.now(), true)));
+    statsTopEl.addEventListener('click', (ev) => {
+      const item = ev.target.closest('[data-i]');
+      if (!item || !statsTop[item.dataset.i]) return;
+      statsWhoEl.value = statsTop[item.dataset.i].key;
+      refreshStats(performance.now(), true);
+    });
+    templateFileInput.addEventListener('change', () => {
+      const file = templateFileInput.files[0];
+      templateFileInput.value = '';
+      if (!file) return;
+      showTemplateError('');
+      readTemplateFile(file).then(tpl => setTemplate(tpl)).catch(e => showTemplateError(e instanceof SyntaxError ? 'Not a template file' : e.message));
+    });
+    [templateXInput, templateYInput, templateSizeInput, templateOpacityInput].forEach(el => el.addEventListener('input', moveTemplate));
+    templateDiffInput.addEventListener('change', () => {
+      templateDiffOnly = templateDiffInput.checked;
+      templateLayerKey = '';
+      saveTemplate();
+    });
+    templatePlaceBtn.addEventListener('click', pickTemplatePlace);
+    templateShareBtn.addEventListener('click', () => {
+      const file = JSON.stringify(encodeTemplate(template, world));
+      download(new Blob([file], { type: 'application/json' }), `${template.name.replace(/[^\w-]+/g, '_')}.template.json`);
+    });
+    templateRemoveBtn.addEventListener('click', () => setTemplate(null));
+    roleSignInBtn.addEventListener('click', () => runRoleAction(() => signIn(rolePassInput.value)));
+    roleSignOutBtn.addEventListener('click', () => runRoleAction(signOut));
+    roleSaveBtn.addEventListener('click', () => runRoleAction(() => setPassphrases({
+      admin: roleAdminInput.value,
+      moderator: roleModInput.value
+    })));
+    exportBtn.addEventListener('click', () => {
+      if (!exporting) exportStatusEl.hidden = true;
+      exportDialogEl.showModal();
+    });
+    exportPngBtn.addEventListener('click', () => {
+      showExportStatus('Drawing the planet…');
+      runExport(() => exportPng(Number(exportScaleEl.value), exportLightingEl.checked));
+    });
+    exportPlanetBtn.addEventListener('click', () => {
+      showExportStatus('Gathering the planet…');
+      runExport(exportPlanet);
+    });
+    importBtn.addEventListener('click', openImport);
+    importFileInput.addEventListener('change', () => {
+      if (importFileInput.files[0]) readImportFile(importFileInput.files[0]);
+    });
+    importApplyBtn.addEventListener('click', applyImport);
+    exportTimelapseBtn.addEventListener('click', () => {
+      const scale = Number(exportScaleEl.value), seconds = Number(exportLengthEl.value);
+      const webm = exportFormatEl.value === 'webm';
+      showExportStatus(webm ? 'Recording video… (keep this tab open)' : 'Rendering GIF…');
+      runExport(() => (webm ? exportWebm(scale, seconds, exportLightingEl.checked) : exportGif(scale, seconds)));
+    });
+    centerBtn.addEventListener('click', homeView);
 
-    // nickname persist
-    nickInput.value = localStorage.getItem(NICK_KEY) || '';
-    nickInput.addEventListener('change', ()=> localStorage.setItem(NICK_KEY, nickInput.value));
+    // display name, kept with the identity
+    nickInput.value = identity.name;
+    nickInput.title = `Your id: #${uid.slice(0, 6)}`;
+    nickInput.addEventListener('change', () => {
+      identity.name = nickInput.value = cleanName(nickInput.value);
+      saveIdentity(identity);
+    });
+    window.addEventListener('storage', (ev) => {
+      if (ev.key !== IDENTITY_KEY) return;
+      const other = normalizeIdentity(readJSON(IDENTITY_KEY));
+      if (other && other.id === uid) identity.name = nickInput.value = other.name;
+    });
+
+    // cooldown survives reloads
+    cooldownUntil = Date.now() + limiter.wait(identityOf({ uid }));
+    if (cooldownUntil > Date.now()) startCooldownTicker();
 
-    // load
-    loadFromStorage();
+    // world first (a server sends its own), then cached state, then only the deltas we missed
+    const serverUrl = serverUrlFromLocation();
+    const worldId = new URLSearchParams(location.search).get('world');
+    let w = world;
+    if (worldId && !serverUrl) {
+      try { w = await loadWorld(await fetchWorld(worldId)); } catch (e) { flashTooltip(e.message); }
+    }
+    storage = await openStorage({ legacy: localStorage }).catch(e => {
+      showStorageError(`Nothing will be saved: ${e.message}`);
+      return null;
+    });
+    setWorld(w);
+    await loadFromStorage();
+    transport = serverUrl ? createSocketTransport(serverUrl) : createLocalTransport();
+    updateRoleUI();
+    if (transport.kind === 'local') requestDeltas();
+    // signing in or out in another tab
+    window.addEventListener('storage', (ev) => {
+      if (ev.key === worldKey(ROLES_KEY)) updateRoleUI();
+      if (ev.key !== worldKey(ROLE_KEY) || transport.kind !== 'socket') return;
+      loadSession();
+      updateRoleUI();
+      if (transport.ready) sendAuth({ role: session.role, token: session.token });
+    });
+    window.addEventListener('pagehide', saveSnapshot);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') saveSnapshot();
+      else requestDeltas();
+    });
 
     // start rendering
     requestAnimationFrame(tick);
@@ -608,9 +3016,30 @@
   function clampInt(v,a,b){ return Math.max(a, Math.min(b, v)); }
 
   // Start
-  init();
+  const ready = init();
+  ready.catch(e => console.error('init fail', e));
 
-  // expose small functions for debug & external control
-  window.pixelPlanet = { placePixelAtScreen, getState: ()=> ({pixels, history}) };
+  // Scripting API (src/api.mjs): the view speaks cells, the center of the screen's one
+  window.pixelPlanet = Object.freeze({
+    ...createPlanetAPI({
+      get world() { return world; },
+      events,
+      ready,
+      place: placeAt,
+      cooldown: () => Math.max(0, cooldownUntil - Date.now()),
+      getView: () => ({ ...viewCenter(world, view), zoom: view.zoom }),
+      setView(next) {
+        flight = null;
+        const to = centerOn(world, next.x ?? 0, next.y ?? 0);
+        if (next.x !== undefined) view.x = to.x;
+        if (next.y !== undefined) view.y = to.y;
+        if (next.zoom !== undefined) view.zoom = clamp(next.zoom, minZoom(), maxZoom());
+        zoomLevelEl.textContent = Math.round(view.zoom * 100) + '%';
+      },
+      state: () => core.state(),
+      pixel: (x, y) => core.pixel(x, y)
+    }),
+    placePixelAtScreen // from before the API: a click at screen coordinates
+  });
 
 })();
@@ -0,0 +1,93 @@
+/* Tiny PNG decoder for world mask images (the browser decodes them with a canvas)
+   - 8-bit, non-interlaced; greyscale, RGB, palette, grey+alpha and RGBA
+   - returns {width, height, data} with RGBA data, like ImageData
+*/
+
+import { inflateSync } from 'node:zlib';
+
+const SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+export function decodePNG(buf) {
+  if (!buf.subarray(0, 8).equals(SIGNATURE)) throw new Error('png: bad signature');
+  let offset = 8;
+  let width = 0, height = 0, depth = 0, colorType = 0, interlace = 0;
+  let palette = null, alpha = null;
+  const idat = [];
+  while (offset < buf.length) {
+    const len = buf.readUInt32BE(offset);
+    const type = buf.toString('latin1', offset + 4, offset + 8);
+    const body = buf.subarray(offset + 8, offset + 8 + len);
+    offset += 12 + len;
+    if (type === 'IHDR') {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      depth = body[8];
+      colorType = body[9];
+      interlace = body[12];
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      alpha = body;
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+  if (depth !== 8 || interlace !== 0 || !(colorType in CHANNELS)) {
+    throw new Error('png: only 8-bit, non-interlaced images are supported');
+  }
+  const channels = CHANNELS[colorType];
+  const stride = width * channels;
+  const raw = inflateSync(Buffer.concat(idat));
+  const pixels = unfilter(raw, stride, height, channels);
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+    const o = i * 4;
+    if (colorType === 6) {
+      data[o] = pixels[j]; data[o + 1] = pixels[j + 1]; data[o + 2] = pixels[j + 2]; data[o + 3] = pixels[j + 3];
+    } else if (colorType === 2) {
+      data[o] = pixels[j]; data[o + 1] = pixels[j + 1]; data[o + 2] = pixels[j + 2]; data[o + 3] = 255;
+    } else if (colorType === 3) {
+      const p = pixels[j];
+      data[o] = palette[p * 3]; data[o + 1] = palette[p * 3 + 1]; data[o + 2] = palette[p * 3 + 2];
+      data[o + 3] = alpha && p < alpha.length ? alpha[p] : 255;
+    } else {
+      const g = pixels[j];
+      data[o] = data[o + 1] = data[o + 2] = g;
+      data[o + 3] = colorType === 4 ? pixels[j + 1] : 255;
+    }
+  }
+  return { width, height, data };
+}
+
+// Undo the per-scanline filters (None, Sub, Up, Average, Paeth)
+function unfilter(raw, stride, height, bpp) {
+  const out = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride, prev = row - stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y > 0 ? out[prev + x] : 0;
+      const c = x >= bpp && y > 0 ? out[prev + x - bpp] : 0;
+      let v = line[x];
+      if (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += (a + b) >> 1;
+      else if (filter === 4) v += paeth(a, b, c);
+      out[row + x] = v & 255;
+    }
+  }
+  return out;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
@@ -0,0 +1,455 @@
+/* Pixel Planet reference server
+   - serves the static client from the repo root
+   - runs one world (src/world.mjs) and holds its authoritative pixel chunks + history
+   - tells each client the world on connect, then sends the chunks it asks for ('chunks')
+   - owns the world's palette: numbers admin edits ('palette') and sends the result to all
+   - runs moderation ('moderate': revert a person, roll back a region, undo the last
+     clear; src/moderation.mjs), then sends everyone the full state; keeps the audit log
+   - keeps a window of history: placements trimmed from it leave their cells in base,
+     which moderation falls back on, and it refuses actions reaching back past it;
+     full states say what was trimmed (trimmed), so clients keep their older history
+   - imports planet files ('import', src/planet-file.mjs), merged or replacing the planet
+   - signs clients in ('auth', src/roles.mjs): clear, palette edits and imports need an
+     admin, moderation a moderator; anything else is answered with a 'reject'. A sign-in
+     proves its uid: the connection's challenge (nonce), signed by that identity
+   - relays place/clear/sync messages over WebSocket, numbering each change
+     so reconnecting clients fetch only the deltas they missed ('need')
+   - stamps its world, delta and sync messages with its clock (stamp): clients
+     date their placements by it, and placements dated ahead of it are refused
+   - validates every placement with the client's rules (src/rules.mjs), signature by
+     its identity (src/identity.mjs) included and checked last, and answers refused ones
+     with a 'reject' message; a connection that keeps sending bad signatures is closed
+   Run: node server/server.mjs, then open http://<host>:8787/?server
+
+   Env: PORT (8787), HOST (0.0.0.0), PIXEL_PLANET_DATA (json file to persist state),
+        PIXEL_PLANET_WORLD (world definition json, e.g. worlds/ring.json; classic planet if unset),
+        PIXEL_PLANET_ADMIN_PASSPHRASE, PIXEL_PLANET_MODERATOR_PASSPHRASE (roles are off without them)
+*/
+
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { randomBytes } from 'node:crypto';
+import { acceptUpgrade, MAX_MESSAGE } from './ws.mjs';
+import { COOLDOWN, SERVER_CLOCK_SKEW, identityOf, createRateLimiter, validatePlacement, compareWrites } from '../src/rules.mjs';
+import { DEFAULT_WORLD, createWorld, normalizeWorldDef, maskFromRGBA } from '../src/world.mjs';
+import { createChunkStore, chunksFromFlat, cellOf } from '../src/chunks.mjs';
+import { normalizePalette, applyPaletteEdit } from '../src/palette.mjs';
+import { AUDIT_LIMIT, normalizeAction, planUndo, restoreCleared, auditEntry } from '../src/moderation.mjs';
+import { normalizeRole, can, forbidden, hashPassphrase, roleToken } from '../src/roles.mjs';
+import { MAX_PLANET_FILE, decodePlanet, paletteEdit, importPlanet } from '../src/planet-file.mjs';
+import { verifyRecord, verifyPlacement } from '../src/identity.mjs';
+import { decodePNG } from './png.mjs';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '0.0.0.0';
+const DATA_FILE = process.env.PIXEL_PLANET_DATA || '';
+const WORLD_FILE = process.env.PIXEL_PLANET_WORLD || '';
+const HISTORY_LIMIT = 5000; // placements the server keeps (up to twice this, trimmed in one go)
+const CHUNK_KEY = /^\d{1,3},\d{1,3}$/; // "cx,cy"
+const PASS_HASHES = {}; // role => hash of its passphrase
+if (process.env.PIXEL_PLANET_ADMIN_PASSPHRASE) PASS_HASHES.admin = hashPassphrase(process.env.PIXEL_PLANET_ADMIN_PASSPHRASE);
+if (process.env.PIXEL_PLANET_MODERATOR_PASSPHRASE) PASS_HASHES.moderator = hashPassphrase(process.env.PIXEL_PLANET_MODERATOR_PASSPHRASE);
+const MAX_BAD_SIGNATURES = 3; // placements with a bad signature a connection may send
+const SAVE_DELAY = 2000;
+const PING_INTERVAL = 30 * 1000;
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+// World: image masks are decoded here; their src is relative to the repo root, like the client's
+function loadWorld() {
+  if (!WORLD_FILE) return createWorld(DEFAULT_WORLD);
+  try {
+    const def = normalizeWorldDef(JSON.parse(fs.readFileSync(WORLD_FILE, 'utf8')));
+    if (def.mask.type !== 'image') return createWorld(def);
+    const img = decodePNG(fs.readFileSync(path.join(ROOT, def.mask.src)));
+    return createWorld(def, maskFromRGBA(img.data, img.width, img.height, def.width, def.height));
+  } catch (e) {
+    console.error(`cannot load world ${WORLD_FILE}: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+// State
+const world = loadWorld();
+let store = createChunkStore(world); // chunk cells => {ci, t, nick}
+let history = []; // placements {x,y,ci,t,nick,uid,sig,id,seq}
+let base = createChunkStore(world); // cells as the placements trimmed from history left them
+let trimmedTo = null; // time of the newest placement trimmed from history (null: none)
+let historyReset = 0; // seq of the last clear or replacing import: history starts after it
+let seq = 0; // last sequence number handed out
+let clearSeq = 0; // sequence number of the last clear or moderation action (clients behind it resync)
+let audit = []; // moderation log, oldest first
+let cleared = null; // what the last clear wiped, {seq, t, chunks, history}, until it is undone
+const clients = new Set();
+const limiter = createRateLimiter(COOLDOWN); // keyed by identity and by connection
+let nextClientId = 1;
+
+// Persistence (optional)
+function loadState() {
+  if (!DATA_FILE || !fs.existsSync(DATA_FILE)) return;
+  try {
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    const savedWorld = data.world || DEFAULT_WORLD.id; // files from before worlds hold the classic planet
+    if (savedWorld !== world.id) {
+      console.error(`${DATA_FILE} holds world "${savedWorld}", not "${world.id}"; use another PIXEL_PLANET_DATA`);
+      process.exit(1);
+    }
+    if (data.palette) world.palette = normalizePalette(data.palette);
+    const chunks = data.chunks || chunksFromFlat(world, data.pixels);
+    Object.entries(chunks).forEach(([key, cells]) => store.load(key, cells));
+    history = data.history || [];
+    Object.entries(data.base || {}).forEach(([key, cells]) => base.load(key, cells));
+    trimmedTo = data.trimmedTo ?? null;
+    historyReset = data.historyReset || 0;
+    seq = data.seq || history.reduce((m, e) => Math.max(m, e.seq || 0), 0);
+    clearSeq = data.clearSeq || 0;
+    audit = data.audit || [];
+    cleared = data.cleared || null;
+  } catch (e) {
+    console.warn('load fail', e.message);
+  }
+}
+function chunksOf(keys, from = store) {
+  const out = {};
+  keys.forEach(key => {
+    const c = from.chunk(key);
+    out[key] = c ? c.cells : {};
+  });
+  return out;
+}
+let saveTimer = null;
+function scheduleSave() {
+  if (!DATA_FILE || saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    const tmp = DATA_FILE + '.tmp';
+    try {
+      const chunks = chunksOf(Object.keys(store.index()));
+      fs.writeFileSync(tmp, JSON.stringify({
+        world: world.id, palette: world.palette, chunks, history, seq, clearSeq, audit, cleared,
+        base: chunksOf(Object.keys(base.index()), base), trimmedTo, historyReset
+      }));
+      fs.renameSync(tmp, DATA_FILE);
+    } catch (e) {
+      console.warn('save fail', e.message);
+    }
+  }, SAVE_DELAY);
+}
+
+// Messages
+// Identity and connection are both rate limited, so swapping uids on one socket gains nothing.
+// The signature is checked last, as it is slow; a connection that keeps sending bad ones
+// is closed, so it can't keep the server busy checking them.
+function checkPlacement(client, p, now) {
+  const wait = limiter.wait(client.key, now);
+  if (wait > 0) return { ok: false, code: 'cooldown', reason: `Cooldown: ${Math.ceil(wait/1000)}s`, wait };
+  const verdict = validatePlacement(p, { world, now, skew: SERVER_CLOCK_SKEW, limiter });
+  if (!verdict.ok) return verdict;
+  if (!verifyPlacement(p)) {
+    client.badSignatures++;
+    return { ok: false, code: 'signature', reason: 'Placement not signed by its identity', wait: 0 };
+  }
+  return verdict;
+}
+
+// a passphrase signs in; the token from an earlier sign-in keeps that identity signed in.
+// Either way the client signs this connection's nonce with uid's key, so nobody signs in
+// (or leaves audit entries) as someone else. Returns the role, or the reason for refusing.
+function authenticate(client, data) {
+  const uid = typeof data.uid === 'string' ? data.uid.slice(0, 64) : '';
+  if (!uid) return { reason: 'Sign-in needs an identity' };
+  if (!verifyRecord('auth', client.nonce, uid, data.proof)) return { reason: 'Sign-in not signed by its identity' };
+  if (typeof data.passphrase === 'string') {
+    const hash = hashPassphrase(data.passphrase);
+    const role = ['admin', 'moderator'].find(r => PASS_HASHES[r] === hash);
+    return role ? { role, uid } : { reason: 'Wrong passphrase' };
+  }
+  const role = normalizeRole(data.role);
+  if (role === 'visitor') return { role, uid }; // signing out
+  if (PASS_HASHES[role] && data.token === roleToken(role, uid, PASS_HASHES[role])) return { role, uid };
+  return { reason: 'Your sign-in expired: enter the passphrase again' };
+}
+// true (and the client told why) if the client's role may not do action
+function deny(client, action) {
+  const reason = forbidden(client.role, action);
+  if (reason) send(client, { type: 'reject', code: 'forbidden', reason });
+  return !!reason;
+}
+
+function handleMessage(client, data) {
+  if (!data) return;
+  if (data.type === 'place') {
+    const p = data.payload;
+    const now = Date.now();
+    // an id we hold: the same placement sent again gets its echo again, another one is refused
+    // (clients would take it for that echo and drop it, while the cell took it here)
+    const held = p && p.id !== undefined && history.find(e => e.id === p.id);
+    if (held && held.sig === p.sig) {
+      send(client, { type: 'place', payload: held, fresh: false });
+      return;
+    }
+    const verdict = held ? { ok: false, code: 'duplicate', reason: 'That placement id is taken', wait: 0 } : checkPlacement(client, p, now);
+    if (!verdict.ok) {
+      send(client, { type: 'reject', code: verdict.code, reason: verdict.reason, wait: verdict.wait, payload: p || null });
+      if (client.badSignatures >= MAX_BAD_SIGNATURES) client.close(1008);
+      return;
+    }
+    const placement = { x: p.x, y: p.y, ci: p.ci, t: p.t, nick: String(p.nick || '').replace(/[<>]/g, '').slice(0, 20) };
+    placement.uid = p.uid;
+    placement.sig = p.sig;
+    placement.seq = ++seq;
+    placement.id = typeof p.id === 'string' ? p.id : `s${placement.seq}`;
+    limiter.hit(identityOf(placement), now);
+    limiter.hit(client.key, now);
+    const had = store.get(p.x, p.y);
+    const fresh = !had;
+    // last writer wins, as in every tab: a placement stamped before the cell's (sent
+    // late, say from an outbox) goes into history but leaves the cell
+    if (compareWrites(placement, had) > 0) store.set(p.x, p.y, cellOf(placement));
+    history.push(placement);
+    trimHistory();
+    // the sender gets the echo too: that is how it learns the sequence number;
+    // fresh (a newly painted cell) keeps counts right for clients without that chunk
+    broadcast({ type: 'place', payload: placement, fresh });
+    scheduleSave();
+  } else if (data.type === 'auth') {
+    const auth = authenticate(client, data);
+    if (!auth.role) {
+      client.role = 'visitor';
+      send(client, { type: 'reject', code: 'auth', reason: auth.reason });
+      return;
+    }
+    client.role = auth.role;
+    client.uid = auth.uid;
+    // room for a planet file
+    client.maxMessage = can(auth.role, 'import') ? MAX_PLANET_FILE : MAX_MESSAGE;
+    const token = auth.role === 'visitor' ? null : roleToken(auth.role, auth.uid, PASS_HASHES[auth.role]);
+    send(client, { type: 'role', role: auth.role, token });
+  } else if (data.type === 'clear') {
+    if (deny(client, 'clear')) return;
+    const entry = record({ kind: 'clear' }, client, data, store.count());
+    // kept until the next clear, so this one can be undone
+    cleared = {
+      seq: entry.seq, t: entry.t, chunks: chunksOf(Object.keys(store.index())), history,
+      base: chunksOf(Object.keys(base.index()), base), trimmedTo, historyReset
+    };
+    store = createChunkStore(world); history = [];
+    resetHistory(entry.seq);
+    clearSeq = entry.seq;
+    broadcast({ type: 'clear', seq: clearSeq, audit: entry });
+    scheduleSave();
+  } else if (data.type === 'moderate') {
+    if (deny(client, 'moderate')) return;
+    let action, plan;
+    try {
+      action = normalizeAction(data.action, world);
+      if (action.kind === 'undo-clear' && !cleared) throw new Error('There is no clear to undo');
+      if (action.kind !== 'undo-clear') plan = planUndo(history, action, trimmedTo === null ? null : { t: trimmedTo, store: base });
+      if (plan && !plan.removed.length) throw new Error('No placements match: nothing to undo');
+    } catch (e) {
+      send(client, { type: 'reject', code: 'moderate', reason: e.message });
+      return;
+    }
+    let count;
+    if (plan) {
+      history = plan.history;
+      plan.cells.forEach(([x, y, e]) => (e ? store.set(x, y, cellOf(e)) : store.delete(x, y)));
+      count = plan.cells.length;
+    } else {
+      const restored = restoreCleared(world, cleared, history);
+      store = restored.store;
+      history = restored.history;
+      restoreTrimmed(cleared);
+      trimHistory();
+      count = restored.count;
+      cleared = null;
+    }
+    clearSeq = record(action, client, data, count).seq;
+    // a rewrite, like a clear: everyone starts over from the full state
+    broadcast(fullState());
+    scheduleSave();
+  } else if (data.type === 'import') {
+    if (deny(client, 'import')) return;
+    let planet, palette = null;
+    try {
+      if (data.mode !== 'merge' && data.mode !== 'replace') throw new Error('Choose merge or replace');
+      planet = decodePlanet(data.planet, world);
+      const edit = paletteEdit(planet, world.palette);
+      if (edit) palette = applyPaletteEdit(world.palette, edit);
+    } catch (e) {
+      send(client, { type: 'reject', code: 'import', reason: e.message });
+      return;
+    }
+    if (palette) {
+      world.palette = palette;
+      broadcast({ type: 'palette', palette });
+    }
+    const result = importPlanet(world, planet, data.mode, { store, history }, seq + 1);
+    store = result.store;
+    if (data.mode === 'replace') resetHistory(seq);
+    seq += result.history.length;
+    history = result.history;
+    trimHistory();
+    clearSeq = record({ kind: 'import', mode: data.mode }, client, data, result.count).seq;
+    broadcast(fullState());
+    scheduleSave();
+  } else if (data.type === 'need') {
+    const since = Number(data.since) || 0;
+    // deltas only if we still hold everything after `since`; otherwise the full state
+    const oldest = history.length ? history[0].seq : seq + 1;
+    if (since >= clearSeq && since <= seq && oldest <= since + 1) {
+      send(client, { type: 'delta', entries: history.filter(e => e.seq > since), seq, stamp: Date.now() });
+    } else {
+      send(client, fullState());
+    }
+  } else if (data.type === 'palette') {
+    if (deny(client, 'palette')) return;
+    // an edit must build on the current version; otherwise someone else's got in first
+    if (data.base !== world.palette.version) {
+      send(client, { type: 'reject', code: 'palette', reason: 'The palette changed meanwhile; check it and save again' });
+      return;
+    }
+    let next;
+    try {
+      next = applyPaletteEdit(world.palette, data.edit);
+    } catch (e) {
+      send(client, { type: 'reject', code: 'palette', reason: e.message });
+      return;
+    }
+    world.palette = next;
+    broadcast({ type: 'palette', palette: next });
+    scheduleSave();
+  } else if (data.type === 'chunks') {
+    const keys = Array.isArray(data.keys) ? data.keys : [];
+    const valid = keys.filter(k => typeof k === 'string' && CHUNK_KEY.test(k)).slice(0, world.chunksX * world.chunksY);
+    send(client, { type: 'chunks', chunks: chunksOf(valid) });
+  } else if (data.type === 'sync') {
+    send(client, fullState());
+  }
+}
+// no pixels: clients ask for the chunks they show. History is what we keep; clients
+// keep their own placements from up to trimmed.t, since trimmed.after, that we trimmed
+function fullState() {
+  const trimmed = trimmedTo === null ? null : { t: trimmedTo, after: historyReset };
+  return { type: 'sync', world: world.id, index: store.index(), history, trimmed, seq, clearSeq, audit, stamp: Date.now() };
+}
+
+// History past twice HISTORY_LIMIT goes back to HISTORY_LIMIT; the placements that
+// leave it leave their cells in base
+function trimHistory() {
+  if (history.length <= HISTORY_LIMIT * 2) return;
+  history.slice(0, -HISTORY_LIMIT).forEach(e => {
+    if (compareWrites(e, base.get(e.x, e.y)) > 0) base.set(e.x, e.y, cellOf(e));
+    if (trimmedTo === null || e.t > trimmedTo) trimmedTo = e.t;
+  });
+  history = history.slice(-HISTORY_LIMIT);
+}
+// history starts over after seq (a clear, a replacing import): nothing trimmed yet
+function resetHistory(at) {
+  base = createChunkStore(world);
+  trimmedTo = null;
+  historyReset = at;
+}
+// undoing a clear: what was trimmed before it comes back under what was trimmed since
+function restoreTrimmed(archive) {
+  const since = base;
+  base = createChunkStore(world);
+  Object.entries(archive.base || {}).forEach(([key, cells]) => base.load(key, cells));
+  since.forEach((x, y, rec) => {
+    if (compareWrites(rec, base.get(x, y)) > 0) base.set(x, y, rec);
+  });
+  if (archive.trimmedTo != null && (trimmedTo === null || archive.trimmedTo > trimmedTo)) trimmedTo = archive.trimmedTo;
+  historyReset = archive.historyReset || 0;
+}
+// number a moderation action (or clear) and log it under the signed-in identity
+function record(action, client, msg, count) {
+  const entry = auditEntry(action, { seq: ++seq, by: msg.by, uid: client.uid, count });
+  audit.push(entry);
+  if (audit.length > AUDIT_LIMIT) audit = audit.slice(-AUDIT_LIMIT);
+  return entry;
+}
+
+function send(client, msg) {
+  client.send(JSON.stringify(msg));
+}
+function broadcast(msg, except) {
+  const text = JSON.stringify(msg);
+  for (const c of clients) if (c !== except) c.send(text);
+}
+
+// Static files
+function serveStatic(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405).end();
+    return;
+  }
+  let pathname;
+  try { pathname = decodeURIComponent(new URL(req.url, 'http://x').pathname); } catch (e) { pathname = ''; }
+  if (pathname.endsWith('/')) pathname += 'index.html';
+  const file = path.join(ROOT, pathname);
+  const hidden = pathname.split('/').some(part => part.startsWith('.'));
+  if (!file.startsWith(ROOT) || hidden) {
+    res.writeHead(404).end();
+    return;
+  }
+  fs.readFile(file, (err, body) => {
+    if (err) {
+      res.writeHead(404).end('not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME[path.extname(file)] || 'application/octet-stream' });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  });
+}
+
+// Server
+const server = http.createServer(serveStatic);
+server.on('upgrade', (req, socket) => {
+  const client = acceptUpgrade(req, socket);
+  if (!client) return;
+  client.key = `conn:${nextClientId++}`;
+  client.role = 'visitor'; // until it signs in
+  client.badSignatures = 0;
+  client.nonce = randomBytes(16).toString('hex'); // what a sign-in signs
+  clients.add(client);
+  send(client, { type: 'world', world: world.def, palette: world.palette, index: store.index(), audit, nonce: client.nonce, stamp: Date.now() });
+  client.on('message', (text) => {
+    let data;
+    try { data = JSON.parse(text); } catch (e) { return; }
+    handleMessage(client, data);
+  });
+  client.on('close', () => clients.delete(client));
+});
+
+// drop clients that stopped answering pings
+setInterval(() => {
+  for (const c of clients) {
+    if (!c.alive) { c.close(1001); continue; }
+    c.alive = false;
+    c.ping();
+  }
+}, PING_INTERVAL).unref();
+
+loadState();
+server.listen(PORT, HOST, () => {
+  console.log(`Pixel Planet server on port ${PORT}, world "${world.id}" (${world.width}x${world.height})`);
+  if (!PASS_HASHES.admin) console.log('  no PIXEL_PLANET_ADMIN_PASSPHRASE: clearing, palette edits and imports are off');
+  if (!PASS_HASHES.moderator && !PASS_HASHES.admin) console.log('  no PIXEL_PLANET_MODERATOR_PASSPHRASE: moderation is off');
+  for (const addrs of Object.values(os.networkInterfaces())) {
+    for (const a of addrs || []) {
+      if (a.family === 'IPv4') console.log(`  http://${a.address}:${PORT}/?server`);
+    }
+  }
+});
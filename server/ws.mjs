@@ -0,0 +1,161 @@
+/* Minimal WebSocket (RFC 6455) server side
+   - handshake on http 'upgrade'
+   - text frames only, fragmented messages reassembled
+   - ping/pong keepalive, no extensions
+   Kept dependency-free so the reference server runs with plain `node`.
+*/
+
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+export const MAX_MESSAGE = 1024 * 1024; // 1MB, plenty for place/clear/sync; see Connection.maxMessage
+const OP = { cont: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Complete the handshake for an http 'upgrade' request; returns a connection or null
+export function acceptUpgrade(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+  const accept = createHash('sha1').update(key + GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  return new Connection(socket, req.socket.remoteAddress);
+}
+
+export class Connection extends EventEmitter {
+  constructor(socket, address) {
+    super();
+    this.socket = socket;
+    this.address = address || '';
+    this.alive = true;
+    this.closed = false;
+    this.maxMessage = MAX_MESSAGE; // raised for connections allowed to send big messages
+    this.buffer = Buffer.alloc(0);
+    this.pending = []; // data behind buffer, joined once the frame it belongs to is complete
+    this.pendingSize = 0;
+    this.needed = 0; // bytes the frame at the head of buffer takes
+    this.fragments = [];
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this.onData(chunk));
+    socket.on('close', () => this.finish());
+    socket.on('error', () => this.finish());
+  }
+
+  send(text) {
+    if (this.closed) return;
+    this.socket.write(frame(OP.text, Buffer.from(text)));
+  }
+
+  ping() {
+    if (this.closed) return;
+    this.socket.write(frame(OP.ping, Buffer.alloc(0)));
+  }
+
+  close(code = 1000) {
+    if (this.closed) return;
+    const body = Buffer.alloc(2);
+    body.writeUInt16BE(code);
+    this.socket.end(frame(OP.close, body));
+    this.finish();
+  }
+
+  finish() {
+    if (this.closed) return;
+    this.closed = true;
+    this.socket.destroy();
+    this.emit('close');
+  }
+
+  onData(chunk) {
+    this.pending.push(chunk);
+    this.pendingSize += chunk.length;
+    // a big frame comes in many chunks: join them once, when it is all here
+    if (this.buffer.length + this.pendingSize < this.needed) return;
+    this.buffer = Buffer.concat([this.buffer, ...this.pending]);
+    this.pending = [];
+    this.pendingSize = 0;
+    // parse as many complete frames as we have
+    while (!this.closed) {
+      const f = parseFrame(this.buffer, this.maxMessage);
+      if (f === null) return;
+      if (f.error) return this.close(f.error);
+      this.needed = f.need || 0;
+      if (f.need) return;
+      this.buffer = this.buffer.subarray(f.size);
+      this.onFrame(f);
+    }
+  }
+
+  onFrame(f) {
+    this.alive = true;
+    if (f.opcode === OP.ping) {
+      this.socket.write(frame(OP.pong, f.payload));
+    } else if (f.opcode === OP.pong) {
+      // keepalive answered
+    } else if (f.opcode === OP.close) {
+      this.close();
+    } else if (f.opcode === OP.text || f.opcode === OP.binary || f.opcode === OP.cont) {
+      this.fragments.push(f.payload);
+      const size = this.fragments.reduce((n, b) => n + b.length, 0);
+      if (size > this.maxMessage) return this.close(1009);
+      if (!f.fin) return;
+      const msg = Buffer.concat(this.fragments).toString('utf8');
+      this.fragments = [];
+      this.emit('message', msg);
+    }
+  }
+}
+
+// Parse one frame from the head of buf: null if its header is incomplete, {need} (its
+// size) if its payload is, {error} on protocol errors
+function parseFrame(buf, max) {
+  if (buf.length < 2) return null;
+  const fin = (buf[0] & 0x80) !== 0;
+  const opcode = buf[0] & 0x0f;
+  const masked = (buf[1] & 0x80) !== 0;
+  let len = buf[1] & 0x7f;
+  let offset = 2;
+  if (!masked) return { error: 1002 }; // clients must mask
+  if (len === 126) {
+    if (buf.length < 4) return null;
+    len = buf.readUInt16BE(2);
+    offset = 4;
+  } else if (len === 127) {
+    if (buf.length < 10) return null;
+    const big = buf.readBigUInt64BE(2);
+    if (big > BigInt(max)) return { error: 1009 };
+    len = Number(big);
+    offset = 10;
+  }
+  if (len > max) return { error: 1009 };
+  if (buf.length < offset + 4 + len) return { need: offset + 4 + len };
+  const mask = buf.subarray(offset, offset + 4);
+  const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + len));
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+  return { fin, opcode, payload, size: offset + 4 + len };
+}
+
+// Build an unmasked server frame
+function frame(opcode, payload) {
+  const len = payload.length;
+  let head;
+  if (len < 126) {
+    head = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    head = Buffer.alloc(4);
+    head[0] = 0x80 | opcode; head[1] = 126;
+    head.writeUInt16BE(len, 2);
+  } else {
+    head = Buffer.alloc(10);
+    head[0] = 0x80 | opcode; head[1] = 127;
+    head.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([head, payload]);
+}
@@ -0,0 +1,113 @@
+/* The scripting API: window.pixelPlanet in the page, for bots and overlays
+   - place(gx, gy, color): a cell in grid coordinates, a palette index or '#rrggbb';
+     the same rules and cooldown as a click; returns the verdict
+   - getView() / setView({x, y, zoom}): the cell at the center of the view, and the zoom
+   - on(type, cb) / off(type, cb): 'place' (every placement, ours and others'),
+     'clear', and 'sync' (the planet was replaced: a resync, moderation, an import)
+   - getState(), getPixel(x, y), getHistory(): frozen copies, safe to keep
+   DOM-free: the page builds it over its own state; in Node, build it over a
+   headless planet (createPlanet, src/planet.mjs).
+*/
+
+export const API_VERSION = 1;
+export const API_EVENTS = ['place', 'clear', 'sync'];
+
+// type => callbacks; a callback that throws is logged, not passed on to whoever emitted
+export function createEmitter() {
+  const handlers = new Map();
+  return {
+    // returns a function that unsubscribes
+    on(type, cb) {
+      if (!handlers.has(type)) handlers.set(type, new Set());
+      handlers.get(type).add(cb);
+      return () => this.off(type, cb);
+    },
+    off(type, cb) {
+      const set = handlers.get(type);
+      if (set) set.delete(cb);
+    },
+    has(type) {
+      return !!handlers.get(type) && handlers.get(type).size > 0;
+    },
+    emit(type, ...args) {
+      const set = handlers.get(type);
+      if (!set) return;
+      [...set].forEach(cb => {
+        try { cb(...args); } catch (e) { console.error(`pixelPlanet '${type}' listener failed`, e); }
+      });
+    }
+  };
+}
+
+// palette index of color: an index, or the hex of a color that can still be placed (-1: none)
+export function resolveColor(palette, color) {
+  if (typeof color === 'number') return color;
+  const hex = String(color || '').toLowerCase();
+  return palette.colors.findIndex(c => c.hex === hex && !c.retiredAt);
+}
+
+/* The API over a host:
+   - world: the world being played (its palette included)
+   - place(x, y, ci) => verdict ({ok} or {ok: false, code, reason, wait}, src/rules.mjs)
+   - cooldown() => ms until this identity may place again
+   - getView() => {x, y, zoom}; setView({x, y, zoom}) takes any of them
+   - state() => {pixels: {"x,y": cell}, history, seq, clearSeq}; pixel(x, y) => cell
+   - events: an emitter (createEmitter) of 'place', 'clear' and 'sync'
+   - ready: a promise, settled once the planet has loaded */
+export function createPlanetAPI(host) {
+  const events = createEmitter();
+  // listeners get a copy of the first argument: the host's objects, and its details, stay its own
+  API_EVENTS.forEach(type => host.events.on(type, arg => {
+    if (events.has(type)) events.emit(type, frozen(arg));
+  }));
+  return Object.freeze({
+    version: API_VERSION,
+    ready: host.ready || Promise.resolve(),
+    place(gx, gy, color) {
+      return frozen(host.place(gx, gy, resolveColor(host.world.palette, color)));
+    },
+    cooldown() {
+      return host.cooldown();
+    },
+    getView() {
+      return frozen(host.getView());
+    },
+    setView(view = {}) {
+      const next = {};
+      ['x', 'y', 'zoom'].forEach(k => {
+        if (view[k] === undefined) return;
+        if (!Number.isFinite(view[k])) throw new TypeError(`setView: ${k} must be a number`);
+        next[k] = view[k];
+      });
+      host.setView(next);
+      return frozen(host.getView());
+    },
+    on(type, cb) {
+      if (!API_EVENTS.includes(type)) throw new TypeError(`Unknown event "${type}": use ${API_EVENTS.join(', ')}`);
+      if (typeof cb !== 'function') throw new TypeError('on: the callback must be a function');
+      return events.on(type, cb);
+    },
+    off(type, cb) {
+      events.off(type, cb);
+    },
+    getState() {
+      const { pixels, history, seq, clearSeq } = host.state();
+      const { palette, ...world } = host.world.def;
+      return frozen({ world, palette: host.world.palette, pixels, history, seq, clearSeq });
+    },
+    getPixel(x, y) {
+      return frozen(host.pixel(x, y) || null);
+    },
+    getHistory() {
+      return frozen(host.state().history);
+    }
+  });
+}
+
+// a deep, frozen copy
+function frozen(value) {
+  if (!value || typeof value !== 'object') return value;
+  const copy = Array.isArray(value) ? value.map(frozen)
+    : Object.fromEntries(Object.entries(value).map(([k, v]) => [k, frozen(v)]));
+  return Object.freeze(copy);
+}
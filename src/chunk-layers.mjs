@@ -0,0 +1,65 @@
+/* Chunk layers: how the planet's pixels reach the screen
+   - each chunk that has been on screen keeps a pixel buffer (1 cell = 1 px,
+     src/pixel-buffer.mjs) and a small canvas it is uploaded to, hung off chunk.render
+   - placements write single cells (setCell); flush() uploads the dirty rectangles
+   - draw() puts the chunks on a context already set to the view, one drawImage each
+   DOM-free: the page passes real canvases and ImageData, bench/render.bench.mjs stubs.
+*/
+
+import { createPixelBuffer } from './pixel-buffer.mjs';
+import { gridToWorld } from './view.mjs';
+
+/* cellColor(x, y, cell) => [r, g, b, a], or null off the planet; createCanvas(w, h)
+   => a canvas; createImageData(data, w, h) => the ImageData over a buffer's data */
+export function createChunkLayers({ world, cellColor, createCanvas, createImageData }) {
+  let dirty = false; // a buffer changed since the last flush
+  const fill = chunk => chunk.render.buffer.fill((x, y) => cellColor(chunk.x + x, chunk.y + y, chunk.cells[y * world.chunkSize + x]));
+
+  return {
+    // the chunk's layer {buffer, canvas, ctx, image}, made and uploaded the first time it is needed
+    layer(chunk) {
+      if (!chunk.render) {
+        const buffer = createPixelBuffer(chunk.w, chunk.h);
+        const canvas = createCanvas(chunk.w, chunk.h);
+        chunk.render = { buffer, canvas, ctx: canvas.getContext('2d'), image: createImageData(buffer.data, chunk.w, chunk.h) };
+        fill(chunk);
+        // upload now so it isn't drawn blank for a frame
+        buffer.takeDirty();
+        chunk.render.ctx.putImageData(chunk.render.image, 0, 0);
+      }
+      return chunk.render;
+    },
+    // after a chunk's cells were replaced wholesale
+    refresh(chunk) {
+      if (!chunk.render) return;
+      fill(chunk);
+      dirty = true;
+    },
+    // one cell changed; a chunk without a layer gets it when it is first drawn
+    setCell(chunk, x, y) {
+      if (!chunk || !chunk.render) return;
+      const lx = x - chunk.x, ly = y - chunk.y;
+      chunk.render.buffer.set(lx, ly, cellColor(x, y, chunk.cells[ly * world.chunkSize + lx]));
+      dirty = true;
+    },
+    // copy the chunks' dirty rectangles into their canvases; true if anything changed
+    flush(chunks) {
+      if (!dirty) return false;
+      dirty = false;
+      chunks.forEach(chunk => {
+        const r = chunk.render;
+        const d = r && r.buffer.takeDirty();
+        if (d) r.ctx.putImageData(r.image, 0, 0, d.x, d.y, d.w, d.h);
+      });
+      return true;
+    },
+    // the chunks onto ctx (set to world units), scaled up without smoothing
+    draw(ctx, chunks) {
+      ctx.imageSmoothingEnabled = false;
+      chunks.forEach(chunk => {
+        const pos = gridToWorld(world, chunk.x, chunk.y);
+        ctx.drawImage(this.layer(chunk).canvas, pos.x, pos.y, chunk.w * world.scale, chunk.h * world.scale);
+      });
+    }
+  };
+}
@@ -0,0 +1,140 @@
+/* Chunked pixel storage
+   - the grid is split into CHUNK_SIZE squares ("cx,cy" keys) that load, save and
+     render independently, so big worlds never touch every cell at once
+   - cells inside a chunk are keyed by local index (ly * CHUNK_SIZE + lx) => {ci, t, nick, id}:
+     id is the placement's, for telling concurrent ones apart (compareWrites, src/rules.mjs)
+   - painted-cell counts are kept per chunk even while a chunk isn't loaded
+   DOM-free; the client hangs its render cache off chunk.render.
+*/
+
+export function createChunkStore(world) {
+  const size = world.chunkSize;
+  const chunks = new Map(); // key => {key, x, y, cells, state, dirty, render}
+  const counts = new Map(); // key => painted cells
+
+  function locate(x, y) {
+    const key = world.chunkKey(x, y);
+    const b = world.chunkBounds(key);
+    return { key, index: (y - b.y) * size + (x - b.x) };
+  }
+
+  function makeChunk(key, cells = {}) {
+    const b = world.chunkBounds(key);
+    const chunk = { key, x: b.x, y: b.y, w: b.w, h: b.h, cells, state: 'loaded', dirty: false, render: null };
+    chunks.set(key, chunk);
+    counts.set(key, Object.keys(cells).length);
+    return chunk;
+  }
+
+  return {
+    world,
+    // loaded chunk or undefined
+    chunk(key) {
+      return chunks.get(key);
+    },
+    isLoaded(key) {
+      const c = chunks.get(key);
+      return !!c && c.state === 'loaded';
+    },
+    // install chunk contents (from storage, a server or a peer); replaces what was there
+    load(key, cells) {
+      const old = chunks.get(key);
+      const chunk = makeChunk(key, { ...(cells || {}) });
+      if (old) chunk.render = old.render;
+      return chunk;
+    },
+    // a placeholder while contents are on their way
+    markLoading(key) {
+      if (chunks.has(key)) return;
+      const known = counts.get(key);
+      makeChunk(key).state = 'loading';
+      if (known === undefined) counts.delete(key);
+      else counts.set(key, known);
+    },
+    unload(key) {
+      chunks.delete(key);
+    },
+    get(x, y) {
+      const { key, index } = locate(x, y);
+      const c = chunks.get(key);
+      return c ? c.cells[index] : undefined;
+    },
+    // write a cell; creates the chunk when needed (callers load it first if it has contents)
+    set(x, y, rec) {
+      const { key, index } = locate(x, y);
+      const c = chunks.get(key) || makeChunk(key);
+      if (!(index in c.cells)) counts.set(key, (counts.get(key) || 0) + 1);
+      c.cells[index] = rec;
+      c.dirty = true;
+      return c;
+    },
+    delete(x, y) {
+      const { key, index } = locate(x, y);
+      const c = chunks.get(key);
+      if (!c || !(index in c.cells)) return c;
+      delete c.cells[index];
+      counts.set(key, counts.get(key) - 1);
+      c.dirty = true;
+      return c;
+    },
+    // painted cells in the whole world, loaded or not
+    count() {
+      let n = 0;
+      for (const v of counts.values()) n += v;
+      return n;
+    },
+    // {key: count} of non-empty chunks
+    index() {
+      const out = {};
+      for (const [k, v] of counts) if (v > 0) out[k] = v;
+      return out;
+    },
+    setIndex(index) {
+      counts.clear();
+      for (const [k, v] of Object.entries(index || {})) counts.set(k, v);
+      for (const [k, c] of chunks) counts.set(k, Object.keys(c.cells).length);
+    },
+    // painted cells added to a chunk that isn't loaded here
+    addCount(key, n) {
+      counts.set(key, Math.max(0, (counts.get(key) || 0) + n));
+    },
+    // true if the chunk has contents somewhere (loaded or not)
+    hasContent(key) {
+      return (counts.get(key) || 0) > 0;
+    },
+    loadedChunks() {
+      return [...chunks.values()].filter(c => c.state === 'loaded');
+    },
+    // cb(x, y, rec) for every painted cell of the loaded chunks
+    forEach(cb) {
+      for (const c of chunks.values()) {
+        for (const [i, rec] of Object.entries(c.cells)) cb(c.x + (i % size), c.y + Math.floor(i / size), rec);
+      }
+    },
+    clear() {
+      chunks.clear();
+      counts.clear();
+    }
+  };
+}
+
+// the cell a placement leaves behind
+export function cellOf(p) {
+  const cell = { ci: p.ci, t: p.t, nick: p.nick || '' };
+  if (p.id) cell.id = p.id;
+  return cell;
+}
+
+// Flat "x,y" => cell map (the v1 storage and wire format) => {chunkKey: cells}
+export function chunksFromFlat(world, pixels) {
+  const size = world.chunkSize;
+  const out = {};
+  for (const [k, rec] of Object.entries(pixels || {})) {
+    const [x, y] = k.split(',').map(Number);
+    if (!world.isOnPlanet(x, y)) continue;
+    const key = world.chunkKey(x, y);
+    const b = world.chunkBounds(key);
+    (out[key] || (out[key] = {}))[(y - b.y) * size + (x - b.x)] = rec;
+  }
+  return out;
+}
@@ -0,0 +1,213 @@
+/* Ed25519 signatures (RFC 8032), for the identities that sign placements (src/identity.mjs)
+   - hex in and out: 32-byte secret seeds, 32-byte public keys, 64-byte signatures
+   - BigInt arithmetic, sync and dependency-free like sha256 in src/roles.mjs
+     (crypto.subtle is async, and missing on plain-http pages)
+   A few milliseconds a signature: fine for placements, one at a time.
+*/
+
+const P = 2n ** 255n - 19n;
+const L = 2n ** 252n + 27742317777372353535851937790883648493n; // order of the base point
+const D = mod(-121665n * inv(121666n));
+const SQRT_M1 = pow(2n, (P - 1n) / 4n);
+const ZERO = [0n, 1n, 1n, 0n];
+const BASE = decodeXY(mod(4n * inv(5n)), 0);
+
+// the public key of a secret seed
+export function publicKey(secretHex) {
+  return toHex(encode(multiply(expand(fromHex(secretHex, 32)).a, BASE)));
+}
+
+// a fresh secret seed
+export function randomSecret() {
+  return toHex(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+// signature of a message (string); pass the public key when known to save deriving it
+export function sign(secretHex, message, publicHex = publicKey(secretHex)) {
+  const { a, prefix } = expand(fromHex(secretHex, 32));
+  const msg = new TextEncoder().encode(message);
+  const r = modL(sha512(concat(prefix, msg)));
+  const R = encode(multiply(r, BASE));
+  const k = modL(sha512(concat(R, fromHex(publicHex, 32), msg)));
+  return toHex(R) + toHex(numberToBytes(mod(r + k * a, L)));
+}
+
+// whether signature is publicHex's signature of message; false for anything malformed
+export function verify(publicHex, message, signatureHex) {
+  let pub, sig;
+  try {
+    pub = fromHex(publicHex, 32);
+    sig = fromHex(signatureHex, 64);
+  } catch (e) {
+    return false;
+  }
+  const A = decode(pub), R = decode(sig.subarray(0, 32));
+  const s = bytesToNumber(sig.subarray(32));
+  if (!A || !R || s >= L) return false;
+  const k = modL(sha512(concat(sig.subarray(0, 32), pub, new TextEncoder().encode(message))));
+  return equal(multiply(s, BASE), add(R, multiply(k, A)));
+}
+
+// Field and group arithmetic; points in extended coordinates [X, Y, Z, T]
+function mod(a, m = P) {
+  const r = a % m;
+  return r < 0n ? r + m : r;
+}
+function pow(b, e, m = P) {
+  let r = 1n;
+  b = mod(b, m);
+  for (; e > 0n; e >>= 1n) {
+    if (e & 1n) r = r * b % m;
+    b = b * b % m;
+  }
+  return r;
+}
+function inv(a) {
+  return pow(a, P - 2n);
+}
+function add(p, q) {
+  const a = mod((p[1] - p[0]) * (q[1] - q[0]));
+  const b = mod((p[1] + p[0]) * (q[1] + q[0]));
+  const c = mod(2n * p[3] * q[3] * D);
+  const d = mod(2n * p[2] * q[2]);
+  const e = b - a, f = d - c, g = d + c, h = b + a;
+  return [mod(e * f), mod(g * h), mod(f * g), mod(e * h)];
+}
+function multiply(s, p) {
+  let q = ZERO;
+  for (; s > 0n; s >>= 1n) {
+    if (s & 1n) q = add(q, p);
+    p = add(p, p);
+  }
+  return q;
+}
+function equal(p, q) {
+  return mod(p[0] * q[2] - q[0] * p[2]) === 0n && mod(p[1] * q[2] - q[1] * p[2]) === 0n;
+}
+function encode(p) {
+  const zi = inv(p[2]);
+  const x = mod(p[0] * zi), y = mod(p[1] * zi);
+  return numberToBytes(y | ((x & 1n) << 255n));
+}
+function decode(bytes) {
+  const n = bytesToNumber(bytes);
+  return decodeXY(n & ((1n << 255n) - 1n), Number(n >> 255n));
+}
+// the point with this y and x parity, or null
+function decodeXY(y, sign) {
+  if (y >= P) return null;
+  const x2 = mod((y * y - 1n) * inv(D * y * y + 1n));
+  if (x2 === 0n) return sign ? null : [0n, y, 1n, 0n];
+  let x = pow(x2, (P + 3n) / 8n);
+  if (mod(x * x - x2) !== 0n) x = mod(x * SQRT_M1);
+  if (mod(x * x - x2) !== 0n) return null;
+  if (Number(x & 1n) !== sign) x = P - x;
+  return [x, y, 1n, mod(x * y)];
+}
+// the scalar and nonce prefix a secret seed stands for
+function expand(seed) {
+  const h = sha512(seed);
+  let a = bytesToNumber(h.subarray(0, 32));
+  a &= (1n << 254n) - 8n;
+  a |= 1n << 254n;
+  return { a, prefix: h.subarray(32) };
+}
+function modL(bytes) {
+  return mod(bytesToNumber(bytes), L);
+}
+
+// Bytes: numbers are little-endian
+function bytesToNumber(bytes) {
+  let n = 0n;
+  for (let i = bytes.length - 1; i >= 0; i--) n = (n << 8n) | BigInt(bytes[i]);
+  return n;
+}
+function numberToBytes(n) {
+  const out = new Uint8Array(32);
+  for (let i = 0; i < 32; i++, n >>= 8n) out[i] = Number(n & 0xffn);
+  return out;
+}
+function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let off = 0;
+  parts.forEach(p => { out.set(p, off); off += p.length; });
+  return out;
+}
+function toHex(bytes) {
+  return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+function fromHex(hex, length) {
+  if (typeof hex !== 'string' || hex.length !== length * 2 || !/^[0-9a-f]*$/.test(hex)) throw new Error('Bad key or signature');
+  const out = new Uint8Array(length);
+  for (let i = 0; i < length; i++) out[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  return out;
+}
+
+// SHA-512 of bytes; Ed25519 hashes with it
+const MASK = (1n << 64n) - 1n;
+function sha512(bytes) {
+  const blocks = (bytes.length + 17 + 127) >> 7;
+  const buf = new Uint8Array(blocks * 128);
+  buf.set(bytes);
+  buf[bytes.length] = 0x80;
+  const bits = BigInt(bytes.length) * 8n;
+  for (let i = 0; i < 8; i++) buf[buf.length - 1 - i] = Number((bits >> BigInt(i * 8)) & 0xffn);
+
+  const h = H512.slice();
+  const w = new Array(80);
+  for (let off = 0; off < buf.length; off += 128) {
+    for (let i = 0; i < 16; i++) {
+      let v = 0n;
+      for (let j = 0; j < 8; j++) v = (v << 8n) | BigInt(buf[off + i * 8 + j]);
+      w[i] = v;
+    }
+    for (let i = 16; i < 80; i++) {
+      const a = w[i - 15], b = w[i - 2];
+      const s0 = rotr(a, 1n) ^ rotr(a, 8n) ^ (a >> 7n);
+      const s1 = rotr(b, 19n) ^ rotr(b, 61n) ^ (b >> 6n);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) & MASK;
+    }
+    let [a, b, c, d, e, f, g, k] = h;
+    for (let i = 0; i < 80; i++) {
+      const t1 = (k + (rotr(e, 14n) ^ rotr(e, 18n) ^ rotr(e, 41n)) + ((e & f) ^ ((e ^ MASK) & g)) + K512[i] + w[i]) & MASK;
+      const t2 = ((rotr(a, 28n) ^ rotr(a, 34n) ^ rotr(a, 39n)) + ((a & b) ^ (a & c) ^ (b & c))) & MASK;
+      k = g; g = f; f = e; e = (d + t1) & MASK;
+      d = c; c = b; b = a; a = (t1 + t2) & MASK;
+    }
+    [a, b, c, d, e, f, g, k].forEach((v, i) => { h[i] = (h[i] + v) & MASK; });
+  }
+  const out = new Uint8Array(64);
+  h.forEach((v, i) => {
+    for (let j = 0; j < 8; j++) out[i * 8 + j] = Number((v >> BigInt(56 - j * 8)) & 0xffn);
+  });
+  return out;
+}
+function rotr(v, n) {
+  return ((v >> n) | (v << (64n - n))) & MASK;
+}
+const H512 = [
+  0x6a09e667f3bcc908n, 0xbb67ae8584caa73bn, 0x3c6ef372fe94f82bn, 0xa54ff53a5f1d36f1n,
+  0x510e527fade682d1n, 0x9b05688c2b3e6c1fn, 0x1f83d9abfb41bd6bn, 0x5be0cd19137e2179n
+];
+const K512 = [
+  0x428a2f98d728ae22n, 0x7137449123ef65cdn, 0xb5c0fbcfec4d3b2fn, 0xe9b5dba58189dbbcn,
+  0x3956c25bf348b538n, 0x59f111f1b605d019n, 0x923f82a4af194f9bn, 0xab1c5ed5da6d8118n,
+  0xd807aa98a3030242n, 0x12835b0145706fben, 0x243185be4ee4b28cn, 0x550c7dc3d5ffb4e2n,
+  0x72be5d74f27b896fn, 0x80deb1fe3b1696b1n, 0x9bdc06a725c71235n, 0xc19bf174cf692694n,
+  0xe49b69c19ef14ad2n, 0xefbe4786384f25e3n, 0x0fc19dc68b8cd5b5n, 0x240ca1cc77ac9c65n,
+  0x2de92c6f592b0275n, 0x4a7484aa6ea6e483n, 0x5cb0a9dcbd41fbd4n, 0x76f988da831153b5n,
+  0x983e5152ee66dfabn, 0xa831c66d2db43210n, 0xb00327c898fb213fn, 0xbf597fc7beef0ee4n,
+  0xc6e00bf33da88fc2n, 0xd5a79147930aa725n, 0x06ca6351e003826fn, 0x142929670a0e6e70n,
+  0x27b70a8546d22ffcn, 0x2e1b21385c26c926n, 0x4d2c6dfc5ac42aedn, 0x53380d139d95b3dfn,
+  0x650a73548baf63den, 0x766a0abb3c77b2a8n, 0x81c2c92e47edaee6n, 0x92722c851482353bn,
+  0xa2bfe8a14cf10364n, 0xa81a664bbc423001n, 0xc24b8b70d0f89791n, 0xc76c51a30654be30n,
+  0xd192e819d6ef5218n, 0xd69906245565a910n, 0xf40e35855771202an, 0x106aa07032bbd1b8n,
+  0x19a4c116b8d2d0c8n, 0x1e376c085141ab53n, 0x2748774cdf8eeb99n, 0x34b0bcb5e19b48a8n,
+  0x391c0cb3c5c95a63n, 0x4ed8aa4ae3418acbn, 0x5b9cca4f7763e373n, 0x682e6ff3d6b2b8a3n,
+  0x748f82ee5defb2fcn, 0x78a5636f43172f60n, 0x84c87814a1f0ab72n, 0x8cc702081a6439ecn,
+  0x90befffa23631e28n, 0xa4506cebde82bde9n, 0xbef9a3f7b2c67915n, 0xc67178f2e372532bn,
+  0xca273eceea26619cn, 0xd186b8c721c0c207n, 0xeada7dd6cde0eb1en, 0xf57d4f7fee6ed178n,
+  0x06f067aa72176fban, 0x0a637dc5a2c898a6n, 0x113f9804bef90daen, 0x1b710b35131c471bn,
+  0x28db77f523047d84n, 0x32caab7b40c72493n, 0x3c9ebe0a15c9bebcn, 0x431d67c49c100d4cn,
+  0x4cc5d4becb3e42b6n, 0x597f299cfc657e2an, 0x5fcb6fab3ad6faecn, 0x6c44198c4a475817n
+];
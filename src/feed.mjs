@@ -0,0 +1,42 @@
+/* The activity feed: placements from history, newest first, a page at a time
+   - filters: a person (their identity, identityOf in src/rules.mjs), a palette color
+     and a region (normalizeRegion in src/moderation.mjs); any left out match everything
+   - feedPage walks history back from where the last page ended, so scrolling back
+     through a long history only reads as far as it shows
+   - watch alerts: someone else's placement taking a painted cell in the watched region
+   DOM-free: the page renders the list and raises the alerts.
+*/
+
+import { identityOf } from './rules.mjs';
+import { regionTest } from './moderation.mjs';
+
+export const FEED_PAGE = 50; // entries a page
+
+// {who, ci, region} => (placement) => whether the feed shows it
+export function feedFilter({ who = '', ci = null, region = null } = {}) {
+  const inside = region ? regionTest(region) : null;
+  return e => (!who || identityOf(e) === who) &&
+    (!Number.isInteger(ci) || e.ci === ci) &&
+    (!inside || inside(e.x, e.y));
+}
+
+/* {entries, next}: up to limit placements that match, newest first, from the ones
+   before index before in history (oldest first); next: where the page after this one
+   starts (0: history has no more) */
+export function feedPage(history, match, { before = history.length, limit = FEED_PAGE } = {}) {
+  const entries = [];
+  let i = Math.min(before, history.length);
+  while (i > 0 && entries.length < limit) {
+    const e = history[--i];
+    if (match(e)) entries.push(e);
+  }
+  while (i > 0 && !match(history[i - 1])) i--;
+  return { entries, next: i };
+}
+
+/* whether a placement (with the core's 'place' details: {prev, won}) overwrote a
+   painted cell inside the watched region for me (an identity): someone else's
+   placement that took a cell holding a pixel */
+export function overwrote(p, { prev, won }, inside, me) {
+  return !!(won && prev && inside(p.x, p.y) && identityOf(p) !== me);
+}
@@ -0,0 +1,86 @@
+/* Gestures from pointer events, mouse, pen and touch alike
+   - tap: one pointer down and up again without moving TAP_SLOP, before LONG_PRESS
+   - longPress: one pointer held still for LONG_PRESS; the press ends there
+   - pan: one pointer dragged, or two moving together (by their midpoint)
+   - pinch: two pointers' distance changing, about their midpoint
+   A second pointer ends the first one's tap and long press, and lifting fingers one by
+   one never taps: each press taps at most once. Pointers past the second are ignored.
+   DOM-free: the page feeds it positions in screen pixels, by pointer id.
+*/
+
+export const TAP_SLOP = 8; // px a tap may move (either axis)
+export const LONG_PRESS = 500; // ms
+
+/* handlers: any of tap(x, y), longPress(x, y), pan(dx, dy), pinch(scale, x, y); a pinch
+   comes after the pan of its midpoint, scale is the distance now over the distance before */
+export function createGestures(handlers, { slop = TAP_SLOP, longPress = LONG_PRESS } = {}) {
+  const pointers = new Map(); // id => {x, y}, in the order they went down
+  let press = null; // {id, x, y, still, held}: the first pointer while it may tap or long-press
+  let timer = null;
+  const call = (name, ...args) => { if (handlers[name]) handlers[name](...args); };
+
+  // no tap and no long press for this press any more
+  function settle() {
+    clearTimeout(timer);
+    timer = null;
+    if (press) press.still = false;
+  }
+  // the first two pointers' midpoint and distance
+  function pair() {
+    const [a, b] = pointers.values();
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, dist: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)) };
+  }
+
+  return {
+    get active() {
+      return pointers.size > 0;
+    },
+    down(id, x, y) {
+      pointers.set(id, { x, y });
+      if (pointers.size > 1) {
+        settle();
+        return;
+      }
+      press = { id, x, y, still: true, held: false };
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timer = null;
+        if (!press || !press.still) return;
+        press.still = false;
+        press.held = true;
+        call('longPress', press.x, press.y);
+      }, longPress);
+    },
+    move(id, x, y) {
+      const p = pointers.get(id);
+      if (!p) return;
+      if (pointers.size === 1) {
+        if (press && press.still && (Math.abs(x - press.x) >= slop || Math.abs(y - press.y) >= slop)) settle();
+        const [dx, dy] = [x - p.x, y - p.y];
+        Object.assign(p, { x, y });
+        if (!(press && press.held)) call('pan', dx, dy);
+        return;
+      }
+      const paired = [...pointers.keys()].slice(0, 2).includes(id);
+      const before = pair();
+      Object.assign(p, { x, y });
+      if (!paired) return;
+      const after = pair();
+      call('pan', after.x - before.x, after.y - before.y);
+      call('pinch', after.dist / before.dist, after.x, after.y);
+    },
+    up(id) {
+      if (!pointers.delete(id) || pointers.size > 0) return;
+      const tap = press && press.id === id && press.still;
+      settle();
+      if (tap) call('tap', press.x, press.y);
+      press = null;
+    },
+    // the browser took the pointer (a scroll, a system gesture): no tap
+    cancel(id) {
+      if (!pointers.delete(id)) return;
+      settle();
+      if (pointers.size === 0) press = null;
+    }
+  };
+}
@@ -0,0 +1,143 @@
+/* Animated GIF encoder (GIF89a), used to export the time-lapse
+   - one global color table of up to 256 colors; frames are arrays of indices into it
+   - a frame may cover just the rectangle that changed, with the `transparent`
+     index letting the frame below show through, which keeps long time-lapses small
+   DOM-free: returns bytes, the client wraps them in a Blob.
+*/
+
+// colors: [[r,g,b]]; loop 0 repeats forever
+export function createGIF({ width, height, colors, transparent = -1, loop = 0 }) {
+  if (!colors.length || colors.length > 256) throw new Error('A GIF holds 1-256 colors');
+  let depth = 1; // bits per index; the table is padded to 2^depth entries
+  while ((1 << depth) < colors.length) depth++;
+  const out = createWriter();
+
+  out.bytes([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // "GIF89a"
+  out.word(width);
+  out.word(height);
+  out.byte(0x80 | ((depth - 1) << 4) | (depth - 1)); // global color table
+  out.byte(0); // background index
+  out.byte(0); // aspect ratio
+  for (let i = 0; i < (1 << depth); i++) {
+    const c = colors[i] || [0, 0, 0];
+    out.bytes([c[0], c[1], c[2]]);
+  }
+  // NETSCAPE2.0: repeat count
+  out.bytes([0x21, 0xff, 0x0b]);
+  out.bytes([...'NETSCAPE2.0'].map(ch => ch.charCodeAt(0)));
+  out.bytes([0x03, 0x01]);
+  out.word(loop);
+  out.byte(0);
+
+  return {
+    // indices cover w×h at (x, y); delay in hundredths of a second
+    frame(indices, { x = 0, y = 0, w = width, h = height, delay = 10 } = {}) {
+      // graphic control: keep the previous frame underneath (disposal 1)
+      out.bytes([0x21, 0xf9, 0x04, (1 << 2) | (transparent >= 0 ? 1 : 0)]);
+      out.word(delay);
+      out.byte(transparent >= 0 ? transparent : 0);
+      out.byte(0);
+      out.byte(0x2c);
+      out.word(x);
+      out.word(y);
+      out.word(w);
+      out.word(h);
+      out.byte(0);
+      const minCodeSize = Math.max(2, depth);
+      out.byte(minCodeSize);
+      lzw(indices, minCodeSize, out);
+      out.byte(0);
+    },
+    // the whole file; no frames may follow
+    finish() {
+      out.byte(0x3b);
+      return out.result();
+    }
+  };
+}
+
+// LZW-compress indices into GIF data sub-blocks (at most 255 bytes each)
+function lzw(indices, minCodeSize, out) {
+  const clear = 1 << minCodeSize, eoi = clear + 1;
+  let codeSize = minCodeSize + 1, next = eoi + 1;
+  const dict = new Map(); // (prefix code << 8 | index) => code
+  const block = [];
+  let acc = 0, bits = 0;
+
+  function flush() {
+    out.byte(block.length);
+    out.bytes(block);
+    block.length = 0;
+  }
+  function emit(code) {
+    acc |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      block.push(acc & 0xff);
+      acc >>>= 8;
+      bits -= 8;
+      if (block.length === 255) flush();
+    }
+  }
+
+  emit(clear);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = dict.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (next === 4096) {
+      // table full: start over
+      emit(clear);
+      dict.clear();
+      codeSize = minCodeSize + 1;
+      next = eoi + 1;
+    } else {
+      if (next >= (1 << codeSize)) codeSize++;
+      dict.set(key, next++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoi);
+  if (bits > 0) block.push(acc & 0xff);
+  if (block.length) flush();
+}
+
+// growable byte buffer
+function createWriter() {
+  let buf = new Uint8Array(1 << 16);
+  let len = 0;
+  function room(n) {
+    if (len + n <= buf.length) return;
+    let size = buf.length * 2;
+    while (size < len + n) size *= 2;
+    const next = new Uint8Array(size);
+    next.set(buf.subarray(0, len));
+    buf = next;
+  }
+  return {
+    byte(b) {
+      room(1);
+      buf[len++] = b;
+    },
+    word(w) {
+      room(2);
+      buf[len++] = w & 0xff;
+      buf[len++] = (w >> 8) & 0xff;
+    },
+    bytes(list) {
+      room(list.length);
+      buf.set(list, len);
+      len += list.length;
+    },
+    result() {
+      return buf.slice(0, len);
+    }
+  };
+}
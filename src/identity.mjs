@@ -0,0 +1,62 @@
+/* Identities: a keypair per browser (src/ed25519.mjs) that signs its placements
+   - it signs other records too (signRecord): audit entries, palettes, and a server's
+     sign-in challenge, so nobody can act under someone else's uid
+   - the public key is the uid that cooldowns, roles and moderation go by
+   - the nickname is a display name on top, shown with the start of the uid so
+     two people who pick the same name stay apart
+   Shared by the client and the server (validatePlacement checks signatures), no DOM in here.
+*/
+
+import { publicKey, randomSecret, sign, verify } from './ed25519.mjs';
+
+export const ID_PATTERN = /^[0-9a-f]{64}$/; // a public key, in hex
+
+export function createIdentity(name = '') {
+  const secret = randomSecret();
+  return { id: publicKey(secret), secret, name: cleanName(name), createdAt: Date.now() };
+}
+
+// a stored identity, or null when it is missing or its secret is unusable
+export function normalizeIdentity(saved) {
+  if (!saved || typeof saved.secret !== 'string') return null;
+  let id;
+  try { id = publicKey(saved.secret); } catch (e) { return null; }
+  return { id, secret: saved.secret, name: cleanName(saved.name), createdAt: Number(saved.createdAt) || Date.now() };
+}
+
+export function cleanName(name) {
+  return String(name || '').replace(/[<>]/g, '').slice(0, 20);
+}
+
+// what a placement's signature covers
+function placementMessage(p) {
+  return `pixel-planet|${p.uid}|${p.id}|${p.x}|${p.y}|${p.ci}|${p.t}|${p.nick || ''}`;
+}
+export function signPlacement(p, identity) {
+  return sign(identity.secret, placementMessage(p), identity.id);
+}
+// whether the placement was signed by its uid
+export function verifyPlacement(p) {
+  return !!p && ID_PATTERN.test(p.uid) && typeof p.sig === 'string' && verify(p.uid, placementMessage(p), p.sig);
+}
+
+// Any other record: kind keeps a signature on one kind of record from passing for another
+function recordMessage(kind, uid, body) {
+  return `pixel-planet-${kind}|${uid}|${body}`;
+}
+export function signRecord(kind, body, identity) {
+  return sign(identity.secret, recordMessage(kind, identity.id, body), identity.id);
+}
+// whether uid signed body as a kind of record
+export function verifyRecord(kind, body, uid, sig) {
+  return ID_PATTERN.test(uid) && typeof sig === 'string' && verify(uid, recordMessage(kind, uid, body), sig);
+}
+
+// "name #1a2b3c": safe for HTML; placements from before identities show just the name
+export function displayName(nick, uid) {
+  const name = cleanName(nick) || 'anon';
+  return uid ? `${name} #${shortId(uid)}` : name;
+}
+export function shortId(uid) {
+  return String(uid || '').replace(/[^0-9a-z]/gi, '').slice(0, 6);
+}
@@ -0,0 +1,170 @@
+/* Moderation: targeted repairs that rebuild cells from history
+   - revert: every placement by a person (their identity, src/identity.mjs) since a time
+   - rollback: a rectangle or lasso region back to how it looked at a time
+   - undo-clear: the last clear, from the pixels and history it archived
+   Undone placements leave history; each cell they touched takes the latest
+   placement that remains, or goes blank when history holds none for it. A server
+   keeps a window of history: there, a cell falls back on what the placements
+   trimmed from it left, and actions reaching back past the window are refused.
+   Every action, clears included, goes into the audit log (auditEntry), signed in local play.
+   DOM-free: run by the server, or in local play by the tab that moderates.
+*/
+
+import { createChunkStore, cellOf } from './chunks.mjs';
+import { cleanName, signRecord, verifyRecord } from './identity.mjs';
+import { compareWrites } from './rules.mjs';
+
+export const AUDIT_LIMIT = 500; // audit entries kept
+const MAX_LASSO_POINTS = 512;
+
+// Check an action from the moderation dialog or the network; throws with a
+// message fit for the dialog
+export function normalizeAction(a, world) {
+  switch (a && a.kind) {
+    case 'revert': {
+      // nick: the display name the audit log shows
+      const uid = typeof a.uid === 'string' ? a.uid.slice(0, 64) : '';
+      if (!uid) throw new Error('Pick the person to revert');
+      return { kind: 'revert', uid, nick: cleanName(a.nick), since: time(a.since) };
+    }
+    case 'rollback':
+      return { kind: 'rollback', region: normalizeRegion(a.region, world), to: time(a.to) };
+    case 'undo-clear':
+      return { kind: 'undo-clear' };
+    default:
+      throw new Error('Unknown moderation action');
+  }
+}
+function time(t) {
+  if (!Number.isFinite(t)) throw new Error('Pick a date and time');
+  return t;
+}
+
+// {rect: [x0, y0, x1, y1]} (cells, inclusive) or {lasso: [[x, y], ...]} (grid units)
+export function normalizeRegion(r, world) {
+  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+  if (r && Array.isArray(r.rect) && r.rect.length === 4 && r.rect.every(Number.isFinite)) {
+    const [ax, ay, bx, by] = r.rect.map(Math.floor);
+    return {
+      rect: [
+        clamp(Math.min(ax, bx), 0, world.width - 1), clamp(Math.min(ay, by), 0, world.height - 1),
+        clamp(Math.max(ax, bx), 0, world.width - 1), clamp(Math.max(ay, by), 0, world.height - 1)
+      ]
+    };
+  }
+  if (r && Array.isArray(r.lasso)) {
+    const points = r.lasso.filter(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+    if (points.length < 3) throw new Error('Draw the lasso around a region');
+    const step = Math.ceil(points.length / MAX_LASSO_POINTS);
+    const round = v => Math.round(v * 100) / 100;
+    return {
+      lasso: points.filter((p, i) => i % step === 0)
+        .map(([x, y]) => [round(clamp(x, 0, world.width)), round(clamp(y, 0, world.height))])
+    };
+  }
+  throw new Error('Select a region on the planet first');
+}
+
+// (x, y) => whether the cell is in the region; a lasso takes the cells whose center it encloses
+export function regionTest(region) {
+  if (region.rect) {
+    const [x0, y0, x1, y1] = region.rect;
+    return (x, y) => x >= x0 && x <= x1 && y >= y0 && y <= y1;
+  }
+  const pts = region.lasso;
+  return (x, y) => {
+    const px = x + 0.5, py = y + 0.5;
+    let inside = false;
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+      const [xi, yi] = pts[i], [xj, yj] = pts[j];
+      if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  };
+}
+
+// the placements an action undoes
+function matcher(action) {
+  if (action.kind === 'revert') return e => e.uid === action.uid && e.t >= action.since;
+  if (action.kind === 'rollback') {
+    const inside = regionTest(action.region);
+    return e => e.t > action.to && inside(e.x, e.y);
+  }
+  return () => false;
+}
+
+/* Undo what a revert or rollback matches. Returns {history: the placements that
+   stay, removed, cells: [[x, y, write or null]]}: every cell a removed placement
+   touched, with the latest write that remains there (a placement, or with trimmed
+   a cell; null: blank).
+   trimmed: for a history that is a window, {t, store}: t the time of the newest
+   placement trimmed from it, store the cells as the trimmed ones left them. An action
+   reaching back to t throws: what it would undo is no longer known. */
+export function planUndo(history, action, trimmed = null) {
+  if (trimmed && reachesBack(action, trimmed.t)) {
+    const when = new Date(trimmed.t).toISOString().slice(0, 16).replace('T', ' ');
+    throw new Error(`History up to ${when} UTC is no longer kept: pick a later time`);
+  }
+  const match = matcher(action);
+  const kept = [], removed = [];
+  history.forEach(e => (match(e) ? removed : kept).push(e));
+  const touched = new Map(); // "x,y" => latest write kept (compareWrites)
+  removed.forEach(e => touched.set(`${e.x},${e.y}`, (trimmed && trimmed.store.get(e.x, e.y)) || null));
+  kept.forEach(e => {
+    const key = `${e.x},${e.y}`;
+    if (touched.has(key) && compareWrites(e, touched.get(key)) > 0) touched.set(key, e);
+  });
+  const cells = [...touched].map(([key, e]) => {
+    const [x, y] = key.split(',').map(Number);
+    return [x, y, e];
+  });
+  return { history: kept, removed, cells };
+}
+// whether an action matches placements from time t or before
+function reachesBack(action, t) {
+  if (action.kind === 'revert') return action.since <= t;
+  if (action.kind === 'rollback') return action.to < t;
+  return false;
+}
+
+/* The state a clear wiped, archived as {seq, t, chunks, history}, back with what
+   was placed since on top. Returns {store (every chunk loaded and dirty),
+   history, count: cells restored from the archive}. */
+export function restoreCleared(world, archive, history) {
+  const store = createChunkStore(world);
+  let count = 0;
+  Object.entries(archive.chunks || {}).forEach(([key, cells]) => {
+    const chunk = store.load(key, cells);
+    chunk.dirty = true;
+    count += Object.keys(chunk.cells).length;
+  });
+  history.forEach(e => {
+    if (world.isOnPlanet(e.x, e.y) && compareWrites(e, store.get(e.x, e.y)) > 0) store.set(e.x, e.y, cellOf(e));
+  });
+  return { store, history: (archive.history || []).concat(history), count };
+}
+
+/* An audit log entry; action is a normalized action or {kind: 'clear'}, count the cells it
+   changed. With identity (a tab's, in local play) the entry names it and carries its
+   signature, which other tabs check (verifyAudit) before they act on it; a server's
+   entries need none. */
+export function auditEntry(action, { seq, by = '', uid = '', count = 0, now = Date.now(), identity = null }) {
+  const entry = {
+    id: `a${seq}`,
+    seq,
+    t: now,
+    by: String(by || '').replace(/[<>]/g, '').slice(0, 20),
+    uid: String(identity ? identity.id : uid || '').slice(0, 64),
+    action,
+    count
+  };
+  if (identity) entry.sig = signRecord('audit', auditBody(entry), identity);
+  return entry;
+}
+// whether an entry was signed by the uid it names
+export function verifyAudit(entry) {
+  return !!entry && verifyRecord('audit', auditBody(entry), entry.uid, entry.sig);
+}
+function auditBody(e) {
+  return JSON.stringify([e.id, e.seq, e.t, e.by, e.action, e.count]);
+}
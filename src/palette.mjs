@@ -0,0 +1,142 @@
+/* Palettes: named, versioned color lists that placements point into by index
+   - a placement stores `ci`, its color's index; indices never move, so history
+     stays valid while admins recolor, rename, add or retire colors
+   - colors are never removed, only retired: retired colors can't be placed
+     (from retiredAt on) but cells already painted with them keep showing
+   - every edit bumps `version`; the newest palette wins (see paletteNewer)
+   Shared by the client and the server, no DOM in here.
+*/
+
+export const MAX_COLORS = 64;
+const HEX = /^#[0-9a-f]{6}$/i;
+
+export const CLASSIC_COLORS = [
+  ['Cyan', '#00d4ff'], ['Sky', '#6ef0ff'], ['Violet', '#9b7cff'], ['Lavender', '#c3a0ff'], ['Pink', '#ff9bd7'],
+  ['Apricot', '#ffbd6b'], ['Sun', '#ffd36b'], ['Mint', '#7cffc7'], ['Spring', '#6bffb7'], ['White', '#ffffff'],
+  ['Coral', '#ff6b6b'], ['Salmon', '#ff8b8b'], ['Blush', '#ffd3d3'], ['Lime', '#c9ffa9'], ['Powder', '#9bd0ff']
+];
+
+// Seasonal color sets for the editor; applying one recolors index by index
+export const PALETTE_PRESETS = {
+  classic: { name: 'Classic', colors: CLASSIC_COLORS },
+  winter: {
+    name: 'Winter',
+    colors: [
+      ['Ice', '#e8f6ff'], ['Frost', '#b9e2ff'], ['Glacier', '#7cc4f5'], ['Deep', '#2f6fb3'], ['Night', '#1b2a4a'],
+      ['Pine', '#2e6b4f'], ['Holly', '#c0283c'], ['Berry', '#8e1f3f'], ['Candle', '#ffd98a'], ['Snow', '#ffffff'],
+      ['Slate', '#7b8aa3'], ['Lilac', '#b7a6e8'], ['Cocoa', '#6b4636'], ['Silver', '#c9d1dc'], ['Aurora', '#6bffc9']
+    ]
+  },
+  spring: {
+    name: 'Spring',
+    colors: [
+      ['Blossom', '#ffc4dd'], ['Petal', '#ff9bc8'], ['Tulip', '#ff6b8b'], ['Daffodil', '#ffe16b'], ['Butter', '#fff2b0'],
+      ['Leaf', '#8fdc6b'], ['Fern', '#4caf6a'], ['Rain', '#9bd0ff'], ['Iris', '#8a7cff'], ['White', '#ffffff'],
+      ['Lilac', '#d6b8ff'], ['Peach', '#ffc89b'], ['Moss', '#6b8f4c'], ['Cloud', '#e6eef5'], ['Soil', '#7a5a3c']
+    ]
+  },
+  summer: {
+    name: 'Summer',
+    colors: [
+      ['Sea', '#00b4d8'], ['Lagoon', '#48e5c2'], ['Sand', '#f4d58d'], ['Sun', '#ffc93c'], ['Mango', '#ff9f1c'],
+      ['Flame', '#ff5d3a'], ['Watermelon', '#ff4f79'], ['Palm', '#2a9d5c'], ['Sky', '#8ecae6'], ['White', '#ffffff'],
+      ['Coral', '#ff7f6b'], ['Lime', '#c7f464'], ['Navy', '#1d3557'], ['Shell', '#fde2e4'], ['Driftwood', '#a68a64']
+    ]
+  },
+  autumn: {
+    name: 'Autumn',
+    colors: [
+      ['Maple', '#c8442b'], ['Rust', '#a4471f'], ['Pumpkin', '#ef7d26'], ['Amber', '#f2a541'], ['Mustard', '#d9b44a'],
+      ['Olive', '#7d7f3a'], ['Forest', '#3f5e3a'], ['Plum', '#6d2e46'], ['Fog', '#c9c3b8'], ['Cream', '#fff4dc'],
+      ['Chestnut', '#6b3e26'], ['Wine', '#8c2f39'], ['Ash', '#5b5750'], ['Dusk', '#4a4e69'], ['Apple', '#b33a3a']
+    ]
+  }
+};
+
+// hex list, or [name, hex] pairs => palette
+export function createPalette(colors = CLASSIC_COLORS, { id = 'classic', name = 'Classic' } = {}) {
+  return normalizePalette({
+    id, name, version: 0,
+    colors: colors.map((c, i) => Array.isArray(c) ? { id: `c${i}`, name: c[0], hex: c[1] } : { id: `c${i}`, name: c, hex: c })
+  });
+}
+
+// Check and normalize a palette from storage, a world file or the network; throws on
+// anything unusable, with a message fit for the editor
+export function normalizePalette(p) {
+  if (Array.isArray(p)) return createPalette(p);
+  if (!p || typeof p !== 'object' || !Array.isArray(p.colors)) throw new Error('Palette has no colors');
+  if (p.colors.length < 1 || p.colors.length > MAX_COLORS) throw new Error(`A palette holds 1-${MAX_COLORS} colors`);
+  const ids = new Set();
+  const colors = p.colors.map((c, i) => {
+    const hex = String(c && c.hex || '').toLowerCase();
+    if (!HEX.test(hex)) throw new Error(`Color ${i + 1} is not #rrggbb`);
+    const id = String(c.id || `c${i}`).slice(0, 16);
+    if (ids.has(id)) throw new Error(`Duplicate color id "${id}"`);
+    ids.add(id);
+    const color = { id, name: String(c.name || hex).replace(/[<>]/g, '').slice(0, 24), hex };
+    if (c.retiredAt) color.retiredAt = Number(c.retiredAt);
+    return color;
+  });
+  if (colors.every(c => c.retiredAt)) throw new Error('Keep at least one color');
+  return {
+    id: String(p.id || 'custom').slice(0, 32),
+    name: String(p.name || 'Custom').replace(/[<>]/g, '').slice(0, 40),
+    version: Math.max(0, Number(p.version) || 0),
+    updatedAt: Number(p.updatedAt) || 0,
+    colors
+  };
+}
+
+/* Apply an editor's result {name, colors: [{id, name, hex, retired}]} to `prev`.
+   Existing colors must keep their index (append new ones at the end, retire
+   instead of deleting); retiring stamps retiredAt with `now`. Throws when the
+   edit would move or drop a color. */
+export function applyPaletteEdit(prev, edit, now = Date.now()) {
+  const colors = Array.isArray(edit && edit.colors) ? edit.colors : [];
+  if (colors.length < prev.colors.length) throw new Error('Colors can be retired but not removed');
+  const next = colors.map((c, i) => {
+    const old = prev.colors[i];
+    if (old && c.id !== undefined && c.id !== old.id) throw new Error('Colors can\'t change places');
+    const color = { id: old ? old.id : `c${i}`, name: c.name, hex: c.hex };
+    if (c.retired) color.retiredAt = old && old.retiredAt ? old.retiredAt : now;
+    return color;
+  });
+  return normalizePalette({
+    id: prev.id,
+    name: edit.name ?? prev.name,
+    version: prev.version + 1,
+    updatedAt: now,
+    colors: next
+  });
+}
+
+// a supersedes b: higher version; concurrent edits of one version settle on the later one
+export function paletteNewer(a, b) {
+  if (!b) return true;
+  if (a.version !== b.version) return a.version > b.version;
+  if (a.updatedAt !== b.updatedAt) return a.updatedAt > b.updatedAt;
+  return JSON.stringify(a) > JSON.stringify(b);
+}
+
+// why color ci can't be placed at time t, or null if it can
+export function colorProblem(palette, ci, t) {
+  const color = Number.isInteger(ci) ? palette.colors[ci] : undefined;
+  if (!color) return 'Color not in palette';
+  if (color.retiredAt && t >= color.retiredAt) return 'Color retired';
+  return null;
+}
+
+// hex of a cell or placement: its palette index, or the raw color of pre-palette data
+export function colorOf(palette, rec) {
+  const color = rec && Number.isInteger(rec.ci) ? palette.colors[rec.ci] : undefined;
+  if (color) return color.hex;
+  return rec && typeof rec.c === 'string' ? rec.c : null;
+}
+
+// indices of the colors that can be placed now
+export function activeColors(palette) {
+  const out = [];
+  palette.colors.forEach((c, i) => { if (!c.retiredAt) out.push(i); });
+  return out;
+}
@@ -0,0 +1,80 @@
+/* Persistent RGBA buffer for the planet grid, one pixel per cell
+   - cells are written as placements land instead of repainting the grid every frame
+   - tracks the dirty rectangle so the renderer uploads only what changed
+   DOM-free: src/chunk-layers.mjs keeps one per chunk and wraps `data` in an ImageData
+*/
+
+const colorCache = new Map();
+
+// '#rgb', '#rrggbb', '#rrggbbaa' or 'rgba(r,g,b,a)' => [r,g,b,a] (0-255)
+export function parseColor(css) {
+  let rgba = colorCache.get(css);
+  if (rgba) return rgba;
+  const s = String(css).trim();
+  let m;
+  if (s[0] === '#') {
+    let hex = s.slice(1);
+    if (hex.length === 3) hex = hex.split('').map(h => h + h).join('');
+    const n = parseInt(hex.slice(0, 6), 16) || 0;
+    const a = hex.length === 8 ? parseInt(hex.slice(6, 8), 16) : 255;
+    rgba = [(n >> 16) & 255, (n >> 8) & 255, n & 255, a];
+  } else if ((m = s.match(/^rgba?\(([^)]+)\)$/))) {
+    const parts = m[1].split(',').map(Number);
+    rgba = [parts[0] || 0, parts[1] || 0, parts[2] || 0, Math.round((parts.length > 3 ? parts[3] : 1) * 255)];
+  } else {
+    rgba = [0, 0, 0, 0];
+  }
+  colorCache.set(css, rgba);
+  return rgba;
+}
+
+export function createPixelBuffer(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  let dirty = null; // {x0,y0,x1,y1}, x1/y1 exclusive
+
+  function mark(x0, y0, x1, y1) {
+    if (!dirty) dirty = { x0, y0, x1, y1 };
+    else {
+      if (x0 < dirty.x0) dirty.x0 = x0;
+      if (y0 < dirty.y0) dirty.y0 = y0;
+      if (x1 > dirty.x1) dirty.x1 = x1;
+      if (y1 > dirty.y1) dirty.y1 = y1;
+    }
+  }
+
+  return {
+    width, height, data,
+    // rgba: [r,g,b,a] or null for a transparent cell
+    set(x, y, rgba) {
+      if (x < 0 || y < 0 || x >= width || y >= height) return;
+      const i = (y * width + x) * 4;
+      if (rgba) {
+        data[i] = rgba[0]; data[i + 1] = rgba[1]; data[i + 2] = rgba[2]; data[i + 3] = rgba[3];
+      } else {
+        data[i] = data[i + 1] = data[i + 2] = data[i + 3] = 0;
+      }
+      mark(x, y, x + 1, y + 1);
+    },
+    // rewrite every cell from colorAt(x, y) => rgba|null (wholesale state changes only)
+    fill(colorAt) {
+      for (let y = 0, i = 0; y < height; y++) {
+        for (let x = 0; x < width; x++, i += 4) {
+          const rgba = colorAt(x, y);
+          if (rgba) {
+            data[i] = rgba[0]; data[i + 1] = rgba[1]; data[i + 2] = rgba[2]; data[i + 3] = rgba[3];
+          } else {
+            data[i] = data[i + 1] = data[i + 2] = data[i + 3] = 0;
+          }
+        }
+      }
+      mark(0, 0, width, height);
+    },
+    // dirty rectangle since the last call, or null when nothing changed
+    takeDirty() {
+      if (!dirty) return null;
+      const d = { x: dirty.x0, y: dirty.y0, w: dirty.x1 - dirty.x0, h: dirty.y1 - dirty.y0 };
+      dirty = null;
+      return d;
+    }
+  };
+}
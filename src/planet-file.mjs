@@ -0,0 +1,145 @@
+/* Planet files: a whole planet as one JSON document (PLANET_FORMAT), to back up
+   an event or move a planet to another machine
+   - {format, version, exportedAt, world, palette, pixels, history}: world is the
+     world's definition without its palette, palette the one in effect, pixels a
+     flat "x,y" => {ci, t, nick, id} map and history the placements, oldest first,
+     without their sequence numbers (those belong to the machine that gave them)
+   - importing checks every cell against the world (isOnPlanet), every color against
+     the palette and every id (validId: a missing or bad one is derived from the
+     placement, so importing the same file twice gives the same ids), then merges the
+     file into the planet or replaces it; cells and history order by compareWrites, as
+     live placements do
+   DOM-free: the client exports and imports in local play, the server with one.
+*/
+
+import { createChunkStore, cellOf } from './chunks.mjs';
+import { normalizeWorldDef } from './world.mjs';
+import { normalizePalette, paletteNewer } from './palette.mjs';
+import { cleanName } from './identity.mjs';
+import { validId, compareWrites } from './rules.mjs';
+
+export const PLANET_FORMAT = 'pixel-planet';
+export const PLANET_VERSION = 1;
+export const MAX_PLANET_FILE = 64 * 1024 * 1024; // bytes of JSON a server accepts in one import
+const CELL_KEY = /^(\d+),(\d+)$/;
+
+// The file for a planet; store must hold every painted chunk
+export function encodePlanet(world, store, history, now = Date.now()) {
+  const { palette, ...def } = world.def;
+  const pixels = {};
+  store.forEach((x, y, rec) => { pixels[`${x},${y}`] = cellOf(rec); });
+  return {
+    format: PLANET_FORMAT,
+    version: PLANET_VERSION,
+    exportedAt: now,
+    world: def,
+    palette: world.palette,
+    pixels,
+    history: history.map(({ seq, ...p }) => p)
+  };
+}
+
+/* A planet file checked against world: {exportedAt, palette, pixels, history}, with
+   pixels as [[x, y, cell]] and palette the file's when it is a newer version of the
+   world's own (paletteEdit turns it into an edit). Throws with a user-facing message. */
+export function decodePlanet(data, world) {
+  if (!data || data.format !== PLANET_FORMAT) throw new Error('Not a planet file');
+  if (!Number.isInteger(data.version) || data.version < 1) throw new Error('That planet file is damaged');
+  if (data.version > PLANET_VERSION) throw new Error('This planet file needs a newer version of the page');
+  let def, palette;
+  try {
+    def = normalizeWorldDef(data.world);
+    palette = normalizePalette(data.palette);
+  } catch (e) {
+    throw new Error(`That planet file is damaged (${e.message})`);
+  }
+  if (def.id !== world.id || def.width !== world.width || def.height !== world.height) {
+    throw new Error(`This file holds the world "${def.name}" (${def.width}×${def.height}); open that world to import it`);
+  }
+  if (palette.id !== world.palette.id) throw new Error(`This file uses the palette "${palette.name}", not "${world.palette.name}"`);
+  // an older palette is a prefix of the current one, colors are never removed
+  if (!paletteNewer(palette, world.palette)) palette = world.palette;
+
+  const check = (x, y, ci, what) => {
+    if (!Number.isInteger(x) || !Number.isInteger(y) || !world.isOnPlanet(x, y)) {
+      throw new Error(`${what} at (${x},${y}) is off the planet`);
+    }
+    if (!Number.isInteger(ci) || !palette.colors[ci]) {
+      throw new Error(`${what} at (${x},${y}) has a color the palette lacks (${ci})`);
+    }
+  };
+  if (!data.pixels || typeof data.pixels !== 'object') throw new Error('That planet file has no pixels');
+  const pixels = Object.entries(data.pixels).map(([key, rec]) => {
+    const m = CELL_KEY.exec(key);
+    if (!m || !rec || typeof rec !== 'object') throw new Error(`That planet file is damaged (pixel "${key}")`);
+    const x = Number(m[1]), y = Number(m[2]);
+    check(x, y, rec.ci, 'A pixel');
+    const id = validId(rec.id) ? rec.id : '';
+    return [x, y, cellOf({ ci: rec.ci, t: Number(rec.t) || 0, nick: cleanName(rec.nick), id })];
+  });
+  if (!Array.isArray(data.history)) throw new Error('That planet file has no history');
+  const ids = new Set();
+  const history = [];
+  data.history.forEach((p, i) => {
+    if (!p || typeof p !== 'object' || !Number.isFinite(p.t)) throw new Error(`That planet file is damaged (placement ${i + 1})`);
+    check(p.x, p.y, p.ci, 'A placement');
+    const id = validId(p.id) ? p.id : importedId(p);
+    if (ids.has(id)) return;
+    ids.add(id);
+    const e = { x: p.x, y: p.y, ci: p.ci, t: p.t, nick: cleanName(p.nick), id };
+    if (typeof p.uid === 'string') e.uid = p.uid.slice(0, 64);
+    if (typeof p.sig === 'string') e.sig = p.sig.slice(0, 200);
+    history.push(e);
+  });
+  // files from before pixels kept their ids: a cell's is its latest placement's
+  const latest = new Map();
+  history.forEach(e => {
+    const key = `${e.x},${e.y}`;
+    if (compareWrites(e, latest.get(key)) > 0) latest.set(key, e);
+  });
+  pixels.forEach(([x, y, cell]) => {
+    const p = latest.get(`${x},${y}`);
+    if (!cell.id && p && p.t === cell.t && p.ci === cell.ci) cell.id = p.id;
+  });
+  return { exportedAt: Number(data.exportedAt) || 0, palette, pixels, history };
+}
+
+// an id for a placement that came without a usable one, from what it holds
+function importedId(p) {
+  const who = String(p.uid || p.nick || '').replace(/\W/g, '').slice(0, 16);
+  return `import-${Math.floor(p.t).toString(36)}-${p.x}-${p.y}-${p.ci}-${who}`;
+}
+
+// the palette edit (applyPaletteEdit) that brings current up to the file's palette, or null
+export function paletteEdit(planet, current) {
+  if (planet.palette === current || !paletteNewer(planet.palette, current)) return null;
+  return {
+    name: planet.palette.name,
+    colors: planet.palette.colors.map(c => ({ id: c.id, name: c.name, hex: c.hex, retired: !!c.retiredAt }))
+  };
+}
+
+/* The planet after importing a decoded file in mode 'merge' or 'replace'. store
+   must hold every painted chunk. Merge keeps, per cell, whichever of the two was
+   written last (compareWrites; the planet's when they are the same placement), and
+   both histories; replace takes
+   the file's. History is ordered by compareWrites and renumbered from firstSeq. Returns {store
+   (every chunk loaded and dirty), history, count: cells taken from the file}. */
+export function importPlanet(world, planet, mode, { store, history }, firstSeq) {
+  const next = createChunkStore(world);
+  let entries = planet.history;
+  if (mode === 'merge') {
+    store.loadedChunks().forEach(c => { next.load(c.key, c.cells).dirty = true; });
+    const ids = new Set(history.map(e => e.id));
+    entries = history.concat(entries.filter(e => !ids.has(e.id)));
+  }
+  let count = 0;
+  planet.pixels.forEach(([x, y, cell]) => {
+    const had = next.get(x, y);
+    if (compareWrites(cell, had) <= 0) return;
+    next.set(x, y, cell);
+    count++;
+  });
+  entries = entries.slice().sort(compareWrites).map((e, i) => ({ ...e, seq: firstSeq + i }));
+  return { store: next, history: entries, count };
+}
@@ -0,0 +1,251 @@
+/* The planet's core: world state, placement rules, cooldown and history, without a page
+   - chunks (src/chunks.mjs) and the history of placements, ordered by sequence
+     numbers: seq is the latest change applied, clearSeq the latest clear or rewrite
+     (anyone behind it starts over from a full state)
+   - accept(): the gate every placement passes, ours, other tabs' and a server's:
+     the rules and cooldown (src/rules.mjs) and signatures (src/identity.mjs)
+   - concurrent placements resolve last-writer-wins (compareWrites): a cell keeps the
+     latest, and history stays in that order, so tabs converge whatever the delivery order
+   - merge() takes catch-up deltas (another tab's checked like its placements), load() a
+     full state, clear() a clear
+   - loadChunk(): stored or sent chunk contents, with newer history replayed on top
+   - emits 'place' (placement, {local, quiet, prev, won}), 'clear' ({seq}) and 'sync'
+     ({seq, clearSeq}) on an emitter (src/api.mjs)
+   DOM-free: the page (script.js) renders, stores and syncs on top of it; in Node it
+   hosts the scripting API (createPlanetAPI) and is what the tests drive.
+*/
+
+import { COOLDOWN, identityOf, createRateLimiter, validatePlacement, compareWrites } from './rules.mjs';
+import { createChunkStore, cellOf } from './chunks.mjs';
+import { createIdentity, signPlacement, cleanName } from './identity.mjs';
+import { createEmitter } from './api.mjs';
+
+export const PEER_GRACE = 1000; // delivery jitter forgiven on other tabs' cooldowns
+
+export function makeId(t = Date.now()) {
+  return t.toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+}
+
+/* world; identity: whose placements place() makes (a new one if not given); limiter:
+   cooldowns (createRateLimiter); now: the clock; nextSeq() numbers our placements
+   (0: leave them to a server; default: one past the latest); events: an emitter to
+   reuse, as the page does across worlds; chunkReady(key): whether key's chunk takes
+   placements now (default: when it is loaded, or has no contents anywhere; a chunk
+   that loads later gets them from history, loadChunk) */
+export function createPlanet({
+  world, identity = createIdentity(), limiter = createRateLimiter(COOLDOWN),
+  now = Date.now, nextSeq = null, events = createEmitter(), chunkReady = null
+}) {
+  let store = createChunkStore(world); // cell => {ci, t, nick}
+  let history = []; // placements {x, y, ci, t, nick, uid, sig, id, seq}, oldest write first
+  let seen = new Set(); // ids of the placements in history
+  let seq = 0, clearSeq = 0;
+  let view = { x: world.width / 2, y: world.height / 2, zoom: 1 }; // for scripts without a page
+
+  function resetSeen() {
+    seen = new Set();
+    history.forEach(e => {
+      if (e.id) seen.add(e.id);
+      if (e.seq > seq) seq = e.seq;
+    });
+  }
+  // A placement that passed its checks (or needs none). It takes its cell unless a later
+  // write holds it (won tells); a cell whose chunk is on its way is left alone: loadChunk
+  // replays history onto the chunk when it arrives.
+  function apply(p, { local = false, quiet = false } = {}) {
+    if (p.id) {
+      if (seen.has(p.id)) return false;
+      seen.add(p.id);
+    }
+    const key = world.chunkKey(p.x, p.y);
+    const prev = store.get(p.x, p.y) || null;
+    const ready = chunkReady ? chunkReady(key) : store.isLoaded(key) || (!store.chunk(key) && !store.hasContent(key));
+    const won = compareWrites(p, prev) > 0;
+    if (ready && won) store.set(p.x, p.y, cellOf(p));
+    insert(p);
+    if (p.seq > seq) seq = p.seq;
+    events.emit('place', p, { local, quiet, prev, won });
+    return true;
+  }
+  // into history by write order; nearly always at the end
+  function insert(p) {
+    let i = history.length;
+    while (i > 0 && compareWrites(history[i - 1], p) > 0) i--;
+    history.splice(i, 0, p);
+  }
+  // (placement) => whether it is a cooldown away from its identity's others in history
+  // and those passed before it; it counts from then on
+  function cooldownSpacing() {
+    const times = new Map(); // identity => timestamps of its placements
+    const add = e => {
+      const key = identityOf(e);
+      if (!times.has(key)) times.set(key, []);
+      times.get(key).push(e.t);
+    };
+    history.forEach(add);
+    return e => {
+      const ts = times.get(identityOf(e)) || [];
+      if (ts.some(t => Math.abs(t - e.t) < COOLDOWN - PEER_GRACE)) return false;
+      add(e);
+      return true;
+    };
+  }
+  function setLatest(e) {
+    if (compareWrites(e, store.get(e.x, e.y)) > 0) store.set(e.x, e.y, cellOf(e));
+  }
+
+  const planet = {
+    world,
+    identity,
+    limiter,
+    events,
+    ready: Promise.resolve(),
+    get store() { return store; },
+    get history() { return history; },
+    get seq() { return seq; },
+    get clearSeq() { return clearSeq; },
+    has(id) {
+      return seen.has(id);
+    },
+
+    /* Check and apply a placement. source: 'local' (ours: signed here), 'peer' (another
+       tab: its cooldown, less PEER_GRACE, and its signature) or 'server' (checked there).
+       Returns the verdict (src/rules.mjs), with the placement as applied when ok. */
+    accept(p, source) {
+      const t = now();
+      const verdict = validatePlacement(p, {
+        world,
+        now: t,
+        limiter: source === 'server' ? null : limiter,
+        grace: source === 'peer' ? PEER_GRACE : 0,
+        signed: source === 'peer' // the server checked its own
+      });
+      if (!verdict.ok) return verdict;
+      const clean = { x: p.x, y: p.y, ci: p.ci, t: p.t, nick: cleanName(p.nick) };
+      if (p.uid) clean.uid = String(p.uid);
+      clean.id = p.id || makeId(t);
+      if (source === 'local') clean.sig = signPlacement(clean, identity);
+      else if (p.sig) clean.sig = String(p.sig);
+      if (p.seq) clean.seq = p.seq;
+      else if (source === 'local') {
+        const n = nextSeq ? nextSeq() : seq + 1;
+        if (n) clean.seq = n;
+      }
+      limiter.hit(identityOf(clean), t);
+      apply(clean, { local: source === 'local' });
+      return { ...verdict, placement: clean };
+    },
+    // ci at (x, y) as our identity
+    place(x, y, ci) {
+      return planet.accept({ x, y, ci, t: now(), nick: identity.name, uid: identity.id }, 'local');
+    },
+    // someone else's placement; trusted ones come from a server
+    receive(p, { trusted = false } = {}) {
+      return planet.accept(p, trusted ? 'server' : 'peer');
+    },
+    /* Catch-up deltas: our own come back numbered, the rest pass the rules. A server's
+       are trusted (it checked them); another tab's need their signatures, and each
+       identity's placements a cooldown apart by their timestamps (less PEER_GRACE), which
+       the limiter then counts. Returns our placements newly numbered. */
+    merge(entries, { trusted = false } = {}) {
+      const numbered = [];
+      const spaced = trusted ? () => true : cooldownSpacing();
+      entries.slice().sort((a, b) => (a.seq || 0) - (b.seq || 0)).forEach(e => {
+        if (e.id && seen.has(e.id)) {
+          const own = planet.confirm(e);
+          if (own) numbered.push(own);
+        } else if (validatePlacement(e, { world, now: now(), signed: !trusted }).ok && spaced(e)) {
+          const key = identityOf(e);
+          if (!trusted && limiter.wait(key, e.t) === 0) limiter.hit(key, e.t);
+          apply(e, { quiet: true });
+        }
+      });
+      return numbered;
+    },
+    // our placement echoed back with its number; returns it if the number is news
+    confirm(p) {
+      if (!p.seq) return null;
+      if (p.seq > seq) seq = p.seq;
+      const own = history.find(e => e.id === p.id);
+      if (!own || own.seq) return null;
+      own.seq = p.seq;
+      return own;
+    },
+    // take a placement back (a server refused it), putting back prev, the cell it covered,
+    // unless a later write holds the cell by now
+    remove(id, prev = null) {
+      const i = history.findIndex(e => e.id === id);
+      if (i < 0) return null;
+      const [p] = history.splice(i, 1);
+      seen.delete(id);
+      const cell = store.get(p.x, p.y);
+      if (store.isLoaded(world.chunkKey(p.x, p.y)) && cell && cell.id === id) {
+        if (prev) store.set(p.x, p.y, prev);
+        else store.delete(p.x, p.y);
+      }
+      return p;
+    },
+    clear(at = seq + 1) {
+      history = [];
+      store = createChunkStore(world);
+      seen = new Set();
+      clearSeq = at;
+      if (at > seq) seq = at;
+      events.emit('clear', { seq: at });
+    },
+    // A full state {history, seq, clearSeq, index, chunks}: from storage, a server, or a
+    // tab that saw a newer clear. Chunks missing from it load later (loadChunk).
+    load(state) {
+      history = (state.history || []).slice().sort(compareWrites);
+      seq = state.seq || 0;
+      clearSeq = state.clearSeq || 0;
+      store = createChunkStore(world);
+      store.setIndex(state.index);
+      Object.entries(state.chunks || {}).forEach(([key, cells]) => store.load(key, cells));
+      resetSeen();
+      events.emit('sync', { seq, clearSeq });
+    },
+    // swap in a rewritten store and/or history (moderation, an import), then number the rewrite
+    replace(next) {
+      if (next.store) store = next.store;
+      if (next.history) {
+        history = next.history.slice().sort(compareWrites);
+        resetSeen();
+      }
+    },
+    rewritten(at) {
+      clearSeq = at;
+      if (at > seq) seq = at;
+      events.emit('sync', { seq, clearSeq });
+    },
+    // chunk contents from storage or a server, with the placements replay(e) picks
+    // (default: all) replayed on top; each cell keeps the latest write
+    loadChunk(key, cells, replay = () => true) {
+      const chunk = store.load(key, cells);
+      history.forEach(e => {
+        if (world.chunkKey(e.x, e.y) === key && replay(e)) setLatest(e);
+      });
+      return chunk;
+    },
+
+    cooldown() {
+      return limiter.wait(identityOf({ uid: identity.id }), now());
+    },
+    getView() {
+      return { ...view };
+    },
+    setView(next) {
+      view = { ...view, ...next };
+    },
+    // pixels of the loaded chunks as a flat "x,y" map
+    state() {
+      const pixels = {};
+      store.forEach((x, y, rec) => { pixels[`${x},${y}`] = rec; });
+      return { pixels, history, seq, clearSeq };
+    },
+    pixel(x, y) {
+      return store.get(x, y);
+    }
+  };
+  return planet;
+}
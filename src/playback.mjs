@@ -0,0 +1,58 @@
+/* Read-only history playback: the planet as it looked at any moment
+   - works on a time-sorted copy of the entries and its own chunk store, so the
+     live pixels, history and storage are never touched
+   - seeking forward applies the entries up to the new time; seeking backward
+     empties the store (keeping its chunks, and their render caches) and replays
+   DOM-free; the client renders playback.store instead of the live store.
+*/
+
+import { createChunkStore } from './chunks.mjs';
+import { compareWrites } from './rules.mjs';
+
+export function createPlayback(world, entries) {
+  const list = entries
+    .filter(e => e && typeof e.t === 'number' && world.isOnPlanet(e.x, e.y))
+    .sort(compareWrites); // by time, as the live planet orders its writes
+  const start = list.length ? list[0].t : 0;
+  const end = list.length ? list[list.length - 1].t : 0;
+  const store = createChunkStore(world);
+  let applied = 0; // entries in the store
+  let time = -Infinity;
+
+  function apply(e) {
+    const cell = { t: e.t, nick: e.nick || '' };
+    if (Number.isInteger(e.ci)) cell.ci = e.ci;
+    else cell.c = e.c; // from before palettes
+    store.set(e.x, e.y, cell);
+  }
+
+  return {
+    store,
+    start,
+    end,
+    length: list.length,
+    get time() { return time; },
+    get applied() { return applied; },
+    // most recent entry shown, if any
+    get current() { return applied ? list[applied - 1] : null; },
+    /* Move to time t (clamped to [start, end]). Returns the entries that were
+       applied, or null when the store was rebuilt and every cell may have changed. */
+    seek(t) {
+      t = Math.min(end, Math.max(start, t));
+      let rebuilt = false;
+      if (t < time) {
+        store.loadedChunks().forEach(c => store.load(c.key, {}));
+        applied = 0;
+        rebuilt = true;
+      }
+      const changed = [];
+      while (applied < list.length && list[applied].t <= t) {
+        const e = list[applied++];
+        apply(e);
+        changed.push(e);
+      }
+      time = t;
+      return rebuilt ? null : changed;
+    }
+  };
+}
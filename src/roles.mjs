@@ -0,0 +1,86 @@
+/* Roles: who may run the destructive actions
+   - visitor (everyone), moderator (moderation: src/moderation.mjs), admin (also
+     clear, palette edits and importing planet files: src/planet-file.mjs)
+   - a passphrase per role; only its hash is kept (hashPassphrase)
+   - signing in ties the role to an identity (the browser's uid): locally through
+     grants every tab can check, on a server through a token (roleToken) that
+     keeps the identity signed in across reconnects until the passphrase changes
+   Shared by the client and the server, no DOM in here.
+*/
+
+export const ROLES = ['visitor', 'moderator', 'admin'];
+const NEEDS = { moderate: 'moderator', clear: 'admin', palette: 'admin', import: 'admin' };
+export const MIN_PASSPHRASE = 6;
+
+export function normalizeRole(role) {
+  return ROLES.includes(role) ? role : 'visitor';
+}
+
+// whether role may perform action ('moderate' | 'clear' | 'palette' | 'import')
+export function can(role, action) {
+  return ROLES.indexOf(normalizeRole(role)) >= ROLES.indexOf(NEEDS[action] || 'visitor');
+}
+
+// why role may not perform action (user-facing), or null
+export function forbidden(role, action) {
+  if (can(role, action)) return null;
+  return NEEDS[action] === 'admin' ? 'Only admins can do that' : 'Only moderators can do that';
+}
+
+export function hashPassphrase(passphrase) {
+  return sha256(`pixel-planet:${passphrase}`);
+}
+
+// proof that uid signed in as role while the role's passphrase hashed to passHash
+export function roleToken(role, uid, passHash) {
+  return sha256(`${role}|${uid}|${passHash}`);
+}
+
+// SHA-256 of a string (UTF-8), as hex; sync and dependency-free, since
+// crypto.subtle is missing on plain-http pages
+export function sha256(text) {
+  const bytes = new TextEncoder().encode(text);
+  const len = bytes.length;
+  const words = new Uint32Array(((len + 9 + 63) >> 6) << 4);
+  for (let i = 0; i < len; i++) words[i >> 2] |= bytes[i] << (24 - (i % 4) * 8);
+  words[len >> 2] |= 0x80 << (24 - (len % 4) * 8);
+  words[words.length - 1] = len * 8;
+  words[words.length - 2] = Math.floor(len / 0x20000000);
+
+  const h = H0.slice();
+  const w = new Uint32Array(64);
+  for (let off = 0; off < words.length; off += 16) {
+    for (let i = 0; i < 16; i++) w[i] = words[off + i];
+    for (let i = 16; i < 64; i++) {
+      const a = w[i - 15], b = w[i - 2];
+      const s0 = ror(a, 7) ^ ror(a, 18) ^ (a >>> 3);
+      const s1 = ror(b, 17) ^ ror(b, 19) ^ (b >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+    let [a, b, c, d, e, f, g, k] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (k + (ror(e, 6) ^ ror(e, 11) ^ ror(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+      const t2 = ((ror(a, 2) ^ ror(a, 13) ^ ror(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      k = g; g = f; f = e; e = (d + t1) | 0;
+      d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+    [a, b, c, d, e, f, g, k].forEach((v, i) => { h[i] = (h[i] + v) | 0; });
+  }
+  return [...h].map(v => (v >>> 0).toString(16).padStart(8, '0')).join('');
+}
+function ror(v, n) {
+  return (v >>> n) | (v << (32 - n));
+}
+const H0 = new Uint32Array([
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+]);
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
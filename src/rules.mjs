@@ -0,0 +1,93 @@
+/* Placement rules, shared by the client (script.js) and the server (server/server.mjs)
+   - world bounds & planet mask (src/world.mjs)
+   - palette membership (by color index, see src/palette.mjs)
+   - placement ids: short and plain (PLACEMENT_ID), since every client stores and shows them
+   - per-identity cooldown
+   - optionally, a signature by the placement's identity (src/identity.mjs)
+   - which of two placements on a cell wins (compareWrites)
+*/
+
+import { createWorld } from './world.mjs';
+import { colorProblem } from './palette.mjs';
+import { verifyPlacement } from './identity.mjs';
+
+export const COOLDOWN = 10 * 1000; // 10 seconds
+export const MAX_CLOCK_SKEW = 60 * 1000; // how far in the future a placement may be stamped
+// a server's limit: the latest write wins a cell, so a placement dated ahead would hold
+// it against everyone until then (clients stamp by the server's clock)
+export const SERVER_CLOCK_SKEW = 2 * 1000;
+export const PLACEMENT_ID = /^[\w-]{1,64}$/; // placement ids: letters, digits, _ and -
+const defaultWorld = createWorld();
+
+// Who a placement counts against for rate limiting
+export function identityOf(p) {
+  return p.uid ? `uid:${p.uid}` : `nick:${p.nick || ''}`;
+}
+
+// an id a placement may carry (every tab and the server check it)
+export function validId(id) {
+  return typeof id === 'string' && PLACEMENT_ID.test(id);
+}
+
+// Last writer wins: > 0 when a was written after b (a placement or a cell; a missing b
+// always loses). The later timestamp wins, then the greater id, so every tab and the
+// server agree on a cell and on history's order whatever order placements arrive in.
+export function compareWrites(a, b) {
+  if (!b) return 1;
+  if (a.t !== b.t) return a.t > b.t ? 1 : -1;
+  const ida = a.id || '', idb = b.id || '';
+  return ida > idb ? 1 : ida < idb ? -1 : 0;
+}
+
+// Cooldown bookkeeping: identity => time of last accepted placement.
+// `saved` is what toJSON() returned earlier, so limits can outlive a reload.
+export function createRateLimiter(interval = COOLDOWN, saved = null) {
+  const last = new Map(Object.entries(saved || {}));
+  return {
+    wait(id, now = Date.now()) {
+      const t = last.get(id);
+      return t ? Math.max(0, t + interval - now) : 0;
+    },
+    hit(id, now = Date.now()) {
+      last.set(id, now);
+    },
+    toJSON(now = Date.now()) {
+      const out = {};
+      for (const [id, t] of last) {
+        if (t + interval > now) out[id] = t;
+        else last.delete(id);
+      }
+      return out;
+    }
+  };
+}
+
+/* Check a placement {x,y,ci,t,nick,uid,sig,id,seq} before it touches state.
+   opts: world (default: the classic planet), now, skew (how far ahead of now t may be;
+         default MAX_CLOCK_SKEW), limiter (skip rate limiting when absent), grace (ms
+         forgiven on the cooldown), signed (require uid's signature; checked last, it's slow)
+   Returns {ok:true} or {ok:false, code, reason, wait}; reason is user-facing. */
+export function validatePlacement(p, opts = {}) {
+  const now = opts.now ?? Date.now();
+  const world = opts.world || defaultWorld;
+  if (!p || !Number.isInteger(p.x) || !Number.isInteger(p.y) ||
+      !Number.isInteger(p.ci) || typeof p.t !== 'number' ||
+      (p.id !== undefined && !validId(p.id)) ||
+      (p.seq !== undefined && !(Number.isInteger(p.seq) && p.seq > 0))) {
+    return reject('invalid', 'Invalid placement');
+  }
+  if (!world.isOnPlanet(p.x, p.y)) return reject('bounds', 'Outside planet');
+  const problem = colorProblem(world.palette, p.ci, p.t);
+  if (problem) return reject('color', problem);
+  if (p.t > now + (opts.skew ?? MAX_CLOCK_SKEW)) return reject('time', 'Clock out of sync');
+  if (opts.limiter) {
+    const wait = opts.limiter.wait(identityOf(p), now) - (opts.grace || 0);
+    if (wait > 0) return reject('cooldown', `Cooldown: ${Math.ceil(wait/1000)}s`, wait);
+  }
+  if (opts.signed && !verifyPlacement(p)) return reject('signature', 'Placement not signed by its identity');
+  return { ok: true };
+}
+
+function reject(code, reason, wait = 0) {
+  return { ok: false, code, reason, wait };
+}
@@ -0,0 +1,93 @@
+/* Statistics over a history: leaderboards, colors, activity, and where someone drew
+   - people are identities (identityOf, src/rules.mjs), named by their latest nickname
+   - a placement survives while it is the latest in history for its cell: history holds
+     everything since the last clear, in the order cells resolve (compareWrites)
+   - heatmaps count placements per bin of cells, at most maxSide bins a side, and keep
+     the latest placement time in each; heatColor colors them
+   DOM-free: the page's stats dialog and activity overlay draw them.
+*/
+
+import { identityOf } from './rules.mjs';
+
+export const HOUR = 60 * 60 * 1000;
+
+/* {total, pixels, people, colors, first, last}
+   - people: [{key, uid, nick, total, surviving, first, last}], in order of first placement
+   - colors: [{ci, c, count}], most used first (c: the hex of placements from before
+     palette indices) */
+export function computeStats(history) {
+  const people = new Map(), colors = new Map(), latest = new Map();
+  let first = Infinity, last = -Infinity;
+  history.forEach(e => {
+    const key = identityOf(e);
+    let person = people.get(key);
+    if (!person) people.set(key, person = { key, uid: e.uid || '', nick: '', total: 0, surviving: 0, first: e.t, last: e.t });
+    person.total++;
+    if (e.nick) person.nick = e.nick;
+    person.first = Math.min(person.first, e.t);
+    person.last = Math.max(person.last, e.t);
+    const ck = Number.isInteger(e.ci) ? e.ci : `c:${e.c}`;
+    const color = colors.get(ck);
+    if (color) color.count++;
+    else colors.set(ck, { ci: e.ci, c: e.c, count: 1 });
+    latest.set(`${e.x},${e.y}`, e);
+    first = Math.min(first, e.t);
+    last = Math.max(last, e.t);
+  });
+  latest.forEach(e => { people.get(identityOf(e)).surviving++; });
+  return {
+    total: history.length,
+    pixels: latest.size,
+    people: [...people.values()],
+    colors: [...colors.values()].sort((a, b) => b.count - a.count),
+    first: history.length ? first : null,
+    last: history.length ? last : null
+  };
+}
+
+// the n people with the most placements (by 'total') or pixels still showing ('surviving')
+export function leaderboard(people, by = 'total', n = 10) {
+  return people.filter(p => p[by] > 0)
+    .sort((a, b) => b[by] - a[by] || b.total - a.total || b.last - a.last)
+    .slice(0, n);
+}
+
+// {start, counts}: placements in each of the hours clock hours up to end's, oldest first
+export function perHour(history, end, hours = 24) {
+  const start = Math.floor(end / HOUR) * HOUR - (hours - 1) * HOUR;
+  const counts = new Array(hours).fill(0);
+  history.forEach(e => {
+    const i = Math.floor((e.t - start) / HOUR);
+    if (i >= 0 && i < hours) counts[i]++;
+  });
+  return { start, counts };
+}
+
+/* {bin, cols, rows, counts, latest, max}: entries per bin of bin×bin cells and the time
+   of the latest, row by row (counts[row * cols + col]); bins are as small as maxSide
+   allows */
+export function heatmap(entries, world, maxSide = 128) {
+  const bin = Math.max(1, Math.ceil(Math.max(world.width, world.height) / maxSide));
+  const cols = Math.ceil(world.width / bin), rows = Math.ceil(world.height / bin);
+  const counts = new Uint32Array(cols * rows), latest = new Float64Array(cols * rows);
+  let max = 0;
+  entries.forEach(e => {
+    if (!(e.x >= 0 && e.x < world.width && e.y >= 0 && e.y < world.height)) return;
+    const i = Math.floor(e.y / bin) * cols + Math.floor(e.x / bin);
+    max = Math.max(max, ++counts[i]);
+    latest[i] = Math.max(latest[i], e.t);
+  });
+  return { bin, cols, rows, counts, latest, max };
+}
+
+// the heat ramp, cold to hot: [at, r, g, b]
+export const HEAT_STOPS = [[0, 40, 30, 120], [0.35, 40, 160, 255], [0.65, 120, 255, 160], [0.85, 255, 220, 60], [1, 255, 60, 40]];
+// [r, g, b] at f (0 cold, 1 hot) along HEAT_STOPS
+export function heatColor(f) {
+  f = Math.max(0, Math.min(1, f));
+  const i = HEAT_STOPS.findIndex(s => s[0] >= f);
+  if (i <= 0) return HEAT_STOPS[0].slice(1);
+  const [a, b] = [HEAT_STOPS[i - 1], HEAT_STOPS[i]];
+  const k = (f - a[0]) / (b[0] - a[0]);
+  return [1, 2, 3].map(j => Math.round(a[j] + (b[j] - a[j]) * k));
+}
@@ -0,0 +1,194 @@
+/* Persistence in IndexedDB: the planet, its whole history and the last clear's archive
+   - one database for every world; records are keyed by the world's storage prefix
+     (worldKey in script.js), so local play, server caches and other worlds stay apart
+   - chunks: [world, chunkKey] => {cells, seq}, written by snapshots; seq is the last
+     placement the cells include, so newer ones in history can be replayed onto them
+   - history: [world, placement id] => placement, appended as placements happen and
+     never trimmed; rewritten whole only when a clear or moderation changes it
+   - meta: world => {seq, clearSeq, index} of the last snapshot
+   - archive: world => {seq, t, chunks, history}, what the last clear wiped
+   - the schema upgrades one version at a time (MIGRATIONS); the first version takes
+     over what localStorage held before
+   DOM-free: takes the IndexedDB factory and, for migrating, a Storage.
+*/
+
+import { DEFAULT_WORLD, createWorld } from './world.mjs';
+import { chunksFromFlat } from './chunks.mjs';
+
+export const DB_NAME = 'pixel-planet';
+// localStorage before IndexedDB: <prefix><name>, prefix as worldKey makes it
+const LEGACY_KEY = /^(pixelPlanet_(?:server_)?(?:.+_)?)(history_v1|snapshot_v1|journal_v1|cleared_v1|chunk_v1_(.+))$/;
+const LEGACY_FLAT_KEY = 'pixelPlanet_pixels_v1'; // the classic planet as one "x,y" map, before chunks
+
+// MIGRATIONS[n] takes the database from version n to n + 1 inside the upgrade
+// transaction; returns the localStorage keys it moved, removed once it commits
+const MIGRATIONS = [
+  (db, tx, legacy) => {
+    ['meta', 'chunks', 'history', 'archive'].forEach(name => db.createObjectStore(name));
+    return legacy ? importLocalStorage(tx, legacy) : [];
+  }
+];
+export const DB_VERSION = MIGRATIONS.length;
+
+// Resolves with the storage API; rejects when IndexedDB is missing or refuses
+export function openStorage({ indexedDB = globalThis.indexedDB, IDBKeyRange = globalThis.IDBKeyRange, legacy = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (!indexedDB) return reject(new Error('This browser can\'t store data (no IndexedDB)'));
+    let moved = [];
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      for (let v = e.oldVersion; v < DB_VERSION; v++) moved = moved.concat(MIGRATIONS[v](req.result, req.transaction, legacy));
+    };
+    req.onsuccess = () => {
+      moved.forEach(key => legacy.removeItem(key));
+      resolve(createStorage(req.result, IDBKeyRange));
+    };
+    req.onerror = () => reject(new Error(describeStorageError(req.error)));
+    req.onblocked = () => reject(new Error('Close the other Pixel Planet tabs to finish updating'));
+  });
+}
+
+// user-facing reason a read or write failed
+export function describeStorageError(e) {
+  if (e && e.name === 'QuotaExceededError') return 'storage is full';
+  return e && e.message ? e.message : 'storage failed';
+}
+
+function createStorage(db, IDBKeyRange) {
+  db.onversionchange = () => db.close(); // a newer page wants to upgrade
+  // every [world, ...] key of a world
+  const range = world => IDBKeyRange.bound([world], [world, []]);
+  // fn(stores, done) queues requests in one transaction; resolves with what done() got once it commits
+  function run(names, mode, fn) {
+    return new Promise((resolve, reject) => {
+      let tx;
+      try { tx = db.transaction(names, mode); } catch (e) { return reject(new Error(describeStorageError(e))); }
+      let result;
+      const stores = {};
+      names.forEach(name => { stores[name] = tx.objectStore(name); });
+      tx.oncomplete = () => resolve(result);
+      tx.onabort = () => reject(new Error(describeStorageError(tx.error)));
+      fn(stores, r => { result = r; });
+    });
+  }
+  return {
+    // {meta, history (oldest first)} of a world
+    load(world) {
+      return run(['meta', 'history'], 'readonly', ({ meta, history }, done) => {
+        const out = { meta: { seq: 0, clearSeq: 0, index: {} }, history: [] };
+        meta.get(world).onsuccess = e => { if (e.target.result) out.meta = e.target.result; };
+        history.getAll(range(world)).onsuccess = e => {
+          out.history = e.target.result.sort((a, b) => (a.seq || 0) - (b.seq || 0) || a.t - b.t);
+        };
+        done(out);
+      });
+    },
+    // {cells, seq} of a stored chunk, or null
+    chunk(world, key) {
+      return run(['chunks'], 'readonly', ({ chunks }, done) => {
+        chunks.get([world, key]).onsuccess = e => done(e.target.result || null);
+      });
+    },
+    // add placements to history, or store changes to ones already there
+    append(world, entries) {
+      return run(['history'], 'readwrite', ({ history }) => {
+        entries.forEach(p => history.put(p, [world, p.id]));
+      });
+    },
+    forget(world, ids) {
+      return run(['history'], 'readwrite', ({ history }) => {
+        ids.forEach(id => history.delete([world, id]));
+      });
+    },
+    /* Write a snapshot: meta, changed chunks ({key: {cells, seq}}, empty cells delete),
+       with wipe every other chunk goes first, with history the stored history is
+       replaced. Skipped (resolves false) if another tab stored a newer one. */
+    snapshot(world, { meta, chunks = {}, wipe = false, history = null }) {
+      return run(['meta', 'chunks', 'history'], 'readwrite', (stores, done) => {
+        stores.meta.get(world).onsuccess = e => {
+          const stored = e.target.result;
+          if (stored && stored.clearSeq >= meta.clearSeq && stored.seq > meta.seq) return done(false);
+          if (wipe) stores.chunks.delete(range(world));
+          Object.entries(chunks).forEach(([key, rec]) => {
+            if (Object.keys(rec.cells).length) stores.chunks.put(rec, [world, key]);
+            else stores.chunks.delete([world, key]);
+          });
+          if (history) {
+            stores.history.delete(range(world));
+            history.forEach(p => stores.history.put(p, [world, p.id]));
+          }
+          stores.meta.put(meta, world);
+          done(true);
+        };
+      });
+    },
+    archive(world) {
+      return run(['archive'], 'readonly', ({ archive }, done) => {
+        archive.get(world).onsuccess = e => done(e.target.result || null);
+      });
+    },
+    // keep (or with null, drop) what a clear wiped
+    setArchive(world, archive) {
+      return run(['archive'], 'readwrite', (stores) => {
+        if (archive) stores.archive.put(archive, world);
+        else stores.archive.delete(world);
+      });
+    }
+  };
+}
+
+// Version 1 takes over localStorage: per world its chunks, snapshot meta, history,
+// journal (placements newer than the snapshot) and cleared archive, plus the classic
+// planet's flat pixel map from before chunks
+function importLocalStorage(tx, legacy) {
+  const read = key => {
+    try { return JSON.parse(legacy.getItem(key) || 'null'); } catch (e) { return null; }
+  };
+  const worlds = new Map(); // prefix => {chunks, history_v1, snapshot_v1, ...}
+  const moved = [];
+  const entry = prefix => {
+    if (!worlds.has(prefix)) worlds.set(prefix, { chunks: {} });
+    return worlds.get(prefix);
+  };
+  for (let i = 0; i < legacy.length; i++) {
+    const key = legacy.key(i);
+    const m = key && LEGACY_KEY.exec(key);
+    if (!m) continue;
+    if (m[3]) entry(m[1]).chunks[m[3]] = read(key) || {};
+    else entry(m[1])[m[2]] = read(key);
+    moved.push(key);
+  }
+  const flat = read(LEGACY_FLAT_KEY);
+  if (flat) {
+    const classic = entry('pixelPlanet_');
+    // chunks already saved replace it
+    if (!(classic.snapshot_v1 && classic.snapshot_v1.index)) {
+      Object.assign(classic.chunks, chunksFromFlat(createWorld(DEFAULT_WORLD), flat));
+    }
+    moved.push(LEGACY_FLAT_KEY);
+  }
+
+  const stores = ['meta', 'chunks', 'history', 'archive'].reduce((o, name) => ({ ...o, [name]: tx.objectStore(name) }), {});
+  worlds.forEach((w, world) => {
+    const snap = w.snapshot_v1 || {};
+    const seq = Number(snap.seq) || 0;
+    const index = {};
+    Object.entries(w.chunks).forEach(([key, cells]) => {
+      const n = Object.keys(cells || {}).length;
+      if (!n) return;
+      index[key] = n;
+      stores.chunks.put({ cells, seq }, [world, key]);
+    });
+    stores.meta.put({ seq, clearSeq: Number(snap.clearSeq) || 0, index: snap.index || index }, world);
+    const ids = new Set();
+    (w.history_v1 || []).concat(w.journal_v1 || []).forEach((p, i) => {
+      if (!p || typeof p !== 'object') return;
+      const id = p.id || `legacy-${i}`;
+      if (ids.has(id)) return;
+      ids.add(id);
+      stores.history.put({ ...p, id }, [world, id]);
+    });
+    if (w.cleared_v1) stores.archive.put(w.cleared_v1, world);
+  });
+  return moved;
+}
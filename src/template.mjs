@@ -0,0 +1,144 @@
+/* Templates: a reference image quantized to the palette and laid over the grid, so a
+   team can see which cells still differ from the artwork they coordinate on
+   - {name, width, height, cells}: cells hold palette indices (-1: see-through), row by row
+   - placed with its top-left cell at (x, y) and scaled to `size` cells across;
+     grid cells sample it nearest-neighbor
+   - shared as a JSON file (TEMPLATE_FORMAT) with a character per cell
+   DOM-free: the client decodes images and draws, this does the rest.
+*/
+
+import { activeColors } from './palette.mjs';
+import { parseColor } from './pixel-buffer.mjs';
+
+export const TEMPLATE_FORMAT = 'pixel-planet-template';
+export const TEMPLATE_VERSION = 1;
+export const MAX_TEMPLATE_SIDE = 512; // cells a template keeps per side; images are shrunk to fit
+const CELL_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'; // index => char
+const SEE_THROUGH = '.';
+
+// rgba (w×h, e.g. from getImageData) to the nearest placeable palette colors; mostly
+// transparent pixels stay see-through
+export function quantize(rgba, width, height, palette) {
+  const colors = activeColors(palette).map(ci => [ci, parseColor(palette.colors[ci].hex)]);
+  const cells = new Int16Array(width * height);
+  const cache = new Map(); // rgb => index
+  for (let i = 0; i < cells.length; i++) {
+    const r = rgba[i * 4], g = rgba[i * 4 + 1], b = rgba[i * 4 + 2];
+    if (rgba[i * 4 + 3] < 128) {
+      cells[i] = -1;
+      continue;
+    }
+    const rgb = (r << 16) | (g << 8) | b;
+    let best = cache.get(rgb);
+    if (best === undefined) {
+      let bestDist = Infinity;
+      colors.forEach(([ci, c]) => {
+        // weighted for the eye's sensitivity to green
+        const dist = 2 * (r - c[0]) ** 2 + 4 * (g - c[1]) ** 2 + 3 * (b - c[2]) ** 2;
+        if (dist < bestDist) {
+          bestDist = dist;
+          best = ci;
+        }
+      });
+      cache.set(rgb, best);
+    }
+    cells[i] = best;
+  }
+  return cells;
+}
+
+// a template placed on world; throws with a user-facing message
+export function createTemplate({ name = 'Template', width, height, cells, x = 0, y = 0, size = width, opacity = 0.5 }, world) {
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1 ||
+      width > MAX_TEMPLATE_SIDE || height > MAX_TEMPLATE_SIDE || !cells || cells.length !== width * height) {
+    throw new Error('That template is damaged');
+  }
+  const tpl = { name: String(name).replace(/[<>]/g, '').slice(0, 40) || 'Template', width, height, cells: Int16Array.from(cells) };
+  return placeTemplate(tpl, { x, y, size, opacity }, world);
+}
+
+// tpl moved, scaled or faded; returns a new template, clamped to the world
+export function placeTemplate(tpl, { x = tpl.x, y = tpl.y, size = tpl.size, opacity = tpl.opacity }, world) {
+  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+  size = clamp(Math.round(Number(size) || tpl.width), 1, Math.max(world.width, world.height));
+  return {
+    ...tpl,
+    size,
+    rows: Math.max(1, Math.round(size * tpl.height / tpl.width)),
+    x: clamp(Math.round(Number(x) || 0), 1 - size, world.width - 1),
+    y: clamp(Math.round(Number(y) || 0), 1 - size, world.height - 1),
+    opacity: clamp(Number(opacity) || 0.5, 0.1, 1)
+  };
+}
+
+// the palette index the template wants at a grid cell: -1 see-through, undefined outside it
+export function templateCellAt(tpl, gx, gy) {
+  const u = gx - tpl.x, v = gy - tpl.y;
+  if (u < 0 || v < 0 || u >= tpl.size || v >= tpl.rows) return undefined;
+  return tpl.cells[Math.floor(v * tpl.height / tpl.rows) * tpl.width + Math.floor(u * tpl.width / tpl.size)];
+}
+
+/* Compare the template with the planet. cellAt(x, y) gives the painted index, null
+   for blank, undefined when not known (a chunk still loading). Returns {total, done,
+   wrong: [[x, y, ci]]} over the known planet cells the template colors. */
+export function diffTemplate(tpl, world, cellAt) {
+  const wrong = [];
+  let total = 0;
+  const x0 = Math.max(0, tpl.x), y0 = Math.max(0, tpl.y);
+  const x1 = Math.min(world.width, tpl.x + tpl.size), y1 = Math.min(world.height, tpl.y + tpl.rows);
+  for (let gy = y0; gy < y1; gy++) {
+    for (let gx = x0; gx < x1; gx++) {
+      const want = templateCellAt(tpl, gx, gy);
+      if (want < 0 || !world.isOnPlanet(gx, gy)) continue;
+      const have = cellAt(gx, gy);
+      if (have === undefined) continue;
+      total++;
+      if (have !== want) wrong.push([gx, gy, want]);
+    }
+  }
+  return { total, done: total - wrong.length, wrong };
+}
+
+// the differing cell nearest (gx, gy) whose color can still be placed, or null
+export function nextPixel(diff, palette, gx, gy) {
+  const placeable = new Set(activeColors(palette));
+  let best = null, bestDist = Infinity;
+  diff.wrong.forEach(cell => {
+    if (!placeable.has(cell[2])) return;
+    const dist = (cell[0] - gx) ** 2 + (cell[1] - gy) ** 2;
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = cell;
+    }
+  });
+  return best;
+}
+
+// the shareable file (and what is kept in storage)
+export function encodeTemplate(tpl, world) {
+  return {
+    format: TEMPLATE_FORMAT,
+    version: TEMPLATE_VERSION,
+    name: tpl.name,
+    world: world.id,
+    palette: world.palette.id,
+    x: tpl.x,
+    y: tpl.y,
+    size: tpl.size,
+    opacity: tpl.opacity,
+    width: tpl.width,
+    height: tpl.height,
+    cells: Array.from(tpl.cells, ci => (ci < 0 ? SEE_THROUGH : CELL_CHARS[ci])).join('')
+  };
+}
+
+// a template file back into a template for world; throws with a user-facing message
+export function decodeTemplate(data, world) {
+  if (!data || data.format !== TEMPLATE_FORMAT) throw new Error('Not a template file');
+  if (data.version > TEMPLATE_VERSION) throw new Error('This template needs a newer version of the page');
+  if (data.palette && data.palette !== world.palette.id) throw new Error('This template was made for another palette');
+  if (typeof data.cells !== 'string' || /[^A-Za-z0-9+/.]/.test(data.cells)) throw new Error('That template is damaged');
+  const cells = Array.from(data.cells, ch => (ch === SEE_THROUGH ? -1 : CELL_CHARS.indexOf(ch)));
+  if (cells.some(ci => ci >= world.palette.colors.length)) throw new Error('That template uses colors this palette lacks');
+  return createTemplate({ ...data, cells }, world);
+}
@@ -0,0 +1,76 @@
+/* The view: pan and zoom over a world, in plain numbers
+   - world units are screen pixels at 100%, with the planet centered on the origin;
+     a view {x, y, zoom} puts the world point (-x, -y) in the middle of the canvas
+   - cells are world.scale units a side, counted (gx, gy) from the top-left
+   - links carry a view in the URL hash: #x=40&y=72&z=3 centers cell (40, 72) at zoom 3,
+     and cell=gx,gy marks a cell
+   DOM-free: the page (script.js) feeds it canvas sizes and pointer positions.
+*/
+
+import { DEFAULT_WORLD } from './world.mjs';
+
+export const MIN_ZOOM = 0.35, MAX_ZOOM = 4; // big worlds may zoom out further, to fit
+
+// the world point under (cx, cy), in pixels from the top-left of a w×h canvas
+export function canvasToWorld(view, w, h, cx, cy) {
+  return { x: (cx - w / 2) / view.zoom - view.x, y: (cy - h / 2) / view.zoom - view.y };
+}
+// the cell a world point falls in (may be off the grid)
+export function worldToGrid(world, wx, wy) {
+  const localX = wx + world.width * world.scale / 2;
+  const localY = wy + world.height * world.scale / 2;
+  return { gx: Math.floor(localX / world.scale), gy: Math.floor(localY / world.scale) };
+}
+// [x0, y0, x1, y1]: the cells on a w×h canvas, inclusive (past the grid's edges when zoomed out)
+export function cellsInView(world, view, w, h) {
+  const a = worldToGrid(world, -w / 2 / view.zoom - view.x, -h / 2 / view.zoom - view.y);
+  const b = worldToGrid(world, w / 2 / view.zoom - view.x, h / 2 / view.zoom - view.y);
+  return [a.gx, a.gy, b.gx, b.gy];
+}
+// world units of a cell's top-left corner
+export function gridToWorld(world, gx, gy) {
+  return { x: (gx - world.width / 2) * world.scale, y: (gy - world.height / 2) * world.scale };
+}
+
+// the zoom that fits the whole world on a w×h canvas, with a margin
+export function fitZoom(world, w, h) {
+  return Math.min(w / (world.width * world.scale), h / (world.height * world.scale)) * 0.9;
+}
+// {min, max}: big worlds may zoom out until they fit, small cells may zoom in further
+export function zoomRange(world, w, h) {
+  return { min: Math.min(MIN_ZOOM, fitZoom(world, w, h)), max: MAX_ZOOM * DEFAULT_WORLD.scale / world.scale };
+}
+
+// the cell position in the middle of the view (80.5 is the middle of cell 80)
+export function viewCenter(world, view) {
+  return { x: world.width / 2 - view.x / world.scale, y: world.height / 2 - view.y / world.scale };
+}
+// the view offsets {x, y} that put cell position (x, y) in the middle
+export function centerOn(world, x, y) {
+  return { x: (world.width / 2 - x) * world.scale, y: (world.height / 2 - y) * world.scale };
+}
+
+// the hash of a link to the view, marking cell ({gx, gy}) when given
+export function viewHash(world, view, cell = null) {
+  const c = viewCenter(world, view);
+  const hash = `#x=${Math.floor(c.x)}&y=${Math.floor(c.y)}&z=${Math.round(view.zoom * 100) / 100}`;
+  return cell ? `${hash}&cell=${cell.gx},${cell.gy}` : hash;
+}
+/* A link's hash as {x, y, zoom, cell}: the view offsets that center its cell (clamped to
+   the world), its zoom (undefined without one; the page clamps it) and the cell it marks
+   (null without one, or off the planet); null when it names no place */
+export function parseViewHash(world, hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const num = k => (params.has(k) && Number.isFinite(Number(params.get(k))) ? Number(params.get(k)) : null);
+  const m = /^(\d+),(\d+)$/.exec(params.get('cell') || '');
+  const cell = m && world.isOnPlanet(Number(m[1]), Number(m[2])) ? { gx: Number(m[1]), gy: Number(m[2]) } : null;
+  let x = num('x'), y = num('y');
+  if (x === null || y === null) {
+    if (!cell) return null;
+    [x, y] = [cell.gx, cell.gy];
+  }
+  const gx = Math.max(0, Math.min(world.width - 1, Math.floor(x)));
+  const gy = Math.max(0, Math.min(world.height - 1, Math.floor(y)));
+  const z = num('z');
+  return { ...centerOn(world, gx + 0.5, gy + 0.5), zoom: z > 0 ? z : undefined, cell };
+}
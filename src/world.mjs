@@ -0,0 +1,125 @@
+/* World definitions: grid size, display scale, planet mask and palette
+   - a world is plain JSON (see worlds/*.json); createWorld() adds the mask test and chunk math
+   - palette: a hex list or a palette object (src/palette.mjs); world.palette is
+     the live one and may be replaced by edits, world.def keeps the definition
+   - mask types: circle (the classic planet), ellipse, ring ({inner: 0..1}),
+     rect, image ({src}: opaque, non-black pixels are planet; see maskFromRGBA)
+   Shared by the client, the server and the benchmark, so no DOM in here.
+*/
+import { createPalette, normalizePalette } from './palette.mjs';
+
+export const CHUNK_SIZE = 64; // cells per chunk side
+export const MAX_WORLD_SIZE = 4096;
+export const DEFAULT_PALETTE = createPalette();
+export const DEFAULT_WORLD = {
+  id: 'classic',
+  name: 'Pixel Planet',
+  width: 160,
+  height: 160,
+  scale: 4, // world units per cell at 100% zoom
+  mask: { type: 'circle' },
+  palette: DEFAULT_PALETTE
+};
+const MASK_TYPES = ['circle', 'ellipse', 'ring', 'rect', 'image'];
+
+// Normalize a (possibly hand-written) definition; throws on anything unusable
+export function normalizeWorldDef(def) {
+  if (!def || typeof def !== 'object') throw new Error('world: definition missing');
+  const id = String(def.id || '').trim();
+  if (!/^[a-z0-9_-]{1,32}$/i.test(id)) throw new Error('world: id must be 1-32 letters, digits, - or _');
+  const width = Number(def.width), height = Number(def.height);
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 8 || height < 8 ||
+      width > MAX_WORLD_SIZE || height > MAX_WORLD_SIZE) {
+    throw new Error(`world: width/height must be integers 8-${MAX_WORLD_SIZE}`);
+  }
+  const mask = def.mask && typeof def.mask === 'object' ? { ...def.mask } : { type: 'circle' };
+  if (!MASK_TYPES.includes(mask.type)) throw new Error(`world: unknown mask type "${mask.type}"`);
+  if (mask.type === 'ring') mask.inner = Math.min(0.95, Math.max(0, Number(mask.inner) || 0.5));
+  if (mask.type === 'image' && typeof mask.src !== 'string') throw new Error('world: image mask needs a src');
+  const palette = Array.isArray(def.palette) ? createPalette(def.palette, { id, name: String(def.name || id) })
+    : def.palette ? normalizePalette(def.palette) : DEFAULT_PALETTE;
+  return {
+    id,
+    name: String(def.name || id).slice(0, 60),
+    width, height,
+    scale: Math.max(1, Math.min(16, Number(def.scale) || 4)),
+    mask,
+    palette
+  };
+}
+
+/* Build a world from its definition. Image masks need their decoded pixels
+   (maskFromRGBA) as `maskBits`; until then every cell of the rectangle counts. */
+export function createWorld(def = DEFAULT_WORLD, maskBits = null) {
+  const d = normalizeWorldDef(def);
+  const { width, height } = d;
+  const cx = width/2 - 0.5, cy = height/2 - 0.5;
+  const r = Math.min(width, height) / 2;
+  const rx = width / 2, ry = height / 2;
+  const inner = d.mask.type === 'ring' ? r * d.mask.inner : 0;
+
+  function inShape(gx, gy) {
+    const dx = gx - cx, dy = gy - cy;
+    switch (d.mask.type) {
+      case 'circle': return (dx*dx + dy*dy) <= (r*r);
+      case 'ellipse': return (dx*dx)/(rx*rx) + (dy*dy)/(ry*ry) <= 1;
+      case 'ring': { const d2 = dx*dx + dy*dy; return d2 <= r*r && d2 >= inner*inner; }
+      case 'image': return maskBits ? maskBits[gy * width + gx] === 1 : true;
+      default: return true;
+    }
+  }
+
+  return {
+    def: d,
+    id: d.id,
+    name: d.name,
+    width, height,
+    scale: d.scale,
+    mask: d.mask,
+    palette: d.palette,
+    chunkSize: CHUNK_SIZE,
+    chunksX: Math.ceil(width / CHUNK_SIZE),
+    chunksY: Math.ceil(height / CHUNK_SIZE),
+    // Planet mask test (grid coords)
+    isOnPlanet(gx, gy) {
+      if (!Number.isInteger(gx) || !Number.isInteger(gy) || gx < 0 || gy < 0 || gx >= width || gy >= height) return false;
+      return inShape(gx, gy);
+    },
+    chunkKey(gx, gy) {
+      return `${Math.floor(gx / CHUNK_SIZE)},${Math.floor(gy / CHUNK_SIZE)}`;
+    },
+    // top-left cell and size of a chunk (edge chunks are smaller)
+    chunkBounds(key) {
+      const [kx, ky] = key.split(',').map(Number);
+      const x = kx * CHUNK_SIZE, y = ky * CHUNK_SIZE;
+      return { x, y, w: Math.min(CHUNK_SIZE, width - x), h: Math.min(CHUNK_SIZE, height - y) };
+    },
+    // keys of chunks touching the cell rectangle [x0,x1) x [y0,y1)
+    chunksInRect(x0, y0, x1, y1) {
+      const keys = [];
+      const kx0 = Math.max(0, Math.floor(x0 / CHUNK_SIZE)), ky0 = Math.max(0, Math.floor(y0 / CHUNK_SIZE));
+      const kx1 = Math.min(this.chunksX - 1, Math.floor((x1 - 1) / CHUNK_SIZE));
+      const ky1 = Math.min(this.chunksY - 1, Math.floor((y1 - 1) / CHUNK_SIZE));
+      for (let ky = ky0; ky <= ky1; ky++) {
+        for (let kx = kx0; kx <= kx1; kx++) keys.push(`${kx},${ky}`);
+      }
+      return keys;
+    }
+  };
+}
+
+/* Turn decoded image pixels (RGBA, imgW x imgH) into a width x height mask,
+   sampled nearest-neighbour: 1 where the pixel is opaque and not black. */
+export function maskFromRGBA(rgba, imgW, imgH, width, height) {
+  const bits = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(imgH - 1, Math.floor((y + 0.5) * imgH / height));
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(imgW - 1, Math.floor((x + 0.5) * imgW / width));
+      const i = (sy * imgW + sx) * 4;
+      const lum = (rgba[i] + rgba[i + 1] + rgba[i + 2]) / 3;
+      bits[y * width + x] = rgba[i + 3] >= 128 && lum >= 32 ? 1 : 0;
+    }
+  }
+  return bits;
+}
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld } from '../src/world.mjs';
+import { COOLDOWN } from '../src/rules.mjs';
+import { createIdentity, signPlacement } from '../src/identity.mjs';
+import { createPlanet } from '../src/planet.mjs';
+import { API_EVENTS, createPlanetAPI } from '../src/api.mjs';
+
+// the API over a headless planet on a clock the test moves
+function setup() {
+  const clock = { t: 1000000 };
+  const planet = createPlanet({ world: createWorld(), now: () => clock.t });
+  return { planet, pp: createPlanetAPI(planet), clock };
+}
+
+test('place: a palette index or hex, under the cooldown a click has', () => {
+  const { planet, pp, clock } = setup();
+  const hex = planet.world.palette.colors[3].hex;
+  const verdict = pp.place(80, 80, hex.toUpperCase());
+  assert.equal(verdict.ok, true);
+  assert.deepEqual([verdict.placement.ci, verdict.placement.uid], [3, planet.identity.id]);
+  assert.equal(pp.getPixel(80, 80).ci, 3);
+  assert.equal(pp.cooldown(), COOLDOWN);
+
+  clock.t += COOLDOWN - 1;
+  const early = pp.place(81, 80, 2);
+  assert.deepEqual([early.ok, early.code, early.wait], [false, 'cooldown', 1]);
+  assert.equal(pp.getPixel(81, 80), null);
+  clock.t += 1;
+  assert.equal(pp.cooldown(), 0);
+  assert.equal(pp.place(81, 80, 2).ok, true);
+
+  clock.t += COOLDOWN;
+  assert.equal(pp.place(82, 80, '#123456').code, 'color'); // not in the palette
+  assert.equal(pp.place(82, 80, 'red').code, 'color');
+});
+
+test('on and off: every placement, ours and others, until unsubscribed', () => {
+  const { planet, pp, clock } = setup();
+  const seen = [];
+  const cb = p => seen.push([p.x, p.nick]);
+  const unsubscribe = pp.on('place', cb);
+  pp.place(80, 80, 1);
+  const bob = createIdentity('bob');
+  const p = { x: 70, y: 70, ci: 2, t: clock.t, nick: 'bob', uid: bob.id, id: 'bob-1' };
+  p.sig = signPlacement(p, bob);
+  planet.receive(p);
+  assert.deepEqual(seen, [[80, ''], [70, 'bob']]);
+
+  unsubscribe();
+  clock.t += COOLDOWN;
+  pp.place(81, 80, 1);
+  pp.on('place', cb);
+  pp.off('place', cb);
+  clock.t += COOLDOWN;
+  pp.place(82, 80, 1);
+  assert.equal(seen.length, 2);
+
+  const cleared = [];
+  pp.on('clear', e => cleared.push(e.seq));
+  planet.clear();
+  assert.deepEqual(cleared, [planet.seq]);
+  assert.deepEqual(API_EVENTS, ['place', 'clear', 'sync']);
+  assert.throws(() => pp.on('placed', cb), TypeError);
+  assert.throws(() => pp.on('place', 'cb'), TypeError);
+});
+
+test('on: a listener that throws is logged and the others still hear', (t) => {
+  const { pp } = setup();
+  const logged = t.mock.method(console, 'error', () => {});
+  const heard = [];
+  pp.on('place', () => { throw new Error('broken overlay'); });
+  pp.on('place', p => heard.push(p.x));
+  assert.equal(pp.place(80, 80, 1).ok, true);
+  assert.deepEqual(heard, [80]);
+  assert.equal(logged.mock.callCount(), 1);
+});
+
+test('snapshots: frozen copies that later placements leave alone', () => {
+  const { planet, pp, clock } = setup();
+  pp.place(80, 80, 1);
+  let passed = null;
+  pp.on('place', p => { passed = p; });
+  const state = pp.getState();
+  const history = pp.getHistory();
+  const pixel = pp.getPixel(80, 80);
+  [state, state.pixels, state.pixels['80,80'], state.world, state.palette, history, history[0], pixel]
+    .forEach(o => assert.ok(Object.isFrozen(o)));
+  assert.equal(state.world.palette, undefined);
+  assert.throws(() => { pixel.ci = 5; }, TypeError);
+  assert.throws(() => { history.push({}); }, TypeError);
+  assert.notEqual(history, planet.history);
+
+  clock.t += COOLDOWN;
+  pp.place(80, 80, 4);
+  assert.ok(Object.isFrozen(passed));
+  assert.notEqual(passed, planet.history.at(-1));
+  assert.equal(pixel.ci, 1);
+  assert.equal(history.length, 1);
+  assert.deepEqual(Object.keys(state.pixels), ['80,80']);
+  assert.equal(state.pixels['80,80'].ci, 1);
+  assert.equal(pp.getHistory().length, 2);
+  assert.equal(planet.pixel(80, 80).ci, 4);
+});
+
+test('setView: takes any of x, y and zoom, and refuses what is not a number', () => {
+  const { pp } = setup();
+  const start = pp.getView();
+  assert.deepEqual(pp.setView({ zoom: 2 }), { ...start, zoom: 2 });
+  assert.deepEqual(pp.setView({ x: 40.5, y: 12 }), { x: 40.5, y: 12, zoom: 2 });
+  assert.deepEqual(pp.setView(), { x: 40.5, y: 12, zoom: 2 });
+  [{ x: '10' }, { y: NaN }, { zoom: Infinity }, { x: 10, zoom: null }].forEach(bad => {
+    assert.throws(() => pp.setView(bad), TypeError);
+  });
+  assert.deepEqual(pp.getView(), { x: 40.5, y: 12, zoom: 2 }); // nothing of a refused view is taken
+  assert.ok(Object.isFrozen(pp.getView()));
+});
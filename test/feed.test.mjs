@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { regionTest } from '../src/moderation.mjs';
+import { feedFilter, feedPage, overwrote } from '../src/feed.mjs';
+
+// alice and bob take turns along row 70, alternating colors; the oldest is id 0
+const history = Array.from({ length: 12 }, (_, i) => ({
+  x: 60 + i, y: 70, ci: i % 2 ? 3 : 1, t: 1000 + i, nick: i % 3 ? 'alice' : 'bob', uid: i % 3 ? 'a' : 'b', id: String(i)
+}));
+const ids = page => page.entries.map(e => Number(e.id));
+
+test('feedFilter: by person, color and region, together', () => {
+  assert.equal(history.filter(feedFilter()).length, 12);
+  assert.deepEqual(history.filter(feedFilter({ who: 'uid:b' })).map(e => Number(e.id)), [0, 3, 6, 9]);
+  assert.deepEqual(history.filter(feedFilter({ ci: 3 })).map(e => Number(e.id)), [1, 3, 5, 7, 9, 11]);
+  const region = { rect: [62, 70, 66, 70] };
+  assert.deepEqual(history.filter(feedFilter({ who: 'uid:a', ci: 1, region })).map(e => Number(e.id)), [2, 4]);
+});
+
+test('feedPage: newest first, a page at a time back to the oldest', () => {
+  const all = feedFilter();
+  const first = feedPage(history, all, { limit: 5 });
+  assert.deepEqual(ids(first), [11, 10, 9, 8, 7]);
+  assert.equal(first.next, 7);
+  const second = feedPage(history, all, { before: first.next, limit: 5 });
+  assert.deepEqual(ids(second), [6, 5, 4, 3, 2]);
+  const last = feedPage(history, all, { before: second.next, limit: 5 });
+  assert.deepEqual([ids(last), last.next], [[1, 0], 0]);
+});
+
+test('feedPage: filtered pages skip what does not match, and know when nothing older does', () => {
+  const bob = feedFilter({ who: 'uid:b' });
+  const first = feedPage(history, bob, { limit: 3 });
+  assert.deepEqual([ids(first), first.next], [[9, 6, 3], 1]);
+  assert.deepEqual(ids(feedPage(history, bob, { before: first.next })), [0]);
+  // the last match shown was the oldest there is: no page after it
+  assert.equal(feedPage(history, feedFilter({ ci: 3 }), { limit: 6 }).next, 0);
+  assert.deepEqual(feedPage([], bob), { entries: [], next: 0 });
+});
+
+test('overwrote: someone else taking a painted cell inside the watched region', () => {
+  const inside = regionTest({ rect: [60, 60, 80, 80] });
+  const p = history[0]; // bob's, at (60,70)
+  const prev = { ci: 2, t: 900, nick: 'alice' };
+  assert.equal(overwrote(p, { prev, won: true }, inside, 'uid:a'), true);
+  assert.equal(overwrote(p, { prev, won: true }, inside, 'uid:b'), false); // my own
+  assert.equal(overwrote(p, { prev: null, won: true }, inside, 'uid:a'), false); // a blank cell
+  assert.equal(overwrote(p, { prev, won: false }, inside, 'uid:a'), false); // a later write holds it
+  assert.equal(overwrote({ ...p, x: 10 }, { prev, won: true }, inside, 'uid:a'), false); // outside
+});
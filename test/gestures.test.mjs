@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TAP_SLOP, LONG_PRESS, createGestures } from '../src/gestures.mjs';
+
+// gestures on mocked timers, and what they reported
+function setup(t) {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const seen = [];
+  const g = createGestures({
+    tap: (x, y) => seen.push(['tap', x, y]),
+    longPress: (x, y) => seen.push(['longPress', x, y]),
+    pan: (dx, dy) => seen.push(['pan', dx, dy]),
+    pinch: (scale, x, y) => seen.push(['pinch', scale, x, y])
+  });
+  return { g, seen };
+}
+
+test('tap: down and up in place taps once, where it went down', (t) => {
+  const { g, seen } = setup(t);
+  g.down(1, 100, 100);
+  g.move(1, 103, 98);
+  g.up(1);
+  g.up(1); // a second up (another event for the same pointer) does nothing
+  assert.deepEqual(seen, [['pan', 3, -2], ['tap', 100, 100]]);
+  assert.equal(g.active, false);
+});
+
+test('drag: pans by each move and does not tap', (t) => {
+  const { g, seen } = setup(t);
+  g.down(1, 100, 100);
+  g.move(1, 100 + TAP_SLOP, 100);
+  g.move(1, 90, 110);
+  g.up(1);
+  t.mock.timers.tick(LONG_PRESS);
+  assert.deepEqual(seen, [['pan', TAP_SLOP, 0], ['pan', -TAP_SLOP - 10, 10]]);
+});
+
+test('long press: held still inspects, then neither taps nor pans', (t) => {
+  const { g, seen } = setup(t);
+  g.down(1, 50, 60);
+  t.mock.timers.tick(LONG_PRESS - 1);
+  assert.deepEqual(seen, []);
+  t.mock.timers.tick(1);
+  g.move(1, 80, 60);
+  g.up(1);
+  assert.deepEqual(seen, [['longPress', 50, 60]]);
+});
+
+test('pinch: two fingers zoom about their midpoint and pan with it, without tapping', (t) => {
+  const { g, seen } = setup(t);
+  g.down(1, 100, 100);
+  g.down(2, 200, 100);
+  g.move(2, 300, 100); // spread: twice as far apart, midpoint 50 px right
+  assert.deepEqual(seen, [['pan', 50, 0], ['pinch', 2, 200, 100]]);
+  seen.length = 0;
+  g.move(1, 100, 120); // both together: a pan, the distance barely changes
+  assert.equal(seen[0][0], 'pan');
+  assert.deepEqual(seen[0].slice(1), [0, 10]);
+  // fingers lift one by one: the one left pans on, and no tap or long press follows
+  seen.length = 0;
+  g.up(1);
+  g.move(2, 290, 100);
+  g.up(2);
+  t.mock.timers.tick(LONG_PRESS);
+  assert.deepEqual(seen, [['pan', -10, 0]]);
+});
+
+test('cancel: the browser taking the pointer leaves no tap', (t) => {
+  const { g, seen } = setup(t);
+  g.down(7, 10, 10);
+  g.cancel(7);
+  g.up(7);
+  t.mock.timers.tick(LONG_PRESS);
+  assert.deepEqual(seen, []);
+  assert.equal(g.active, false);
+  // unknown pointers (a mouse hovering meanwhile) are ignored
+  g.move(8, 1, 1);
+  assert.deepEqual(seen, []);
+});
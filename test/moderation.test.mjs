@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIdentity } from '../src/identity.mjs';
+import { createWorld } from '../src/world.mjs';
+import { createChunkStore, cellOf } from '../src/chunks.mjs';
+import { auditEntry, verifyAudit, planUndo } from '../src/moderation.mjs';
+
+test('auditEntry: a tab signs its entries, and only the uid they name passes', () => {
+  const admin = createIdentity('boss'), mallory = createIdentity('m');
+  const entry = auditEntry({ kind: 'clear' }, { seq: 5, by: 'boss', count: 3, identity: admin, now: 1000 });
+  assert.equal(entry.uid, admin.id);
+  assert.equal(verifyAudit(entry), true);
+  assert.equal(verifyAudit(JSON.parse(JSON.stringify(entry))), true); // as another tab gets it
+  // another action, time or author under the same signature
+  assert.equal(verifyAudit({ ...entry, action: { kind: 'undo-clear' } }), false);
+  assert.equal(verifyAudit({ ...entry, t: 2000 }), false);
+  assert.equal(verifyAudit({ ...auditEntry({ kind: 'clear' }, { seq: 5, identity: mallory }), uid: admin.id }), false);
+  // a server's entries are unsigned
+  assert.equal(verifyAudit(auditEntry({ kind: 'clear' }, { seq: 6, uid: admin.id })), false);
+});
+
+test('planUndo: a history window falls back on what was trimmed, and refuses reaching past it', () => {
+  // alice painted (80,80) and (81,80) long ago; those placements were trimmed from history
+  const old = [{ x: 80, y: 80, ci: 3, t: 1000, uid: 'a', id: 'p1' }, { x: 81, y: 80, ci: 3, t: 1100, uid: 'a', id: 'p2' }];
+  const store = createChunkStore(createWorld());
+  old.forEach(e => store.set(e.x, e.y, cellOf(e)));
+  const trimmed = { t: 1100, store };
+  const history = [
+    { x: 80, y: 80, ci: 5, t: 5000, uid: 'v', id: 'v1' },
+    { x: 82, y: 80, ci: 5, t: 5100, uid: 'v', id: 'v2' },
+    { x: 81, y: 80, ci: 4, t: 6000, uid: 'b', id: 'b1' }
+  ];
+  const revert = planUndo(history, { kind: 'revert', uid: 'v', since: 2000 }, trimmed);
+  assert.deepEqual(revert.removed.map(e => e.id), ['v1', 'v2']);
+  assert.deepEqual(revert.cells.map(([x, y, e]) => [x, y, e && e.id]), [[80, 80, 'p1'], [82, 80, null]]);
+  const rollback = planUndo(history, { kind: 'rollback', region: { rect: [80, 80, 81, 80] }, to: 1100 }, trimmed);
+  assert.deepEqual(rollback.cells.map(([x, y, e]) => [x, y, e && e.id]), [[80, 80, 'p1'], [81, 80, 'p2']]);
+
+  assert.throws(() => planUndo(history, { kind: 'revert', uid: 'v', since: 1100 }, trimmed), /no longer kept/);
+  assert.throws(() => planUndo(history, { kind: 'rollback', region: { rect: [80, 80, 81, 80] }, to: 1099 }, trimmed), /no longer kept/);
+  // a complete history: a cell with nothing left goes blank
+  assert.equal(planUndo(history, { kind: 'revert', uid: 'v', since: 0 }).cells[0][2], null);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld } from '../src/world.mjs';
+import { createChunkStore } from '../src/chunks.mjs';
+import { PLANET_FORMAT, encodePlanet, decodePlanet, importPlanet } from '../src/planet-file.mjs';
+
+const world = createWorld();
+// a planet file holding placements, each also a pixel unless a later one took its cell
+function file(history, { pixelIds = true } = {}) {
+  const store = createChunkStore(world);
+  history.forEach(p => {
+    const had = store.get(p.x, p.y);
+    if (!had || had.t <= p.t) store.set(p.x, p.y, { ci: p.ci, t: p.t, nick: p.nick, ...(pixelIds && p.id ? { id: p.id } : {}) });
+  });
+  return encodePlanet(world, store, history, 5000);
+}
+const empty = () => ({ store: createChunkStore(world), history: [] });
+
+test('decodePlanet: placements without an id get one from what they hold, the same every time', () => {
+  const data = file([
+    { x: 80, y: 80, ci: 3, t: 1000, nick: 'alice', uid: 'a1' },
+    { x: 81, y: 80, ci: 2, t: 1000, nick: 'alice', uid: 'a1' },
+    { x: 80, y: 80, ci: 4, t: 1000, nick: 'bob', id: 'bad id!' }
+  ]);
+  const ids = decodePlanet(data, world).history.map(e => e.id);
+  assert.equal(new Set(ids).size, 3);
+  ids.forEach(id => assert.match(id, /^[\w-]{1,64}$/));
+  assert.deepEqual(decodePlanet(data, world).history.map(e => e.id), ids);
+});
+
+test('importPlanet: merging two files whose placements lack ids keeps both histories', () => {
+  const a = decodePlanet(file([{ x: 80, y: 80, ci: 3, t: 1000, nick: 'alice' }, { x: 81, y: 80, ci: 3, t: 2000, nick: 'alice' }]), world);
+  const b = decodePlanet(file([{ x: 90, y: 80, ci: 5, t: 1500, nick: 'bob' }, { x: 91, y: 80, ci: 5, t: 2500, nick: 'bob' }]), world);
+  const once = importPlanet(world, a, 'merge', empty(), 1);
+  const twice = importPlanet(world, b, 'merge', once, 3);
+  assert.deepEqual(twice.history.map(e => [e.x, e.t, e.seq]), [[80, 1000, 3], [90, 1500, 4], [81, 2000, 5], [91, 2500, 6]]);
+  // the same file again adds nothing
+  assert.equal(importPlanet(world, b, 'merge', twice, 7).history.length, 4);
+});
+
+test('importPlanet: cells and history settle ties as live placements do', () => {
+  const planet = importPlanet(world, decodePlanet(file([{ x: 80, y: 80, ci: 3, t: 1000, nick: 'alice', id: 'm' }]), world), 'replace', empty(), 1);
+  // the file's placement has the planet's time and a greater id: it was written last
+  const later = decodePlanet(file([{ x: 80, y: 80, ci: 5, t: 1000, nick: 'bob', id: 'z' }]), world);
+  const merged = importPlanet(world, later, 'merge', planet, 2);
+  assert.deepEqual(merged.store.get(80, 80), { ci: 5, t: 1000, nick: 'bob', id: 'z' });
+  assert.equal(merged.count, 1);
+  assert.deepEqual(merged.history.map(e => e.id), ['m', 'z']);
+  // a smaller id loses the tie, and the order does not depend on which came in first
+  const earlier = decodePlanet(file([{ x: 80, y: 80, ci: 6, t: 1000, nick: 'carol', id: 'a' }]), world);
+  const kept = importPlanet(world, earlier, 'merge', merged, 4);
+  assert.equal(kept.store.get(80, 80).id, 'z');
+  assert.equal(kept.count, 0);
+  assert.deepEqual(kept.history.map(e => e.id), ['a', 'm', 'z']);
+});
+
+test('decodePlanet: pixels keep their ids, and take their placement id in files from before they had them', () => {
+  const history = [{ x: 80, y: 80, ci: 3, t: 1000, nick: 'alice', id: 'p1' }, { x: 80, y: 80, ci: 4, t: 2000, nick: 'bob', id: 'p2' }];
+  assert.deepEqual(decodePlanet(file(history), world).pixels, [[80, 80, { ci: 4, t: 2000, nick: 'bob', id: 'p2' }]]);
+  const old = file(history, { pixelIds: false });
+  assert.equal(old.format, PLANET_FORMAT);
+  assert.deepEqual(old.pixels['80,80'], { ci: 4, t: 2000, nick: 'bob' });
+  assert.deepEqual(decodePlanet(old, world).pixels, [[80, 80, { ci: 4, t: 2000, nick: 'bob', id: 'p2' }]]);
+});
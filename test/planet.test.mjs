@@ -0,0 +1,263 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld } from '../src/world.mjs';
+import { COOLDOWN, MAX_CLOCK_SKEW, SERVER_CLOCK_SKEW, validatePlacement } from '../src/rules.mjs';
+import { chunksFromFlat } from '../src/chunks.mjs';
+import { createIdentity, signPlacement } from '../src/identity.mjs';
+import { createPlanet, PEER_GRACE } from '../src/planet.mjs';
+
+// a planet on a clock the test moves, and what it emitted
+function setup(opts = {}) {
+  const clock = { t: 1000000 };
+  const planet = createPlanet({ world: createWorld(), now: () => clock.t, ...opts });
+  const emitted = [];
+  ['place', 'clear', 'sync'].forEach(type => planet.events.on(type, (arg, info) => emitted.push({ type, arg, info })));
+  return { planet, clock, emitted };
+}
+// someone else's placement, signed
+function signed(identity, fields) {
+  const p = { nick: identity.name, uid: identity.id, id: `${identity.name}-${fields.x}-${fields.y}-${fields.t}`, ...fields };
+  p.sig = signPlacement(p, identity);
+  return p;
+}
+
+test('place: checked, signed, numbered and applied', () => {
+  const { planet, clock, emitted } = setup();
+  const verdict = planet.place(80, 80, 3);
+  assert.equal(verdict.ok, true);
+  const p = verdict.placement;
+  assert.deepEqual([p.x, p.y, p.ci, p.t, p.uid, p.seq], [80, 80, 3, clock.t, planet.identity.id, 1]);
+  assert.ok(p.sig);
+  assert.deepEqual(planet.pixel(80, 80), { ci: 3, t: clock.t, nick: '', id: p.id });
+  assert.deepEqual(planet.history, [p]);
+  assert.equal(planet.seq, 1);
+  assert.equal(emitted.length, 1);
+  assert.equal(emitted[0].arg, p);
+  assert.deepEqual(emitted[0].info, { local: true, quiet: false, prev: null, won: true });
+});
+
+test('place: refused off the planet and with a color the palette lacks', () => {
+  const { planet, emitted } = setup();
+  assert.equal(planet.place(0, 0, 1).code, 'bounds');
+  assert.equal(planet.place(80, 80, 99).code, 'color');
+  assert.equal(planet.history.length, 0);
+  assert.equal(emitted.length, 0);
+});
+
+test('cooldown: one placement per COOLDOWN, per identity', () => {
+  const { planet, clock } = setup();
+  assert.equal(planet.cooldown(), 0);
+  assert.equal(planet.place(80, 80, 1).ok, true);
+  assert.equal(planet.cooldown(), COOLDOWN);
+  clock.t += COOLDOWN / 2;
+  const early = planet.place(81, 80, 1);
+  assert.equal(early.code, 'cooldown');
+  assert.equal(early.wait, COOLDOWN / 2);
+  assert.equal(planet.pixel(81, 80), undefined);
+  clock.t += COOLDOWN / 2;
+  assert.equal(planet.place(81, 80, 1).ok, true);
+
+  // someone else isn't held up by our cooldown
+  const bob = createIdentity('bob');
+  assert.equal(planet.receive(signed(bob, { x: 70, y: 70, ci: 2, t: clock.t })).ok, true);
+});
+
+test('cooldown: other tabs get PEER_GRACE; a server is trusted', () => {
+  const { planet, clock } = setup();
+  const bob = createIdentity('bob');
+  assert.equal(planet.receive(signed(bob, { x: 70, y: 70, ci: 2, t: clock.t })).ok, true);
+  clock.t += COOLDOWN - PEER_GRACE;
+  assert.equal(planet.receive(signed(bob, { x: 71, y: 70, ci: 2, t: clock.t })).ok, true);
+  assert.equal(planet.receive(signed(bob, { x: 72, y: 70, ci: 2, t: clock.t })).code, 'cooldown');
+  assert.equal(planet.receive(signed(bob, { x: 72, y: 70, ci: 2, t: clock.t }), { trusted: true }).ok, true);
+});
+
+test('receive: drops forged and repeated placements', () => {
+  const { planet, clock } = setup();
+  const bob = createIdentity('bob');
+  const p = signed(bob, { x: 70, y: 70, ci: 2, t: clock.t, seq: 4 });
+  assert.equal(planet.receive({ ...p, ci: 3 }).code, 'signature');
+  assert.equal(planet.receive(p).ok, true);
+  assert.equal(planet.seq, 4);
+  clock.t += COOLDOWN;
+  planet.receive(p);
+  assert.equal(planet.history.length, 1);
+  assert.ok(planet.has(p.id));
+});
+
+test('receive: refuses ids that are not plain, even signed ones', () => {
+  const { planet, clock } = setup();
+  const bob = createIdentity('bob');
+  ['x"><img src=x onerror=alert(1)>', '', 'a'.repeat(65), 'a b'].forEach(id => {
+    assert.equal(planet.receive(signed(bob, { x: 70, y: 70, ci: 2, t: clock.t, id })).code, 'invalid', JSON.stringify(id));
+  });
+  assert.equal(planet.receive(signed(bob, { x: 70, y: 70, ci: 2, t: clock.t, id: 'lq3x-Ab_9' })).ok, true);
+});
+
+test('clock skew: tabs allow a placement dated a little ahead, a server barely', () => {
+  const { planet, clock } = setup();
+  const bob = createIdentity('bob');
+  assert.equal(planet.receive(signed(bob, { x: 70, y: 70, ci: 2, t: clock.t + MAX_CLOCK_SKEW + 1 })).code, 'time');
+  const ahead = signed(bob, { x: 70, y: 70, ci: 2, t: clock.t + 30 * 1000 });
+  assert.equal(planet.receive(ahead).ok, true);
+  // a server refuses it: dated ahead, it would hold its cell against every later placement
+  const server = { now: clock.t, skew: SERVER_CLOCK_SKEW, signed: true };
+  assert.equal(validatePlacement(ahead, server).code, 'time');
+  assert.equal(validatePlacement({ ...ahead, t: clock.t + SERVER_CLOCK_SKEW }, { ...server, signed: false }).ok, true);
+});
+
+test('nextSeq: 0 leaves our placements for a server to number', () => {
+  const { planet } = setup({ nextSeq: () => 0 });
+  const p = planet.place(80, 80, 1).placement;
+  assert.equal(p.seq, undefined);
+  assert.equal(planet.confirm({ id: p.id, seq: 7 }), p);
+  assert.equal(p.seq, 7);
+  assert.equal(planet.seq, 7);
+  assert.equal(planet.confirm({ id: p.id, seq: 7 }), null); // old news
+});
+
+test('remove: takes a refused placement back, restoring the cell it covered', () => {
+  const { planet, clock } = setup({ nextSeq: () => 0 });
+  const first = planet.place(80, 80, 1).placement;
+  clock.t += COOLDOWN;
+  const prev = planet.pixel(80, 80);
+  const second = planet.place(80, 80, 2).placement;
+  assert.equal(planet.remove(second.id, prev), second);
+  assert.deepEqual(planet.pixel(80, 80), prev);
+  assert.deepEqual(planet.history, [first]);
+  assert.equal(planet.has(second.id), false);
+  assert.equal(planet.remove('nope'), null);
+});
+
+test('clear: wipes pixels and history, and numbers the clear', () => {
+  const { planet, emitted } = setup();
+  planet.place(80, 80, 1);
+  planet.clear(5);
+  assert.equal(planet.pixel(80, 80), undefined);
+  assert.equal(planet.history.length, 0);
+  assert.equal(planet.seq, 5);
+  assert.equal(planet.clearSeq, 5);
+  assert.deepEqual(emitted.at(-1), { type: 'clear', arg: { seq: 5 }, info: undefined });
+  // what was placed before the clear may be sent again, and takes
+  assert.equal(planet.has(emitted[0].arg.id), false);
+});
+
+test('merge: applies catch-up deltas in sequence order, quietly', () => {
+  const { planet, clock, emitted } = setup();
+  const bob = createIdentity('bob'), carol = createIdentity('carol');
+  const a = signed(bob, { x: 70, y: 70, ci: 1, t: clock.t - 2000, seq: 1 });
+  const b = signed(carol, { x: 70, y: 70, ci: 2, t: clock.t - 1000, seq: 2 });
+  const off = signed(carol, { x: 0, y: 0, ci: 2, t: clock.t, seq: 3 });
+  assert.deepEqual(planet.merge([off, b, a]), []);
+  // the later one wins the cell, whatever order the deltas came in
+  assert.equal(planet.pixel(70, 70).ci, 2);
+  assert.deepEqual(planet.history.map(e => e.seq), [1, 2]);
+  assert.equal(planet.seq, 2);
+  assert.ok(emitted.every(e => e.info.quiet && !e.info.local));
+  // deltas that overlap what we have change nothing
+  planet.merge([a, b]);
+  assert.equal(planet.history.length, 2);
+});
+
+test('merge: deltas from other tabs need signatures and a cooldown between them, from a server they are trusted', () => {
+  const { planet, clock } = setup();
+  const bob = createIdentity('bob');
+  const a = signed(bob, { x: 70, y: 70, ci: 1, t: clock.t - 3 * COOLDOWN, seq: 1 });
+  const forged = { ...signed(bob, { x: 71, y: 70, ci: 1, t: clock.t - 2 * COOLDOWN, seq: 2 }), ci: 3 };
+  const soon = signed(bob, { x: 72, y: 70, ci: 1, t: a.t + 1000, seq: 3 });
+  const later = signed(bob, { x: 73, y: 70, ci: 1, t: clock.t - 5000, seq: 4 });
+  planet.merge([a, forged, soon, later]);
+  assert.deepEqual(planet.history.map(e => e.seq), [1, 4]);
+  // the limiter counts them: bob's next placement waits out the cooldown from the latest
+  assert.equal(planet.receive(signed(bob, { x: 74, y: 70, ci: 1, t: clock.t })).code, 'cooldown');
+  const { planet: fromServer } = setup();
+  fromServer.merge([a, soon, { ...later, sig: undefined }], { trusted: true });
+  assert.equal(fromServer.history.length, 3);
+});
+
+test('merge: our own placements come back numbered', () => {
+  const { planet, clock } = setup({ nextSeq: () => 0 });
+  const own = planet.place(80, 80, 1).placement;
+  const bob = createIdentity('bob');
+  const theirs = signed(bob, { x: 70, y: 70, ci: 2, t: clock.t, seq: 1 });
+  const numbered = planet.merge([theirs, { ...own, seq: 2 }]);
+  assert.deepEqual(numbered, [own]);
+  assert.equal(own.seq, 2);
+  assert.equal(planet.history.length, 2);
+  assert.equal(planet.seq, 2);
+});
+
+test('load: a full state replaces everything', () => {
+  const source = setup().planet;
+  source.place(80, 80, 1);
+  const { planet, emitted } = setup();
+  planet.place(10, 80, 2);
+  const { pixels, history } = source.state();
+  planet.load({ history, seq: 9, clearSeq: 3, index: source.store.index(), chunks: chunksFromFlat(planet.world, pixels) });
+  assert.equal(planet.pixel(10, 80), undefined);
+  assert.deepEqual(planet.pixel(80, 80), source.pixel(80, 80));
+  assert.deepEqual([planet.seq, planet.clearSeq, planet.history.length], [9, 3, 1]);
+  assert.ok(planet.has(source.history[0].id));
+  assert.deepEqual(emitted.at(-1).arg, { seq: 9, clearSeq: 3 });
+});
+
+test('loadChunk: newer history is replayed onto a chunk that arrives late', () => {
+  const { planet, clock } = setup();
+  const key = planet.world.chunkKey(80, 80);
+  // the index says the chunk has contents, so placements wait for it to load
+  planet.load({ index: { [key]: 1 } });
+  const p = planet.place(80, 80, 4).placement;
+  assert.equal(planet.store.isLoaded(key), false);
+  assert.equal(planet.history.length, 1);
+  const stored = chunksFromFlat(planet.world, {
+    '80,80': { ci: 1, t: clock.t - 5000, nick: 'old' },
+    '80,81': { ci: 1, t: clock.t - 5000, nick: 'old' }
+  })[key];
+  planet.loadChunk(key, stored, e => e.seq > 0);
+  assert.deepEqual(planet.pixel(80, 80), { ci: 4, t: p.t, nick: '', id: p.id });
+  assert.equal(planet.pixel(80, 81).nick, 'old');
+});
+
+test('replace and rewritten: a moderated or imported planet', () => {
+  const { planet, emitted } = setup();
+  const p = planet.place(80, 80, 1).placement;
+  planet.replace({ history: [] });
+  assert.equal(planet.has(p.id), false);
+  planet.rewritten(6);
+  assert.deepEqual([planet.seq, planet.clearSeq], [6, 6]);
+  assert.deepEqual(emitted.at(-1), { type: 'sync', arg: { seq: 6, clearSeq: 6 }, info: undefined });
+});
+
+test('last writer wins: a late placement stamped earlier leaves the cell', () => {
+  const { planet, clock, emitted } = setup();
+  const bob = createIdentity('bob'), carol = createIdentity('carol');
+  const later = signed(bob, { x: 70, y: 70, ci: 1, t: clock.t });
+  const earlier = signed(carol, { x: 70, y: 70, ci: 2, t: clock.t - 500 });
+  planet.receive(later);
+  planet.receive(earlier);
+  assert.equal(planet.pixel(70, 70).ci, 1);
+  assert.deepEqual(planet.history.map(e => e.id), [earlier.id, later.id]);
+  assert.equal(emitted.at(-1).info.won, false);
+});
+
+test('last writer wins: the greater id breaks a tie on the timestamp', () => {
+  const bob = createIdentity('bob'), carol = createIdentity('carol');
+  const t = 1000000;
+  const a = signed(bob, { x: 70, y: 70, ci: 1, t, id: 'a' });
+  const b = signed(carol, { x: 70, y: 70, ci: 2, t, id: 'b' });
+  [[a, b], [b, a]].forEach(order => {
+    const { planet } = setup();
+    order.forEach(p => planet.receive(p));
+    assert.equal(planet.pixel(70, 70).ci, 2);
+    assert.deepEqual(planet.history.map(e => e.id), ['a', 'b']);
+  });
+});
+
+test('remove: leaves a cell a later write took meanwhile', () => {
+  const { planet, clock } = setup({ nextSeq: () => 0 });
+  const own = planet.place(70, 70, 1).placement;
+  const bob = createIdentity('bob');
+  planet.receive(signed(bob, { x: 70, y: 70, ci: 2, t: clock.t + 1 }), { trusted: true });
+  planet.remove(own.id, null);
+  assert.equal(planet.pixel(70, 70).ci, 2);
+});
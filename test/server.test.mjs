@@ -0,0 +1,140 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import http from 'node:http';
+import net from 'node:net';
+import { randomBytes } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { createWorld } from '../src/world.mjs';
+import { createPlanet } from '../src/planet.mjs';
+
+const SERVER = fileURLToPath(new URL('../server/server.mjs', import.meta.url));
+let server, port;
+
+// a free port, then the reference server on it, in a process of its own
+before(async () => {
+  port = await new Promise(resolve => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const p = probe.address().port;
+      probe.close(() => resolve(p));
+    });
+  });
+  server = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, PORT: String(port), HOST: '127.0.0.1', PIXEL_PLANET_DATA: '', PIXEL_PLANET_WORLD: '' },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', text => { if (String(text).includes('server on port')) resolve(); });
+    server.on('exit', code => reject(new Error(`server exited (${code})`)));
+  });
+});
+after(() => server.kill());
+
+/* A WebSocket client, just enough for the server: sends masked text frames and hands
+   out the messages it gets in order; next(type) waits for the next one of that type */
+function connect() {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1', port, headers: {
+        Connection: 'Upgrade', Upgrade: 'websocket',
+        'Sec-WebSocket-Key': randomBytes(16).toString('base64'), 'Sec-WebSocket-Version': '13'
+      }
+    });
+    req.on('error', reject);
+    req.on('upgrade', (res, socket, head) => {
+      const inbox = [], waiting = [];
+      let buf = Buffer.alloc(0);
+      const deliver = () => {
+        for (let i = 0; i < waiting.length; i++) {
+          const at = inbox.findIndex(m => m.type === waiting[i].type);
+          if (at < 0) continue;
+          waiting.splice(i--, 1)[0].resolve(inbox.splice(at, 1)[0]);
+        }
+      };
+      // the first frames can come with the handshake (head)
+      const read = chunk => {
+        buf = Buffer.concat([buf, chunk]);
+        while (buf.length >= 2) {
+          let len = buf[1] & 0x7f, offset = 2;
+          if (len === 126) { len = buf.readUInt16BE(2); offset = 4; }
+          else if (len === 127) { len = Number(buf.readBigUInt64BE(2)); offset = 10; }
+          if (buf.length < offset + len) break;
+          if ((buf[0] & 0x0f) === 0x1) inbox.push(JSON.parse(buf.subarray(offset, offset + len).toString('utf8')));
+          buf = buf.subarray(offset + len);
+        }
+        deliver();
+      };
+      read(head);
+      socket.on('data', read);
+      resolve({
+        send(msg) {
+          const payload = Buffer.from(JSON.stringify(msg));
+          const mask = randomBytes(4);
+          const len = payload.length;
+          const head = len < 126 ? Buffer.from([0x81, 0x80 | len])
+            : Buffer.from([0x81, 0x80 | 126, len >> 8, len & 0xff]);
+          for (let i = 0; i < len; i++) payload[i] ^= mask[i & 3];
+          socket.write(Buffer.concat([head, mask, payload]));
+        },
+        next(type) {
+          return new Promise(resolve => { waiting.push({ type, resolve }); deliver(); });
+        },
+        closed: new Promise(resolve => socket.on('close', resolve)),
+        close: () => socket.destroy()
+      });
+    });
+    req.end();
+  });
+}
+
+test('clock: a client whose clock runs ahead places by the stamp on the world it is sent', async () => {
+  const ahead = 30 * 1000; // this client's clock, against the server's
+  const clock = () => Date.now() + ahead;
+  const ws = await connect();
+  const hello = await ws.next('world');
+  assert.ok(Number.isFinite(hello.stamp));
+  const offset = hello.stamp - clock();
+
+  // dated by its own clock, a placement is refused
+  const skewed = createPlanet({ world: createWorld(), now: clock, nextSeq: () => 0 });
+  ws.send({ type: 'place', payload: skewed.place(80, 80, 3).placement });
+  assert.equal((await ws.next('reject')).code, 'time');
+
+  // dated by the server's, it is taken
+  const synced = createPlanet({ world: createWorld(), now: () => clock() + offset, nextSeq: () => 0 });
+  const p = synced.place(81, 80, 3).placement;
+  ws.send({ type: 'place', payload: p });
+  const echo = await ws.next('place');
+  assert.deepEqual([echo.payload.id, echo.payload.x, echo.payload.seq > 0], [p.id, 81, true]);
+
+  // a catch-up is stamped too
+  ws.send({ type: 'need', since: 0 });
+  const delta = await ws.next('delta');
+  assert.ok(Number.isFinite(delta.stamp));
+  assert.ok(delta.entries.some(e => e.id === p.id));
+  ws.close();
+});
+
+test('signatures: checked after the cooldown, and a connection sending bad ones is closed', async () => {
+  const ws = await connect();
+  await ws.next('world');
+  // signed for another color, each by a new identity so no identity's cooldown stops it first
+  const fresh = () => createPlanet({ world: createWorld(), nextSeq: () => 0 });
+  const forged = x => ({ ...fresh().place(x, 90, 2).placement, ci: 1 });
+  const codes = [];
+  for (let n = 0; n < 3; n++) {
+    ws.send({ type: 'place', payload: forged(90 + n) });
+    codes.push((await ws.next('reject')).code);
+  }
+  assert.deepEqual(codes, ['signature', 'signature', 'signature']);
+  await ws.closed;
+
+  // once this connection placed, its cooldown answers before any signature is checked
+  const other = await connect();
+  await other.next('world');
+  other.send({ type: 'place', payload: fresh().place(95, 90, 2).placement });
+  await other.next('place');
+  other.send({ type: 'place', payload: forged(96) });
+  assert.equal((await other.next('reject')).code, 'cooldown');
+  other.close();
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld } from '../src/world.mjs';
+import { HOUR, computeStats, leaderboard, perHour, heatmap, HEAT_STOPS, heatColor } from '../src/stats.mjs';
+
+const T = 1000 * HOUR;
+// alice paints (70,70) twice and bob covers it; an old nick-only placement at (71,70)
+const history = [
+  { x: 70, y: 70, ci: 1, t: T, nick: 'alice', uid: 'a', id: '1' },
+  { x: 70, y: 70, ci: 1, t: T + 1000, nick: 'alice', uid: 'a', id: '2' },
+  { x: 72, y: 70, ci: 2, t: T + HOUR, nick: 'ally', uid: 'a', id: '3' },
+  { x: 70, y: 70, ci: 3, t: T + 2 * HOUR, nick: 'bob', uid: 'b', id: '4' },
+  { x: 71, y: 70, c: '#ff0000', t: T + 2 * HOUR, nick: 'old', id: '5' }
+];
+
+test('computeStats: totals, surviving pixels and colors per person', () => {
+  const stats = computeStats(history);
+  assert.deepEqual([stats.total, stats.pixels, stats.first, stats.last], [5, 3, T, T + 2 * HOUR]);
+  const alice = stats.people.find(p => p.uid === 'a');
+  assert.deepEqual(alice, { key: 'uid:a', uid: 'a', nick: 'ally', total: 3, surviving: 1, first: T, last: T + HOUR });
+  assert.equal(stats.people.find(p => p.key === 'nick:old').surviving, 1);
+  assert.deepEqual(stats.colors[0], { ci: 1, c: undefined, count: 2 });
+  assert.ok(stats.colors.some(c => c.c === '#ff0000' && c.count === 1));
+  assert.deepEqual(computeStats([]), { total: 0, pixels: 0, people: [], colors: [], first: null, last: null });
+});
+
+test('leaderboard: by total or by surviving pixels', () => {
+  const { people } = computeStats(history);
+  assert.deepEqual(leaderboard(people).map(p => p.key), ['uid:a', 'uid:b', 'nick:old']);
+  // a tie on surviving pixels goes to more placements
+  assert.deepEqual(leaderboard(people, 'surviving', 2).map(p => p.key), ['uid:a', 'uid:b']);
+});
+
+test('perHour: counts by clock hour, oldest first', () => {
+  const { start, counts } = perHour(history, T + 2 * HOUR + 5, 4);
+  assert.equal(start, T - HOUR);
+  assert.deepEqual(counts, [0, 2, 1, 2]);
+});
+
+test('heatmap: placements per bin of cells', () => {
+  const world = createWorld(); // 160×160
+  const small = heatmap(history, world);
+  assert.deepEqual([small.bin, small.cols, small.rows, small.max], [2, 80, 80, 4]);
+  assert.equal(small.counts[35 * 80 + 35], 4); // (70,70) and (71,70)
+  assert.equal(small.counts[35 * 80 + 36], 1);
+  const full = heatmap(history, world, 160);
+  assert.deepEqual([full.bin, full.max, full.counts[70 * 160 + 70]], [1, 3, 3]);
+  assert.equal(full.latest[70 * 160 + 70], T + 2 * HOUR);
+  assert.equal(full.latest[0], 0);
+});
+
+test('heatColor: along the ramp, clamped at its ends', () => {
+  assert.deepEqual(heatColor(0), HEAT_STOPS[0].slice(1));
+  assert.deepEqual(heatColor(1), HEAT_STOPS.at(-1).slice(1));
+  assert.deepEqual(heatColor(-3), heatColor(0));
+  assert.deepEqual(heatColor(7), heatColor(1));
+  const [a, b] = HEAT_STOPS;
+  assert.deepEqual(heatColor(b[0] / 2), [1, 2, 3].map(j => Math.round((a[j] + b[j]) / 2)));
+});
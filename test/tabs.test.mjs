@@ -0,0 +1,128 @@
+/* Simulated tabs of one browser: cores (src/planet.mjs) on a virtual clock, each with its
+   own identity, sharing a sequence counter (localStorage's) and storage (IndexedDB's:
+   chunks last write wins, history by id). A placement reaches the other tabs after a
+   random delay of up to PEER_GRACE, so tabs apply concurrent placements in different
+   orders; a seeded random source makes every run repeatable. */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld } from '../src/world.mjs';
+import { COOLDOWN } from '../src/rules.mjs';
+import { createIdentity } from '../src/identity.mjs';
+import { createPlanet, PEER_GRACE } from '../src/planet.mjs';
+
+const START = 1000000;
+const world = createWorld();
+const CELLS = [[70, 70], [71, 70], [70, 71], [100, 90]]; // few, so placements collide
+
+// mulberry32
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* n tabs placing for a number of rounds, each once per round at a random moment (on a
+   100 ms grid, so timestamps tie; rounds are a little over COOLDOWN apart). sleep: [tab, from, to]: that tab misses what is
+   sent meanwhile and catches up with deltas when it wakes. Returns {tabs, storage}. */
+function simulate({ n = 4, rounds = 6, seed = 1, sleep = null }) {
+  const rnd = random(seed);
+  const clock = { t: START };
+  const queue = [];
+  let order = 0, counter = 0;
+  const at = (t, run) => queue.push({ t, run, order: order++ });
+  const storage = { chunks: new Map(), history: new Map() };
+  const asleep = i => sleep && sleep[0] === i && clock.t >= sleep[1] && clock.t < sleep[2];
+
+  const tabs = [];
+  for (let i = 0; i < n; i++) {
+    const tab = createPlanet({ world, identity: createIdentity(`tab${i}`), now: () => clock.t, nextSeq: () => ++counter });
+    tab.events.on('place', (p, { local }) => {
+      storage.history.set(p.id, p);
+      if (!local) return;
+      tabs.forEach((other, j) => {
+        if (other !== tab) at(clock.t + Math.floor(rnd() * PEER_GRACE), () => { if (!asleep(j)) other.receive(p); });
+      });
+    });
+    tabs.push(tab);
+  }
+  for (let r = 0; r < rounds; r++) {
+    tabs.forEach((tab, i) => {
+      at(START + r * (COOLDOWN + 500) + Math.floor(rnd() * 5) * 100, () => {
+        if (asleep(i)) return;
+        const [x, y] = CELLS[Math.floor(rnd() * CELLS.length)];
+        assert.equal(tab.place(x, y, 1 + Math.floor(rnd() * 8)).ok, true);
+      });
+      // a snapshot: the tab's chunks as it sees them now
+      at(START + r * COOLDOWN + Math.floor(rnd() * COOLDOWN), () => {
+        tab.store.loadedChunks().forEach(c => storage.chunks.set(c.key, { ...c.cells }));
+      });
+    });
+  }
+  if (sleep) {
+    const [i, from, to] = sleep;
+    let since = 0;
+    at(from, () => { since = tabs[i].seq; });
+    // awake again: the deltas another tab has
+    at(to, () => tabs[i].merge(tabs[(i + 1) % n].history.filter(e => e.seq > since)));
+  }
+  while (queue.length) {
+    queue.sort((a, b) => a.t - b.t || a.order - b.order);
+    const next = queue.shift();
+    clock.t = next.t;
+    next.run();
+  }
+  return { tabs, storage };
+}
+
+// what must match across tabs
+function view(tab) {
+  return { pixels: tab.state().pixels, history: tab.history.map(e => e.id) };
+}
+
+test('tabs converge on the same pixels and history, whatever the delivery order', () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const { tabs } = simulate({ seed });
+    const first = view(tabs[0]);
+    assert.equal(first.history.length, 4 * 6);
+    tabs.slice(1).forEach((tab, i) => assert.deepEqual(view(tab), first, `seed ${seed}, tab ${i + 1}`));
+    // every cell holds its latest placement
+    CELLS.forEach(([x, y]) => {
+      const last = tabs[0].history.filter(e => e.x === x && e.y === y).at(-1);
+      if (last) assert.equal(first.pixels[`${x},${y}`].id, last.id);
+    });
+  }
+});
+
+test('concurrent placements stamped the same millisecond resolve the same everywhere', () => {
+  const { tabs } = simulate({ seed: 7, rounds: 3 });
+  const history = tabs[0].history;
+  const tied = history.some((e, i) => i > 0 && e.t === history[i - 1].t);
+  assert.ok(tied, 'the simulation should produce ties');
+  history.forEach((e, i) => {
+    if (i > 0) assert.ok(history[i - 1].t < e.t || (history[i - 1].t === e.t && history[i - 1].id < e.id));
+  });
+});
+
+test('a tab that slept catches up to the same planet', () => {
+  for (let seed = 1; seed <= 10; seed++) {
+    const { tabs } = simulate({ seed, sleep: [2, START + COOLDOWN, START + 4 * COOLDOWN] });
+    tabs.slice(1).forEach(tab => assert.deepEqual(view(tab), view(tabs[0]), `seed ${seed}`));
+  }
+});
+
+test('a tab opened later rebuilds the same planet from storage, whichever tab saved each chunk last', () => {
+  for (let seed = 1; seed <= 10; seed++) {
+    const { tabs, storage } = simulate({ seed });
+    const fresh = createPlanet({ world, now: () => START + 10 * COOLDOWN });
+    const index = {};
+    storage.chunks.forEach((cells, key) => { index[key] = Object.keys(cells).length; });
+    fresh.load({ history: [...storage.history.values()], index });
+    // the chunks history touches, stored or not
+    new Set(fresh.history.map(e => world.chunkKey(e.x, e.y))).forEach(key => fresh.loadChunk(key, storage.chunks.get(key)));
+    assert.deepEqual(view(fresh), view(tabs[0]), `seed ${seed}`);
+  }
+});
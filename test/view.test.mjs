@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld } from '../src/world.mjs';
+import { MIN_ZOOM, MAX_ZOOM, canvasToWorld, worldToGrid, gridToWorld, cellsInView, zoomRange, viewCenter, centerOn, viewHash, parseViewHash } from '../src/view.mjs';
+
+const world = createWorld(); // 160×160 cells, 4 units a side
+
+test('the middle of the canvas is the world point the view centers', () => {
+  assert.deepEqual(canvasToWorld({ x: 0, y: 0, zoom: 1 }, 800, 600, 400, 300), { x: 0, y: 0 });
+  assert.deepEqual(canvasToWorld({ x: 40, y: -8, zoom: 2 }, 800, 600, 400, 300), { x: -40, y: 8 });
+  assert.deepEqual(canvasToWorld({ x: 0, y: 0, zoom: 2 }, 800, 600, 0, 0), { x: -200, y: -150 });
+});
+
+test('cells and world units convert both ways', () => {
+  assert.deepEqual(worldToGrid(world, 0, 0), { gx: 80, gy: 80 });
+  assert.deepEqual(worldToGrid(world, -0.1, 3.9), { gx: 79, gy: 80 });
+  assert.deepEqual(gridToWorld(world, 80, 80), { x: 0, y: 0 });
+  const corner = gridToWorld(world, 12, 34);
+  assert.deepEqual(worldToGrid(world, corner.x, corner.y), { gx: 12, gy: 34 });
+});
+
+test('cellsInView: the corner cells a canvas shows', () => {
+  // 800×600 world units at zoom 1: 100×75 cells each side of the center cell (80, 80)
+  assert.deepEqual(cellsInView(world, { x: 0, y: 0, zoom: 1 }, 800, 600), [-20, 5, 180, 155]);
+  assert.deepEqual(cellsInView(world, { x: -40, y: 0, zoom: 4 }, 800, 600), [65, 61, 115, 98]);
+});
+
+test('zoom range: big worlds may zoom out until they fit', () => {
+  assert.deepEqual(zoomRange(world, 800, 600), { min: MIN_ZOOM, max: MAX_ZOOM });
+  const big = createWorld({ id: 'big', name: 'Big', width: 4096, height: 4096, scale: 1 });
+  const range = zoomRange(big, 800, 600);
+  assert.ok(range.min < MIN_ZOOM);
+  assert.equal(range.max, MAX_ZOOM * 4);
+});
+
+test('viewCenter and centerOn are inverses', () => {
+  assert.deepEqual(viewCenter(world, { x: 0, y: 0, zoom: 1 }), { x: 80, y: 80 });
+  const to = centerOn(world, 10.5, 80);
+  assert.deepEqual(viewCenter(world, { ...to, zoom: 1 }), { x: 10.5, y: 80 });
+});
+
+test('links: the hash names the cell in the middle, the zoom and a marked cell', () => {
+  const view = { ...centerOn(world, 40.5, 72.5), zoom: 3 };
+  assert.equal(viewHash(world, view), '#x=40&y=72&z=3');
+  assert.equal(viewHash(world, { ...view, zoom: 1.23456 }, { gx: 41, gy: 70 }), '#x=40&y=72&z=1.23&cell=41,70');
+  assert.deepEqual(parseViewHash(world, '#x=40&y=72&z=3'), { ...view, cell: null });
+  assert.deepEqual(parseViewHash(world, '#cell=41,70'), { ...centerOn(world, 41.5, 70.5), zoom: undefined, cell: { gx: 41, gy: 70 } });
+});
+
+test('links: odd hashes are clamped to the world or ignored', () => {
+  assert.equal(parseViewHash(world, ''), null);
+  assert.equal(parseViewHash(world, '#z=2'), null);
+  assert.equal(parseViewHash(world, '#x=abc&y=1'), null);
+  const far = parseViewHash(world, '#x=9999&y=-5&z=-1&cell=0,0'); // (0,0) is off the round planet
+  assert.deepEqual(far, { ...centerOn(world, 159.5, 0.5), zoom: undefined, cell: null });
+});